@@ -0,0 +1,88 @@
+/**
+ * Data quality endpoint: how far the facility registers can be trusted
+ *
+ * GET /data-quality?category=&location=&rule=&page=&pageSize=
+ *
+ * `category` is 'health', 'education' or 'all' (both reports). `location` limits the
+ * report to facilities within a location code and `rule` the facility list to one rule.
+ */
+
+import {
+	loadCSVData, loadLocations, getLocationIndex, getDataQualityReport, locationFromCode, isWithinLocation
+} from '../utils/dataLoader.js';
+import { QUALITY_RULES, calculateCompleteness } from '../utils/dataQuality.js';
+import { paginate } from '../utils/filterEngine.js';
+import { jsonResponse, dataResponse } from '../utils/http.js';
+
+const CATEGORIES = ['health', 'education', 'all'];
+const SECTORS = ['health', 'education'];
+const CODE_PATTERN = /^D\d+(S\d+(P\d+(V\d+)?)?)?$/;
+
+/**
+ * GET /data-quality
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {category, location, recordCount, columns, completeness, rules, facilities, pagination}
+ *   or, for 'all', {category, location, reports: {health, education}}
+ */
+export async function handleDataQuality({ url, env }) {
+	const params = url.searchParams;
+	const category = params.get('category');
+	const code = params.get('location');
+	const rule = params.get('rule');
+
+	if (!CATEGORIES.includes(category)) {
+		return jsonResponse({ error: `Category must be one of ${CATEGORIES.join(', ')}` }, 400);
+	}
+	if (code && !CODE_PATTERN.test(code)) {
+		return jsonResponse({ error: 'Location must be a location code such as D01 or D01S09' }, 400);
+	}
+	if (rule && !QUALITY_RULES.includes(rule)) {
+		return jsonResponse({ error: `Rule must be one of ${QUALITY_RULES.join(', ')}` }, 400);
+	}
+	for (const name of ['page', 'pageSize']) {
+		if (params.has(name) && !/^[1-9]\d*$/.test(params.get(name))) {
+			return jsonResponse({ error: `${name} must be a positive integer` }, 400);
+		}
+	}
+
+	let district = null;
+	if (code) {
+		const { byCode } = getLocationIndex(await loadLocations(env));
+		if (!byCode.has(code)) {
+			return jsonResponse({ error: `Location "${code}" not found` }, 404);
+		}
+		district = byCode.get(code.match(/^D\d+/)[0]);
+	}
+
+	const reports = {};
+	for (const sector of category === 'all' ? SECTORS : [category]) {
+		const report = await getDataQualityReport(sector, env);
+		if (!report) {
+			return jsonResponse({ error: `The ${sector} register could not be loaded` }, 503);
+		}
+
+		let { recordCount, completeness, facilities } = report;
+		if (code) {
+			// Completeness and rule counts for the facilities within the location
+			const rows = await loadCSVData(district.name, sector, env, locationFromCode(code));
+			recordCount = rows.length;
+			completeness = calculateCompleteness(rows, sector);
+			facilities = facilities.filter(facility => isWithinLocation(facility.location_code, code));
+		}
+
+		const rules = {};
+		facilities.forEach(facility => facility.violations.forEach(violation => {
+			rules[violation.rule] = (rules[violation.rule] || 0) + 1;
+		}));
+		if (rule) {
+			facilities = facilities.filter(facility => facility.violations.some(violation => violation.rule === rule));
+		}
+
+		const { items, pagination } = paginate(facilities, params.get('page'), params.get('pageSize'));
+		reports[sector] = { recordCount, columns: report.columns, completeness, rules, facilities: items, pagination };
+	}
+
+	return dataResponse(category === 'all'
+		? { category, location: code || null, reports }
+		: { category, location: code || null, ...reports[category] });
+}
@@ -0,0 +1,192 @@
+/**
+ * Facility endpoints: browse the facility registers and fetch single records, so that
+ * filter answers from /query can link to the facilities they list
+ *
+ * GET /facilities?category=&location=&q=&filter=&sort=&fields=&page=&pageSize=
+ * GET /facilities/:facility_id
+ */
+
+import {
+	loadCSVData, loadLocations, getLocationIndex, getLocationAncestors, getDataSchema, locationFromCode
+} from '../utils/dataLoader.js';
+import { validateFilter, applyFilter, paginate } from '../utils/filterEngine.js';
+import { summarizeFacility } from '../utils/queryEngine.js';
+import { calculateFacilityIndicators } from '../utils/metrics.js';
+import { jsonResponse, dataResponse } from '../utils/http.js';
+
+const CATEGORIES = ['health', 'education', 'all'];
+const SECTORS = ['health', 'education'];
+const CODE_PATTERN = /^D\d+(S\d+(P\d+(V\d+)?)?)?$/;
+
+/**
+ * GET /facilities
+ * `q` searches facility names, `filter` is a JSON filter in the /query filter grammar,
+ * `sort` a field name (prefix "-" for descending) and `fields` a comma-separated list
+ * of columns to return instead of the facility summary.
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {category, location, resultCount, facilities, pagination}
+ */
+export async function handleFacilities({ url, env }) {
+	const params = url.searchParams;
+	const category = params.get('category');
+	const code = params.get('location');
+
+	if (!CATEGORIES.includes(category)) {
+		return jsonResponse({ error: `Category must be one of ${CATEGORIES.join(', ')}` }, 400);
+	}
+	if (code && !CODE_PATTERN.test(code)) {
+		return jsonResponse({ error: 'Location must be a location code such as D01 or D01S09' }, 400);
+	}
+	for (const name of ['page', 'pageSize']) {
+		if (params.has(name) && !/^[1-9]\d*$/.test(params.get(name))) {
+			return jsonResponse({ error: `${name} must be a positive integer` }, 400);
+		}
+	}
+
+	let filter = null;
+	if (params.has('filter')) {
+		try {
+			filter = JSON.parse(params.get('filter'));
+		} catch {
+			return jsonResponse({ error: 'Filter must be JSON in the filter grammar' }, 400);
+		}
+	}
+
+	const locations = await loadLocations(env);
+	if (code && !getLocationIndex(locations).byCode.has(code)) {
+		return jsonResponse({ error: `Location "${code}" not found` }, 404);
+	}
+
+	// Each register is filtered on its own fields; with category 'all' the filter applies
+	// to whichever registers have the fields it uses
+	const sectors = category === 'all' ? SECTORS : [category];
+	let rows = [];
+	const filterErrors = [];
+	let filteredSectors = 0;
+	const fields = new Set();
+	for (const sector of sectors) {
+		const sectorRows = await loadFacilities(sector, code, locations, env);
+		const schema = getDataSchema(sector, sectorRows);
+		(schema.fields || []).forEach(field => fields.add(field));
+
+		if (!filter) {
+			rows.push(...sectorRows);
+			continue;
+		}
+		const { valid, errors, filter: normalised } = validateFilter(filter, schema);
+		if (valid) {
+			rows.push(...applyFilter(sectorRows, normalised));
+			filteredSectors++;
+		} else {
+			filterErrors.push(...errors.map(error => `${sector}: ${error}`));
+		}
+	}
+	if (filter && filteredSectors === 0) {
+		return jsonResponse({ error: 'Invalid filter', details: filterErrors }, 400);
+	}
+
+	const search = (params.get('q') || '').trim().toLowerCase();
+	if (search) {
+		rows = rows.filter(row => facilityName(row).toLowerCase().includes(search));
+	}
+
+	// Sort on a column or the facility name
+	const sort = params.get('sort') || 'name';
+	const sortField = sort.replace(/^-/, '');
+	if (sortField !== 'name' && !fields.has(sortField)) {
+		return jsonResponse({ error: `Cannot sort on unknown field "${sortField}"` }, 400);
+	}
+	const direction = sort.startsWith('-') ? -1 : 1;
+	const sortValue = row => (sortField === 'name' ? facilityName(row) : row[sortField]);
+	rows = [...rows].sort((a, b) => direction * compareValues(sortValue(a), sortValue(b)));
+
+	let projection = null;
+	if (params.get('fields')) {
+		projection = params.get('fields').split(',').map(field => field.trim()).filter(Boolean);
+		const unknown = projection.filter(field => !fields.has(field));
+		if (unknown.length > 0) {
+			return jsonResponse({ error: `Unknown fields: ${unknown.join(', ')}` }, 400);
+		}
+	}
+
+	const { items, pagination } = paginate(rows, params.get('page'), params.get('pageSize'));
+
+	return dataResponse({
+		category,
+		location: code || null,
+		resultCount: rows.length,
+		facilities: items.map(row => (projection
+			? { facility_id: row.facility_id, ...Object.fromEntries(projection.map(field => [field, row[field] ?? null])), href: summarizeFacility(row, category).href }
+			: summarizeFacility(row, category))),
+		pagination
+	});
+}
+
+/**
+ * GET /facilities/:facility_id
+ * @param {Object} route - {params: [facility_id], env}
+ * @returns {Promise<Response>} {category, facility, indicators, location}
+ */
+export async function handleFacility({ params, env }) {
+	const [facilityId] = params;
+	const locations = await loadLocations(env);
+
+	for (const sector of SECTORS) {
+		const matches = (await loadFacilities(sector, null, locations, env)).filter(row => row.facility_id === facilityId);
+		if (matches.length === 0) continue;
+
+		const [row] = matches;
+		const { byCode } = getLocationIndex(locations);
+		const unit = byCode.get(row.location_code);
+
+		return dataResponse({
+			category: sector,
+			facility: row,
+			indicators: calculateFacilityIndicators(row, sector),
+			// Where the location_code is not in locations.json, the record is returned without ancestry
+			location: unit
+				? { type: unit.type, code: unit.code, name: unit.name, ancestors: getLocationAncestors(locations, unit.code) }
+				: null,
+			// Facility ids are not unique in every register; other records with the same id are counted
+			...(matches.length > 1 ? { duplicateRecords: matches.length - 1 } : {})
+		});
+	}
+
+	return jsonResponse({ error: `Facility "${facilityId}" not found` }, 404);
+}
+
+/**
+ * Helper: Load a register for a location, or for every district when no location is given
+ */
+async function loadFacilities(sector, code, locations, env) {
+	const { byCode, districts } = getLocationIndex(locations);
+	const districtCodes = code ? [code.match(/^D\d+/)[0]] : districts;
+
+	const rows = [];
+	for (const districtCode of districtCodes) {
+		const location = code ? locationFromCode(code) : { district: districtCode };
+		rows.push(...await loadCSVData(byCode.get(districtCode).name, sector, env, location));
+	}
+	return rows;
+}
+
+/**
+ * Helper: Name of a facility in either register
+ */
+function facilityName(row) {
+	return row.institution_name || row.facility_name || row.facility_id || '';
+}
+
+/**
+ * Helper: Compare two cells, numerically when both are numbers; blanks sort last
+ */
+function compareValues(a, b) {
+	const blankA = a === undefined || a === null || a === '';
+	const blankB = b === undefined || b === null || b === '';
+	if (blankA || blankB) return blankA === blankB ? 0 : blankA ? 1 : -1;
+
+	const numA = Number(a);
+	const numB = Number(b);
+	if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+	return String(a).localeCompare(String(b));
+}
@@ -0,0 +1,105 @@
+/**
+ * Location hierarchy endpoints, so the dashboard builds its dropdowns from the same
+ * locations.json the worker answers from
+ *
+ * GET /locations                 - tree of all districts (?root=<code>&depth=<n> for part of it)
+ * GET /locations/:code           - one location with its ancestors and children
+ * GET /locations/search?q=<text> - prefix and fuzzy name search (?level=, ?within=, ?limit=)
+ */
+
+import { loadLocations, getLocationIndex, getLocationAncestors, getLocationTree } from '../utils/dataLoader.js';
+import { searchLocations } from '../utils/entityResolver.js';
+import { jsonResponse, dataResponse } from '../utils/http.js';
+
+const CODE_PATTERN = /^D\d+(S\d+(P\d+(V\d+)?)?)?$/;
+const LEVELS = ['district', 'subcounty', 'parish', 'village'];
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * GET /locations
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {locations: [tree nodes]}
+ */
+export async function handleLocationTree({ url, env }) {
+	const root = url.searchParams.get('root');
+	const depth = url.searchParams.get('depth');
+
+	if (root && !CODE_PATTERN.test(root)) {
+		return jsonResponse({ error: `Invalid location code "${root}"` }, 400);
+	}
+	if (depth !== null && !/^\d+$/.test(depth)) {
+		return jsonResponse({ error: 'Depth must be a non-negative integer' }, 400);
+	}
+
+	const locations = await loadLocations(env);
+	const tree = getLocationTree(locations, root, depth === null ? Infinity : parseInt(depth, 10));
+	if (root && tree.length === 0) {
+		return jsonResponse({ error: `Location "${root}" not found` }, 404);
+	}
+
+	return dataResponse({ locations: tree });
+}
+
+/**
+ * GET /locations/:code
+ * @param {Object} route - {params: [code], env}
+ * @returns {Promise<Response>} {type, code, name, ancestors, children}
+ */
+export async function handleLocation({ params, env }) {
+	const [code] = params;
+	if (!CODE_PATTERN.test(code)) {
+		return jsonResponse({ error: `Invalid location code "${code}"` }, 400);
+	}
+
+	const locations = await loadLocations(env);
+	const { byCode } = getLocationIndex(locations);
+	const entry = byCode.get(code);
+	if (!entry) {
+		return jsonResponse({ error: `Location "${code}" not found` }, 404);
+	}
+
+	return dataResponse({
+		type: entry.type,
+		code: entry.code,
+		name: entry.name,
+		ancestors: getLocationAncestors(locations, code),
+		children: entry.children.map(childCode => {
+			const child = byCode.get(childCode);
+			return { type: child.type, code: child.code, name: child.name, childCount: child.children.length };
+		})
+	});
+}
+
+/**
+ * GET /locations/search?q=
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {query, results: [{type, code, name, ancestors, score}]}
+ */
+export async function handleLocationSearch({ url, env }) {
+	const query = (url.searchParams.get('q') || '').trim();
+	const level = url.searchParams.get('level');
+	const within = url.searchParams.get('within');
+	const limit = url.searchParams.get('limit');
+
+	if (query.length < 2) {
+		return jsonResponse({ error: 'Search text "q" must be at least 2 characters' }, 400);
+	}
+	if (level && !LEVELS.includes(level)) {
+		return jsonResponse({ error: `Level must be one of ${LEVELS.join(', ')}` }, 400);
+	}
+	if (within && !CODE_PATTERN.test(within)) {
+		return jsonResponse({ error: `Invalid location code "${within}"` }, 400);
+	}
+	if (limit !== null && !(/^\d+$/.test(limit) && parseInt(limit, 10) > 0)) {
+		return jsonResponse({ error: 'Limit must be a positive integer' }, 400);
+	}
+
+	const locations = await loadLocations(env);
+	const results = searchLocations(locations, query, {
+		level,
+		within,
+		limit: Math.min(limit ? parseInt(limit, 10) : 10, MAX_SEARCH_RESULTS)
+	});
+
+	return dataResponse({ query, results });
+}
@@ -0,0 +1,158 @@
+/**
+ * Metrics endpoints: the numbers calculateMetrics() produces for the prompt, without
+ * the natural-language round trip, for dashboard KPI cards and tables
+ *
+ * GET /metrics?category=&location=           - metrics for one location (any level)
+ * GET /metrics/breakdown?category=&location=&level= - metrics for each unit below it
+ *
+ * `category` is 'health', 'education', 'ple' or 'all' (health and education side by side)
+ * and `location` a location code (e.g. D01S09). PLE metrics take an optional `year`.
+ */
+
+import {
+	loadCSVData, loadLocations, loadTrendData, loadPopulation, getPopulation, getLocationIndex,
+	getLocationAncestors, getChildLocations, locationFromCode, isWithinLocation
+} from '../utils/dataLoader.js';
+import { calculateMetrics, getLocationRollup } from '../utils/metrics.js';
+import { calculatePLEMetrics } from '../utils/pleMetrics.js';
+import { jsonResponse, dataResponse } from '../utils/http.js';
+
+const CATEGORIES = ['health', 'education', 'ple', 'all'];
+const SECTORS = ['health', 'education'];
+const LEVELS = ['district', 'subcounty', 'parish', 'village'];
+
+/**
+ * GET /metrics
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {category, location, population, metrics}
+ */
+export async function handleMetrics({ url, env }) {
+	const scope = await resolveScope(url, env);
+	if (scope.error) {
+		return jsonResponse({ error: scope.error }, scope.status);
+	}
+
+	const { category, code, locations, population } = scope;
+	const location = locationFromCode(code);
+	let metrics;
+
+	if (category === 'ple') {
+		const rows = await loadTrendData('ple_analysis.csv', env, location);
+		metrics = calculatePLEMetrics(rows, { year: scope.year });
+	} else {
+		metrics = {};
+		for (const sector of category === 'all' ? SECTORS : [category]) {
+			const facilities = await loadCSVData(scope.district.name, sector, env, location);
+			metrics[sector] = calculateMetrics(facilities, location, sector, {
+				population: sector === 'health' ? getPopulation(population, locations, code) : null
+			});
+		}
+		if (category !== 'all') metrics = metrics[category];
+	}
+
+	return dataResponse({
+		category,
+		location: scope.location,
+		...(population ? { population: getPopulation(population, locations, code) } : {}),
+		metrics
+	});
+}
+
+/**
+ * GET /metrics/breakdown
+ * @param {Object} route - {url, env}
+ * @returns {Promise<Response>} {category, location, level, units: [{location, code, level, facilityCount, metrics}]}
+ */
+export async function handleMetricsBreakdown({ url, env }) {
+	const scope = await resolveScope(url, env);
+	if (scope.error) {
+		return jsonResponse({ error: scope.error }, scope.status);
+	}
+
+	const { category, code, locations, population } = scope;
+	const location = locationFromCode(code);
+
+	// Default to one level below the location; the level must be below it
+	const level = url.searchParams.get('level') || LEVELS[LEVELS.indexOf(scope.location.type) + 1];
+	if (!LEVELS.includes(level) || LEVELS.indexOf(level) <= LEVELS.indexOf(scope.location.type)) {
+		return jsonResponse({ error: `Level must be below ${scope.location.type}: ${LEVELS.slice(LEVELS.indexOf(scope.location.type) + 1).join(', ') || 'none'}` }, 400);
+	}
+
+	let units;
+	if (category === 'ple') {
+		const rows = await loadTrendData('ple_analysis.csv', env, location);
+		units = getChildLocations(locations, code, level).map(unit => {
+			const unitRows = rows.filter(row => isWithinLocation(row.location_code, unit.code));
+			return {
+				location: unit.name,
+				code: unit.code,
+				level: unit.type,
+				recordCount: unitRows.length,
+				metrics: calculatePLEMetrics(unitRows, { year: scope.year })
+			};
+		});
+	} else if (category === 'all') {
+		// One entry per unit with each sector's count and metrics side by side
+		const bySector = {};
+		for (const sector of SECTORS) {
+			const facilities = await loadCSVData(scope.district.name, sector, env, location);
+			bySector[sector] = getLocationRollup(facilities, locations, { category: sector, parentCode: code, level, population });
+		}
+		units = bySector.health.map((unit, index) => ({
+			location: unit.location,
+			code: unit.code,
+			level: unit.level,
+			facilityCount: Object.fromEntries(SECTORS.map(sector => [sector, bySector[sector][index].facilityCount])),
+			metrics: Object.fromEntries(SECTORS.map(sector => [sector, bySector[sector][index].metrics]))
+		}));
+	} else {
+		const facilities = await loadCSVData(scope.district.name, category, env, location);
+		units = getLocationRollup(facilities, locations, {
+			category,
+			parentCode: code,
+			level,
+			population: category === 'health' ? population : null
+		});
+	}
+
+	return dataResponse({ category, location: scope.location, level, units });
+}
+
+/**
+ * Helper: Validate the category, location and year parameters and look up the location
+ */
+async function resolveScope(url, env) {
+	const category = url.searchParams.get('category');
+	const code = url.searchParams.get('location');
+	const year = url.searchParams.get('year');
+
+	if (!CATEGORIES.includes(category)) {
+		return { error: `Category must be one of ${CATEGORIES.join(', ')}`, status: 400 };
+	}
+	if (!code || !/^D\d+(S\d+(P\d+(V\d+)?)?)?$/.test(code)) {
+		return { error: 'Location must be a location code such as D01 or D01S09', status: 400 };
+	}
+	if (year !== null && !/^\d{4}$/.test(year)) {
+		return { error: 'Year must be a four-digit year', status: 400 };
+	}
+
+	const locations = await loadLocations(env);
+	const entry = getLocationIndex(locations).byCode.get(code);
+	if (!entry) {
+		return { error: `Location "${code}" not found`, status: 404 };
+	}
+
+	const ancestors = getLocationAncestors(locations, code);
+	const district = entry.type === 'district' ? entry : ancestors[0];
+
+	return {
+		category,
+		code,
+		year: year ? parseInt(year, 10) : null,
+		locations,
+		district,
+		location: { type: entry.type, code: entry.code, name: entry.name, ancestors },
+		// Population figures are only used for health coverage
+		population: category === 'health' || category === 'all' ? await loadPopulation(env) : null
+	};
+}
@@ -0,0 +1,32 @@
+/**
+ * Schema endpoint: the JSON Schemas of the /query responses
+ *
+ * GET /schema?kind=response|model
+ *
+ * `response` (default) is the schema of what POST /query returns. `model` is the schemas
+ * the model's output is validated against, one per response type, and the strict schema
+ * sent to providers with structured outputs.
+ */
+
+import { RESPONSE_SCHEMA, MODEL_SCHEMAS, MODEL_RESPONSE_FORMAT } from '../utils/responseSchema.js';
+import { jsonResponse, dataResponse } from '../utils/http.js';
+
+const KINDS = ['response', 'model'];
+
+/**
+ * GET /schema
+ * @param {Object} route - {url}
+ * @returns {Response} The response schema, or {types, responseFormat} for kind=model
+ */
+export function handleSchema({ url }) {
+	const kind = url.searchParams.get('kind') || 'response';
+
+	if (!KINDS.includes(kind)) {
+		return jsonResponse({ error: `Kind must be one of ${KINDS.join(', ')}` }, 400);
+	}
+
+	if (kind === 'model') {
+		return dataResponse({ types: MODEL_SCHEMAS, responseFormat: MODEL_RESPONSE_FORMAT });
+	}
+	return dataResponse(RESPONSE_SCHEMA);
+}
@@ -1,21 +1,50 @@
-import OpenAI from 'openai';
-import { loadCSVData, loadLocations, getLocationByCode } from './utils/dataLoader.js';
+import { loadCSVData, loadLocations, getLocationByCode, loadTrendData, getDataSchema, loadPopulation, getPopulation, isWithinLocation } from './utils/dataLoader.js';
 import { calculateMetrics } from './utils/metrics.js';
-import { buildOpenAIPrompt, validateResponse } from './utils/queryProcessor.js';
-
-// CORS headers for dashboard integration
-const corsHeaders = {
-	'Access-Control-Allow-Origin': '*', // TODO: Replace with actual dashboard domain
-	'Access-Control-Allow-Methods': 'POST, OPTIONS',
-	'Access-Control-Allow-Headers': 'Content-Type',
-	'Access-Control-Max-Age': '86400',
-};
+import { buildOpenAIPrompt, validateResponse, buildMetricsResponse, detectQueryIntent, getExampleQueries } from './utils/queryProcessor.js';
+import { TREND_DATASETS, detectTrendRequest, calculateTrendMetrics } from './utils/trends.js';
+import { calculatePLEMetrics, detectPLEYear } from './utils/pleMetrics.js';
+import { planQuery, executePlan, executeFilter, RULES_CONFIDENCE_THRESHOLD } from './utils/queryEngine.js';
+import { validateFilter } from './utils/filterEngine.js';
+import { RANKING_METRICS, computeRankings, computeCrossSectorRankings, alignSectors, detectRankingMetric, detectRankingOrder } from './utils/rankings.js';
+import { detectSpatialQuery, executeSpatialQuery, getLocationCentroids } from './utils/geo.js';
+import { getResponseFormat, toFeatureCollection, GEOJSON_CONTENT_TYPE } from './utils/geojson.js';
+import { createEventStream, createFieldReader } from './utils/sse.js';
+import { createLLMProvider, createFallbackProvider, getChatSettings } from './providers/index.js';
+import { completeJSON, getCompletionSettings } from './providers/completion.js';
+import { MODEL_RESPONSE_FORMAT, validateModelResponse } from './utils/responseSchema.js';
+import { getVerificationMode, verifyResponse } from './utils/verification.js';
+import { buildSources } from './utils/sources.js';
+import { createSessionStore, resolveTurn, recordTurn, getHistory } from './utils/sessions.js';
+import { resolveEntities } from './utils/entityResolver.js';
+import { corsHeaders, jsonResponse, withEdgeCache } from './utils/http.js';
+import { handleLocationTree, handleLocation, handleLocationSearch } from './handlers/locations.js';
+import { handleMetrics, handleMetricsBreakdown } from './handlers/metrics.js';
+import { handleFacilities, handleFacility } from './handlers/facilities.js';
+import { handleDataQuality } from './handlers/dataQuality.js';
+import { handleSchema } from './handlers/schema.js';
+
+// Data endpoints, answered from the data files (or, for /schema, the code) without calling the model.
+// Handlers receive {url, params, env} where params are the captured path segments.
+const GET_ROUTES = [
+	{ pattern: /^\/locations\/?$/, handler: handleLocationTree },
+	{ pattern: /^\/locations\/search\/?$/, handler: handleLocationSearch },
+	{ pattern: /^\/locations\/([^/]+)\/?$/, handler: handleLocation },
+	{ pattern: /^\/metrics\/?$/, handler: handleMetrics },
+	{ pattern: /^\/metrics\/breakdown\/?$/, handler: handleMetricsBreakdown },
+	{ pattern: /^\/facilities\/?$/, handler: handleFacilities },
+	{ pattern: /^\/facilities\/([^/]+)\/?$/, handler: handleFacility },
+	{ pattern: /^\/data-quality\/?$/, handler: handleDataQuality },
+	{ pattern: /^\/schema\/?$/, handler: handleSchema }
+];
 
 // Rate limiting storage (simple in-memory for now)
 const rateLimitMap = new Map();
 const RATE_LIMIT = 20; // requests per minute
 const RATE_WINDOW = 60000; // 1 minute in ms
 
+// Facility registers combined when the category is 'all'
+const SECTORS = ['health', 'education'];
+
 export default {
 	async fetch(request, env, ctx) {
 		// Handle CORS preflight
@@ -23,13 +52,18 @@ export default {
 			return new Response(null, { headers: corsHeaders });
 		}
 
-		// Only accept POST requests to /query
+		const url = new URL(request.url);
+
+		if (request.method === 'GET') {
+			return handleGet(request, url, env, ctx);
+		}
+
+		// Only accept POST requests to /query and /query/stream
 		if (request.method !== 'POST') {
 			return jsonResponse({ error: 'Method not allowed' }, 405);
 		}
 
-		const url = new URL(request.url);
-		if (url.pathname !== '/query') {
+		if (url.pathname !== '/query' && url.pathname !== '/query/stream') {
 			return jsonResponse({ error: 'Not found' }, 404);
 		}
 
@@ -52,106 +86,558 @@ export default {
 				}, 400);
 			}
 
-			const { query, location, category } = body;
-
-			// Check cache first
-			const cacheKey = buildCacheKey(query, location, category);
-			const cache = caches.default;
-			let response = await cache.match(cacheKey);
-
-			if (response) {
-				console.log('Cache hit:', cacheKey);
-				return response;
+			// An array of categories covering both sectors is the same as 'all'
+			if (Array.isArray(body.category)) {
+				body.category = new Set(body.category).size > 1 ? 'all' : body.category[0];
 			}
 
-			console.log('Cache miss, processing query:', { query, location, category });
+			const { page, pageSize } = body;
+			const format = getResponseFormat(body.format, request.headers.get('Accept'));
 
-			// Load locations hierarchy
+			// Follow-up questions inherit whatever they leave out from the conversation so far
+			const sessions = createSessionStore(env);
+			const session = await sessions.get(body.conversationId || crypto.randomUUID());
 			const locations = await loadLocations(env);
 
-			// Find district by code
-			const district = getLocationByCode(locations, location.district);
-			if (!district || district.type !== 'district') {
+			// A first question without a location or category gets them from the query text
+			let resolved = null;
+			if (session.turns.length === 0 && (!body.location || !body.category)) {
+				const entities = resolveEntities(body.query, locations);
+				if (!body.location && entities.ambiguous) {
+					return jsonResponse({
+						type: 'clarification',
+						text: 'That place name matches more than one location. Which one do you mean?',
+						suggestions: entities.candidates.map(candidate => candidate.label),
+						candidates: entities.candidates,
+						conversationId: session.id,
+						timestamp: new Date().toISOString()
+					});
+				}
+
+				// Questions without any category vocabulary cover both sectors
+				resolved = {
+					location: body.location || entities.location,
+					category: body.category || entities.category || 'all',
+					inferred: [!body.location && entities.location && 'location', !body.category && 'category'].filter(Boolean)
+				};
+				if (!body.location) resolved.place = entities.place;
+				body.location = resolved.location;
+				body.category = resolved.category;
+			}
+
+			const turn = resolveTurn(body, session, locations);
+			if (!turn.location?.district || !turn.category) {
 				return jsonResponse({
 					type: 'clarification',
-					text: `District with code "${location.district}" not found. Please check the location.`,
-					suggestions: [],
+					text: 'I could not find a district, subcounty, parish or village in the question. Which location do you mean?',
+					suggestions: locations.districts.map(district => `${body.query.replace(/[?.!\s]+$/, '')} in ${district.name}`),
+					conversationId: session.id,
 					timestamp: new Date().toISOString()
 				}, 400);
 			}
 
-			// Load facility data using district name for file path and location codes for filtering
-			const facilityData = await loadCSVData(district.name, category, env, location);
-
-			// Calculate aggregated metrics
-			const metrics = calculateMetrics(facilityData, location, category);
-
-			// Build OpenAI prompt and get response
-			const openai = new OpenAI({ apiKey: env.OPENAI_API_KEY });
-
-			const prompt = buildOpenAIPrompt(query, location, category, metrics, facilityData, district);
+			const queryRequest = { ...turn, page, pageSize, history: getHistory(session) };
+			const conversation = {
+				store: sessions,
+				session,
+				resolved,
+				place: getLocationByCode(locations, turn.location.village || turn.location.parish || turn.location.subcounty || turn.location.district)?.name
+			};
+
+			// Check cache first. Streamed and plain answers share cache entries; answers
+			// that build on earlier turns are never cached.
+			const cacheKey = buildCacheKey(turn.analysisQuery, turn.location, turn.category, { page, pageSize, format });
+			const cache = caches.default;
+			const cacheable = session.turns.length === 0;
+			const cached = cacheable ? await cache.match(cacheKey) : undefined;
 
-			const startTime = Date.now();
-			const completion = await openai.chat.completions.create({
-				model: 'gpt-4o-mini',
-				messages: [
-					{ role: 'system', content: getSystemPrompt() },
-					{ role: 'user', content: prompt }
-				],
-				temperature: 0.7,
-				max_tokens: 1000,
-				response_format: { type: 'json_object' }
-			});
+			if (url.pathname === '/query/stream' || body.stream === true) {
+				return streamQuery(queryRequest, format, { cache, cacheKey, cached, cacheable }, conversation, env, ctx);
+			}
 
-			const duration = Date.now() - startTime;
-			const aiResponse = JSON.parse(completion.choices[0].message.content);
-
-			// Validate and format response
-			const finalResponse = validateResponse(aiResponse);
-			finalResponse.timestamp = new Date().toISOString();
-
-			// Log for monitoring
-			console.log({
-				timestamp: finalResponse.timestamp,
-				category,
-				location: location.district,
-				queryLength: query.length,
-				responseType: finalResponse.type,
-				duration_ms: duration,
-				tokensUsed: completion.usage.total_tokens,
-				cached: false
-			});
+			if (cached) {
+				console.log('Cache hit:', cacheKey);
+				const payload = await cached.json();
+				ctx.waitUntil(recordTurn(sessions, session, describeTurn(queryRequest, conversation.place, payload)));
+				return jsonResponse(withResponseContext(payload, conversation), 200, cached.headers.get('Content-Type'));
+			}
 
-			// Create response and cache it
-			response = jsonResponse(finalResponse, 200);
+			const result = await processQuery(queryRequest, format, env);
 
-			// Cache for 1 hour
-			ctx.waitUntil(cache.put(cacheKey, response.clone()));
+			// Cache for 1 hour (without the conversation id and resolved entities, which belong to this caller);
+			// metrics-only answers given while the model is unavailable are not cached
+			if (result.status === 200 && cacheable && !result.data.degraded) {
+				ctx.waitUntil(cache.put(cacheKey, queryResponse(result.data, format, result.geoOptions, result.status)));
+			}
+			ctx.waitUntil(recordTurn(sessions, session, describeTurn(queryRequest, conversation.place, result.data)));
 
-			return response;
+			return queryResponse(withResponseContext(result.data, conversation), format, result.geoOptions, result.status);
 
 		} catch (error) {
 			console.error('Error processing query:', error);
+			const failure = getErrorResponse(error);
+			return jsonResponse(failure.data, failure.status);
+		}
+	}
+};
 
-			// Handle specific error types
-			if (error.message?.includes('timeout')) {
-				return jsonResponse({
-					type: 'clarification',
-					text: 'The request took too long to process. Please try rephrasing your query.',
-					suggestions: [],
-					timestamp: new Date().toISOString()
-				}, 504);
+/**
+ * Route a GET request to a data endpoint. Responses are cached at the edge and are not
+ * rate limited, as they never call the model.
+ * @param {Request} request - Incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Response
+ */
+async function handleGet(request, url, env, ctx) {
+	for (const { pattern, handler } of GET_ROUTES) {
+		const match = url.pathname.match(pattern);
+		if (match) {
+			try {
+				const params = match.slice(1).map(decodeURIComponent);
+				return await withEdgeCache(request, ctx, () => handler({ url, params, env }));
+			} catch (error) {
+				console.error(`Error handling GET ${url.pathname}:`, error);
+				return jsonResponse({ error: 'Internal server error' }, 500);
 			}
+		}
+	}
+
+	if (url.pathname === '/query' || url.pathname === '/query/stream') {
+		return jsonResponse({ error: 'Method not allowed' }, 405);
+	}
+	return jsonResponse({ error: 'Not found' }, 404);
+}
 
-			return jsonResponse({
+/**
+ * Answer a query: load the data, compute metrics, then answer locally or with the model
+ * @param {Object} request - Resolved turn from resolveTurn() plus page, pageSize and history
+ * @param {string} format - 'json' or 'geojson'
+ * @param {Object} env - Environment bindings
+ * @param {Object} hooks - Optional streaming callbacks
+ * @param {Function} hooks.onContext - Called with the locally computed context before answering
+ * @param {Function} hooks.onDelta - Called with each piece of response text as the model writes it
+ * @param {Function} hooks.onReset - Called when the text sent so far is dropped (another model attempt replaces it)
+ * @returns {Promise<Object>} {status, data, geoOptions}
+ */
+async function processQuery(request, format, env, hooks = {}) {
+	const { query, analysisQuery, location, category, page, pageSize, history } = request;
+
+	console.log('Cache miss, processing query:', { query, location, category });
+
+	// Load locations hierarchy
+	const locations = await loadLocations(env);
+
+	// Find district by code
+	const district = getLocationByCode(locations, location.district);
+	if (!district || district.type !== 'district') {
+		return {
+			status: 400,
+			data: {
 				type: 'clarification',
-				text: 'Sorry, I encountered an error processing your query. Please try again or rephrase your question.',
+				text: `District with code "${location.district}" not found. Please check the location.`,
 				suggestions: [],
+				sources: [],
 				timestamp: new Date().toISOString()
-			}, 500);
+			}
+		};
+	}
+
+	const intent = detectQueryIntent(analysisQuery);
+
+	// Population figures are only used for health coverage against the facility level benchmarks
+	const population = category === 'health' || category === 'all' ? await loadPopulation(env) : null;
+	const scopeCode = location.village || location.parish || location.subcounty || location.district;
+	const scopePopulation = population ? getPopulation(population, locations, scopeCode) : null;
+
+	// Load facility data using district name for file path and location codes for filtering,
+	// then calculate aggregated metrics. PLE questions work on the exam results instead of the
+	// facility register; cross-sector questions load both registers and keep their metrics apart.
+	let facilityData;
+	let facilitiesByCategory = null;
+	let metrics;
+	if (category === 'ple') {
+		facilityData = await loadTrendData('ple_analysis.csv', env, location);
+		metrics = calculatePLEMetrics(facilityData, { year: detectPLEYear(analysisQuery) });
+	} else if (category === 'all') {
+		facilitiesByCategory = {};
+		metrics = {};
+		for (const sector of SECTORS) {
+			facilitiesByCategory[sector] = await loadCSVData(district.name, sector, env, location);
+			metrics[sector] = calculateMetrics(facilitiesByCategory[sector], location, sector, {
+				population: sector === 'health' ? scopePopulation : null
+			});
 		}
+		facilityData = SECTORS.flatMap(sector => facilitiesByCategory[sector]);
+	} else {
+		facilityData = await loadCSVData(district.name, category, env, location);
+		metrics = calculateMetrics(facilityData, location, category, { population: scopePopulation });
+	}
+
+	const scope = getLocationByCode(locations, location.village || location.parish || location.subcounty) || district;
+
+	// Datasets the answer is built from, cited in its `sources` (metrics paths as in the verification sources)
+	const datasets = category === 'all'
+		? SECTORS.map(sector => ({ category: sector, rows: facilitiesByCategory[sector], metrics: metrics[sector], path: `metrics.${sector}` }))
+		: [{ category, rows: facilityData, metrics, path: 'metrics', file: category === 'ple' ? 'ple_analysis.csv' : null }];
+
+	hooks.onContext?.({ category, location, place: scope.name, metrics });
+
+	// Distance questions are answered from the facility coordinates without calling the model.
+	// Searches cover the whole district so that facilities just over a boundary are not missed.
+	const spatial = category === 'ple' ? null : detectSpatialQuery(analysisQuery, category);
+	if (spatial) {
+		const healthRows = await loadCSVData(district.name, 'health', env, { district: district.code });
+		const educationRows = await loadCSVData(district.name, 'education', env, { district: district.code });
+		const spatialResult = executeSpatialQuery(spatial, {
+			facilities: { health: healthRows, education: educationRows }[category] || [...healthRows, ...educationRows],
+			healthFacilities: healthRows,
+			allFacilities: [...healthRows, ...educationRows],
+			locations,
+			districtCode: district.code,
+			districtName: district.name,
+			scopeCode,
+			placeName: scope.name
+		}, { category, page, pageSize });
+		const spatialResponse = validateResponse(spatialResult);
+
+		// A place that cannot be found gets a clarification, which is built from no data
+		spatialResponse.sources = spatialResponse.type === 'clarification' ? [] : buildSources(
+			SECTORS.filter(sector => category === 'all' || sector === category)
+				.map(sector => ({ category: sector, rows: sector === 'health' ? healthRows : educationRows })),
+			{ scopeCode, listed: spatialResponse.facilities?.map(facility => facility.facility_id) ?? null }
+		);
+		spatialResponse.timestamp = new Date().toISOString();
+
+		console.log({
+			timestamp: spatialResponse.timestamp,
+			category,
+			location: location.district,
+			queryLength: query.length,
+			responseType: spatialResponse.type,
+			engine: 'geo',
+			spatialAction: spatial.action,
+			cached: false
+		});
+
+		return { status: 200, data: spatialResponse };
+	}
+
+	// Simple count and filter questions are answered from the rows without calling the model
+	// A place named in the query that is not the selected location (or one containing it) is left to the model
+	const named = resolveEntities(analysisQuery, locations);
+	const namedCode = named.location && (named.location.village || named.location.parish || named.location.subcounty || named.location.district);
+	const namesOtherPlace = named.ambiguous || Boolean(namedCode && !isWithinLocation(scopeCode, namedCode));
+	const plan = planQuery(analysisQuery, category, intent, { namesOtherPlace });
+	if (plan.confidence >= RULES_CONFIDENCE_THRESHOLD) {
+		const ruleResponse = validateResponse(executePlan(plan, facilityData, { category, placeName: scope.name, page, pageSize }));
+		ruleResponse.sources = buildSources(datasets, {
+			scopeCode,
+			filter: ruleResponse.filters ? { category, filter: ruleResponse.filters } : null
+		});
+		ruleResponse.timestamp = new Date().toISOString();
+
+		console.log({
+			timestamp: ruleResponse.timestamp,
+			category,
+			location: location.district,
+			queryLength: query.length,
+			responseType: ruleResponse.type,
+			engine: 'rules',
+			confidence: plan.confidence,
+			cached: false
+		});
+
+		return { status: 200, data: ruleResponse };
+	}
+
+	// Exam questions asked under education also get the PLE summary
+	const includesEducation = category === 'education' || category === 'all';
+	let ple = null;
+	if (includesEducation && intent.mentionsExam) {
+		const pleRows = await loadTrendData('ple_analysis.csv', env, location);
+		ple = calculatePLEMetrics(pleRows, { year: detectPLEYear(analysisQuery) });
+		datasets.push({ category: 'ple', rows: pleRows, metrics: ple, path: 'ple', file: 'ple_analysis.csv' });
+	}
+
+	// Time-series questions get a year-by-year series from data/trends (education only)
+	let trend = null;
+	if (includesEducation && intent.isTrend) {
+		const trendRequest = detectTrendRequest(analysisQuery);
+		const trendRows = await loadTrendData(TREND_DATASETS[trendRequest.dataset].file, env, location);
+		trend = calculateTrendMetrics(trendRows, trendRequest);
+		datasets.push({ category: 'trend', rows: trendRows, metrics: trend, path: 'trend', file: TREND_DATASETS[trendRequest.dataset].file });
+	}
+
+	// Comparison questions get rankings computed across every unit under the location
+	// (PLE comparisons rank subcounties or schools on the exam results)
+	let rankings = null;
+	const rankingOrder = detectRankingOrder(analysisQuery);
+	const rankingOptions = category === 'ple'
+		? { order: rankingOrder, year: metrics.year, level: getPLERankingLevel(analysisQuery) }
+		: { order: rankingOrder, population };
+	if (RANKING_METRICS[category] && intent.isComparison) {
+		rankings = computeRankings(facilityData, locations, location, category, detectRankingMetric(analysisQuery, category), rankingOptions);
+	} else if (category === 'all' && intent.isComparison) {
+		rankings = computeCrossSectorRankings(facilitiesByCategory, locations, location, getSectorMetricKeys(analysisQuery), { order: rankingOrder, population });
+	}
+
+	// Cross-sector questions see both sectors' metrics lined up by location code
+	const sectors = category === 'all' ? alignSectors(facilitiesByCategory, locations, scopeCode, { population }) : null;
+
+	// Build the prompt and get the model's response from the configured provider
+	const prompt = buildOpenAIPrompt(query, location, category, metrics, facilityData, district, { trend, ple, rankings, locations, population, history, facilitiesByCategory, sectors });
+
+	// In strict verification mode the text is only sent once its figures have been checked
+	const verificationMode = getVerificationMode(env);
+	const streaming = verificationMode === 'strict' ? {} : { onDelta: hooks.onDelta, onReset: hooks.onReset };
+
+	const startTime = Date.now();
+	let completion;
+	try {
+		completion = await createCompletion(env, {
+			messages: [
+				{ role: 'system', content: getSystemPrompt() },
+				{ role: 'user', content: prompt }
+			],
+			...getChatSettings(env),
+			responseFormat: MODEL_RESPONSE_FORMAT,
+			metadata: { query, category }
+		}, streaming);
+	} catch (error) {
+		// No model gave a valid answer (after retries, a re-ask and any fallback model): answer from the metrics
+		console.error('Model unavailable, answering from the metrics:', error.message);
+		return {
+			status: 200,
+			data: {
+				...buildMetricsResponse(metrics, category, scope.name),
+				sources: buildSources(datasets, { scopeCode }),
+				timestamp: new Date().toISOString()
+			},
+			geoOptions: {}
+		};
+	}
+
+	const duration = Date.now() - startTime;
+	const aiResponse = completion.response;
+
+	// Validate and format response
+	let finalResponse = validateResponse(aiResponse);
+	let appliedFilter = null;
+
+	// Filter results always come from running the filter over the data, never from the model
+	// (cross-sector filters run on whichever register has the fields they use)
+	if (finalResponse.type === 'filter') {
+		const targets = category === 'all' ? SECTORS.map(sector => [sector, facilitiesByCategory[sector]]) : [[category, facilityData]];
+		const checks = targets.map(([name, rows]) => ({ name, rows, ...validateFilter(finalResponse.filters, getDataSchema(name, rows)) }));
+		const { valid, errors, filter, name, rows } = checks.find(check => check.valid) || checks[0];
+		if (valid) {
+			Object.assign(finalResponse, { filters: filter }, executeFilter(filter, rows, { category: name, page, pageSize }));
+			appliedFilter = { category: name, filter };
+			finalResponse.text = finalResponse.text.replace(/\{resultCount\}/g, finalResponse.resultCount);
+		} else {
+			console.warn('Rejected model filter:', errors);
+			finalResponse = {
+				type: 'clarification',
+				text: 'I could not turn that question into a filter on the available data. Could you rephrase it?',
+				suggestions: getExampleQueries(category),
+				suggestedView: 'grid'
+			};
+		}
+	}
+
+	// Rankings always come from the ranking engine; the model only writes the narrative
+	if (finalResponse.type === 'comparison' && RANKING_METRICS[category]) {
+		const metricKey = RANKING_METRICS[category][aiResponse.rankingMetric]
+			? aiResponse.rankingMetric
+			: rankings?.metric || detectRankingMetric(analysisQuery, category);
+		if (rankings?.metric !== metricKey) {
+			rankings = computeRankings(facilityData, locations, location, category, metricKey, rankingOptions);
+		}
+		finalResponse.rankings = rankings.rankings;
+		finalResponse.rankingMetric = { key: rankings.metric, label: rankings.label, level: rankings.level, order: rankings.order };
+	} else if (finalResponse.type === 'comparison' && category === 'all') {
+		const metricKeys = getSectorMetricKeys(analysisQuery);
+		SECTORS.forEach(sector => {
+			const requested = aiResponse.rankingMetric?.[sector];
+			if (RANKING_METRICS[sector][requested]) metricKeys[sector] = requested;
+		});
+		if (!rankings || SECTORS.some(sector => rankings.metrics[sector].key !== metricKeys[sector])) {
+			rankings = computeCrossSectorRankings(facilitiesByCategory, locations, location, metricKeys, { order: rankingOrder, population });
+		}
+		finalResponse.rankings = rankings.rankings;
+		finalResponse.rankingMetric = { ...rankings.metrics, level: rankings.level, order: rankings.order };
 	}
-};
+
+	finalResponse.timestamp = new Date().toISOString();
+
+	// Chart series always come from the computed trend, never from the model
+	if (finalResponse.type === 'trend') {
+		if (trend?.series.length > 0) {
+			finalResponse.metric = `${trend.dataset}.${trend.measure}`;
+			finalResponse.series = trend.series;
+			finalResponse.summary = trend.summary;
+		} else {
+			finalResponse.type = 'answer';
+			delete finalResponse.series;
+			delete finalResponse.summary;
+		}
+	}
+
+	// Figures in the answer must come from the data the model was given or the facility rows
+	finalResponse = verifyResponse(finalResponse, {
+		sources: { metrics, ple, trend, sectors, population: scopePopulation, rankings: finalResponse.rankings, resultCount: finalResponse.resultCount },
+		rows: facilityData,
+		mode: verificationMode
+	});
+	finalResponse.sources = buildSources(datasets, {
+		scopeCode,
+		filter: appliedFilter,
+		claims: finalResponse.verification?.claims,
+		prompted: true
+	});
+
+	// Log for monitoring
+	console.log({
+		timestamp: finalResponse.timestamp,
+		category,
+		location: location.district,
+		queryLength: query.length,
+		responseType: finalResponse.type,
+		engine: completion.provider.name,
+		model: completion.provider.model,
+		duration_ms: duration,
+		attempts: completion.attempts,
+		repaired: completion.repaired || completion.reasked,
+		tokensUsed: completion.usage?.total_tokens,
+		unverifiedFigures: finalResponse.verification?.unverified,
+		cached: false
+	});
+
+	// Ranked units are placed on the map at their facility centroids, and ranked schools
+	// at their coordinates in the school register
+	const mapsSchools = format === 'geojson' && rankings?.level === 'school';
+	const centroids = format === 'geojson' && finalResponse.rankings && !mapsSchools
+		? getLocationCentroids(facilityData, locations, scopeCode, rankings.level)
+		: [];
+	const schools = mapsSchools ? await loadCSVData(district.name, 'education', env, { district: district.code }) : [];
+
+	return { status: 200, data: finalResponse, geoOptions: { centroids, schools } };
+}
+
+/**
+ * Answer a query as Server-Sent Events: a `context` event with the computed metrics,
+ * `delta` events with the response text as it is written, then a `result` event with
+ * the validated response (or an `error` event). A `reset` event tells the client to drop
+ * the text sent so far when another model attempt replaces it. Cached answers use the same events.
+ * @param {Object} queryRequest - Resolved turn plus page, pageSize and history
+ * @param {string} format - 'json' or 'geojson'
+ * @param {Object} cacheState - {cache, cacheKey, cached, cacheable}
+ * @param {Object} conversation - {store, session, place}
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Response} Event stream response
+ */
+function streamQuery(queryRequest, format, cacheState, conversation, env, ctx) {
+	const events = createEventStream();
+	const conversationId = conversation.session.id;
+	let contextSent = false;
+	let textStreamed = false;
+
+	const sendContext = context => {
+		contextSent = true;
+		events.send('context', { conversationId, ...context });
+	};
+
+	const run = async () => {
+		try {
+			let payload;
+			if (cacheState.cached) {
+				console.log('Cache hit:', cacheState.cacheKey);
+				sendContext({ cached: true, category: queryRequest.category, location: queryRequest.location });
+				payload = await cacheState.cached.json();
+			} else {
+				const result = await processQuery(queryRequest, format, env, {
+					onContext: context => sendContext({ cached: false, ...context }),
+					onDelta: text => {
+						textStreamed = true;
+						events.send('delta', { text });
+					},
+					onReset: () => {
+						textStreamed = false;
+						events.send('reset', {});
+					}
+				});
+				const response = queryResponse(result.data, format, result.geoOptions, result.status);
+				if (result.status === 200 && cacheState.cacheable && !result.data.degraded) {
+					await cacheState.cache.put(cacheState.cacheKey, response.clone());
+				}
+				payload = await response.json();
+			}
+
+			if (!contextSent) {
+				sendContext({ cached: false, category: queryRequest.category, location: queryRequest.location });
+			}
+
+			// Local and cached answers have no model deltas, so their text is sent in one piece
+			const text = payload.text ?? payload.metadata?.text;
+			if (!textStreamed && text) {
+				events.send('delta', { text });
+			}
+
+			await recordTurn(conversation.store, conversation.session, describeTurn(queryRequest, conversation.place, payload));
+			events.send('result', withResponseContext(payload, conversation));
+		} catch (error) {
+			console.error('Error streaming query:', error);
+			events.send('error', getErrorResponse(error).data);
+		} finally {
+			await events.close();
+		}
+	};
+
+	ctx.waitUntil(run());
+
+	return new Response(events.readable, {
+		headers: {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			...corsHeaders
+		}
+	});
+}
+
+/**
+ * Get the model's JSON response, from the configured provider or the fallback model,
+ * streaming the response text when onDelta is given
+ * @param {Object} env - Environment bindings (provider settings, see src/providers/index.js)
+ * @param {Object} request - Chat request {messages, temperature, maxTokens, responseFormat, metadata}
+ * @param {Object} streaming - Optional callbacks
+ * @param {Function} streaming.onDelta - Called with each piece of the response "text" field
+ * @param {Function} streaming.onReset - Called when the text streamed so far is replaced by another attempt
+ * @returns {Promise<Object>} {response, usage, provider, attempts, repaired, reasked} from completeJSON()
+ */
+async function createCompletion(env, request, { onDelta = null, onReset = null } = {}) {
+	const providers = [createLLMProvider(env), createFallbackProvider(env)].filter(Boolean);
+
+	// Every attempt streams a new JSON object, so each one gets its own reader
+	let readText = createFieldReader('text');
+
+	return completeJSON(providers, request, {
+		...getCompletionSettings(env),
+		validate: validateModelResponse,
+		onChunk: onDelta
+			? fragment => {
+				const text = readText(fragment);
+				if (text) onDelta(text);
+			}
+			: null,
+		onReset: () => {
+			readText = createFieldReader('text');
+			onReset?.();
+		}
+	});
+}
 
 // Helper functions
 
@@ -168,14 +654,40 @@ function validateQuery(body) {
 		return { valid: false, error: 'Query is too long. Please keep it under 500 characters.' };
 	}
 
-	if (!body.category || !['health', 'education'].includes(body.category)) {
-		return { valid: false, error: 'Category must be either "health" or "education"' };
+	// The category and location can be left out: they are read from the query or,
+	// for follow-ups, inherited from the conversation
+	if (body.conversationId !== undefined && (typeof body.conversationId !== 'string' || !/^[\w-]{1,100}$/.test(body.conversationId))) {
+		return { valid: false, error: 'Conversation ID must be a string of letters, numbers, "-" or "_"' };
 	}
 
-	if (!body.location || !body.location.district) {
+	if (Array.isArray(body.category)) {
+		if (body.category.length === 0 || !body.category.every(category => SECTORS.includes(category))) {
+			return { valid: false, error: 'A category array can only contain "health" and "education"' };
+		}
+	} else if (body.category !== undefined && !['health', 'education', 'ple', 'all'].includes(body.category)) {
+		return { valid: false, error: 'Category must be "health", "education", "ple" or "all"' };
+	}
+
+	if (body.location !== undefined && !body.location?.district) {
 		return { valid: false, error: 'Location with at least a district is required' };
 	}
 
+	if (body.page !== undefined && !(Number.isInteger(body.page) && body.page > 0)) {
+		return { valid: false, error: 'Page must be a positive integer' };
+	}
+
+	if (body.pageSize !== undefined && !(Number.isInteger(body.pageSize) && body.pageSize > 0)) {
+		return { valid: false, error: 'Page size must be a positive integer' };
+	}
+
+	if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+		return { valid: false, error: 'Stream must be true or false' };
+	}
+
+	if (body.format !== undefined && !['json', 'geojson'].includes(body.format)) {
+		return { valid: false, error: 'Format must be "json" or "geojson"' };
+	}
+
 	return { valid: true };
 }
 
@@ -200,9 +712,9 @@ function isRateLimited(clientIP) {
 	return false;
 }
 
-function buildCacheKey(query, location, category) {
+function buildCacheKey(query, location, category, variant = {}) {
 	const locationStr = JSON.stringify(location);
-	const hash = simpleHash(query + locationStr + category);
+	const hash = simpleHash(query + locationStr + category + JSON.stringify(variant));
 	return new Request(`https://cache/${category}/${location.district}/${hash}`);
 }
 
@@ -216,14 +728,73 @@ function simpleHash(str) {
 	return Math.abs(hash).toString(36);
 }
 
-function jsonResponse(data, status = 200) {
-	return new Response(JSON.stringify(data), {
-		status,
-		headers: {
-			'Content-Type': 'application/json',
-			...corsHeaders
+function queryResponse(data, format, geoOptions = {}, status = 200) {
+	// Filter and comparison results can be sent as GeoJSON; everything else stays JSON
+	const collection = format === 'geojson' ? toFeatureCollection(data, geoOptions) : null;
+	return collection
+		? jsonResponse(collection, status, GEOJSON_CONTENT_TYPE)
+		: jsonResponse(data, status);
+}
+
+function withResponseContext(payload, conversation) {
+	// The conversation id and any location or category read from the query belong to this
+	// caller, so they are added after caching. GeoJSON responses carry them under metadata.
+	const context = { conversationId: conversation.session.id };
+	if (conversation.resolved) context.resolved = conversation.resolved;
+
+	if (payload.type === 'FeatureCollection') {
+		return { ...payload, metadata: { ...payload.metadata, ...context } };
+	}
+	return { ...payload, ...context };
+}
+
+function describeTurn(queryRequest, place, payload) {
+	const data = payload.type === 'FeatureCollection' ? payload.metadata : payload;
+	return {
+		query: queryRequest.query,
+		analysisQuery: queryRequest.analysisQuery,
+		location: queryRequest.location,
+		place,
+		category: queryRequest.category,
+		responseType: data.type,
+		text: (data.text || '').slice(0, 300),
+		...(data.filters ? { filters: data.filters } : {})
+	};
+}
+
+function getSectorMetricKeys(query) {
+	return Object.fromEntries(SECTORS.map(sector => [sector, detectRankingMetric(query, sector)]));
+}
+
+function getPLERankingLevel(query) {
+	if (/\bsub-?count(y|ies)\b/i.test(query)) return 'subcounty';
+	if (/\bschools?\b/i.test(query)) return 'school';
+	return undefined;
+}
+
+function getErrorResponse(error) {
+	// Handle specific error types
+	if (error.message?.includes('timeout')) {
+		return {
+			status: 504,
+			data: {
+				type: 'clarification',
+				text: 'The request took too long to process. Please try rephrasing your query.',
+				suggestions: [],
+				timestamp: new Date().toISOString()
+			}
+		};
+	}
+
+	return {
+		status: 500,
+		data: {
+			type: 'clarification',
+			text: 'Sorry, I encountered an error processing your query. Please try again or rephrase your question.',
+			suggestions: [],
+			timestamp: new Date().toISOString()
 		}
-	});
+	};
 }
 
 function getSystemPrompt() {
@@ -239,7 +810,8 @@ Your role:
 
 Available data context:
 - Location hierarchy: Districts > Subcounties > Parishes > Villages
-- Categories: Health facilities, Education facilities
+- Categories: Health facilities, Education facilities, PLE (Primary Leaving Examination) results, or health and education together ("all")
+- Trends: Yearly primary/secondary enrolment, PLE results and institution counts (education only)
 - Metrics vary by category (see data schema)
 
 Response guidelines:
@@ -251,15 +823,17 @@ Response guidelines:
 
 You must return a valid JSON object with this structure:
 {
-  "type": "answer" | "filter" | "comparison" | "clarification",
+  "type": "answer" | "filter" | "comparison" | "trend" | "clarification",
   "text": "Plain language response",
-  "data": {} (for answer type) | "filters": {} (for filter type) | "rankings": [] (for comparison type) | "suggestions": [] (for clarification type),
+  "data": [{"label": "", "value": ""}] (for answer type) | "filters": {} (for filter type) | "rankingMetric": "" (for comparison type) | "insights": "" (for comparison and trend types) | "suggestions": [] (for clarification type),
   "suggestedView": "map" | "grid" | "charts" | "comparison",
-  "suggestedAction": "Optional action user should take (string, optional)"
+  "suggestedAction": "Optional action user should take (string or null)"
 }
+Fields that do not belong to the response type are null or left out. The response is checked against this format and sent back if it does not match.
 
-For answer type, include data object with relevant metrics.
-For filter type, include filters object with filter criteria and resultCount.
-For comparison type, include rankings array with location comparisons.
+For answer type, include data array with the key figures you quote.
+For filter type, include filters object with the filter criteria; the results are attached by the system.
+For comparison type, name the metric to rank by; the rankings are attached by the system.
+For trend type, describe the change over time; the series itself is attached by the system.
 For clarification type, include suggestions array with alternative query options.`;
 }
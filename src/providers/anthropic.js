@@ -0,0 +1,97 @@
+/**
+ * Anthropic Messages API provider
+ *
+ * The Messages API has no JSON mode, so the assistant turn is started with "{" and the
+ * model completes the object.
+ */
+
+import { readEventData } from '../utils/sse.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Claude models
+ * @param {Object} env - Environment bindings (ANTHROPIC_API_KEY)
+ * @param {string} model - Model name
+ * @returns {Object} Provider
+ */
+export function createAnthropicProvider(env, model) {
+	if (!env.ANTHROPIC_API_KEY) {
+		throw new Error('The anthropic provider needs ANTHROPIC_API_KEY');
+	}
+
+	return {
+		name: 'anthropic',
+		model,
+		async chat({ messages, temperature, maxTokens, signal }, onChunk = null) {
+			const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+			const response = await fetch(API_URL, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'x-api-key': env.ANTHROPIC_API_KEY,
+					'anthropic-version': API_VERSION
+				},
+				body: JSON.stringify({
+					model,
+					system,
+					messages: [
+						...messages.filter(message => message.role !== 'system'),
+						{ role: 'assistant', content: '{' }
+					],
+					temperature,
+					max_tokens: maxTokens,
+					stream: Boolean(onChunk)
+				}),
+				signal
+			});
+
+			if (!response.ok) {
+				const error = new Error(`Anthropic API error ${response.status}: ${await response.text()}`);
+				error.status = response.status;
+				error.headers = response.headers;
+				throw error;
+			}
+
+			if (!onChunk) {
+				const message = await response.json();
+				const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+				return { content: `{${text}`, usage: toUsage(message.usage) };
+			}
+
+			let content = '{';
+			let usage = {};
+			onChunk(content);
+
+			for await (const data of readEventData(response.body)) {
+				const event = JSON.parse(data);
+				if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+					content += event.delta.text;
+					onChunk(event.delta.text);
+				} else if (event.type === 'message_start') {
+					usage = { ...usage, ...event.message.usage };
+				} else if (event.type === 'message_delta') {
+					usage = { ...usage, ...event.usage };
+				} else if (event.type === 'error') {
+					const error = new Error(`Anthropic API error: ${event.error?.message}`);
+					// Overloaded and API errors mid-stream are server side
+					error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+					throw error;
+				}
+			}
+
+			return { content, usage: toUsage(usage) };
+		}
+	};
+}
+
+/**
+ * Helper: Anthropic token counts in the {prompt_tokens, completion_tokens, total_tokens} shape
+ */
+function toUsage(usage) {
+	if (!usage?.input_tokens && !usage?.output_tokens) return null;
+	const prompt = usage.input_tokens || 0;
+	const completion = usage.output_tokens || 0;
+	return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
@@ -0,0 +1,324 @@
+/**
+ * Resilient JSON completions on top of the providers
+ *
+ * Each attempt has a deadline (an AbortController). Rate limits, server errors, timeouts
+ * and network failures are retried with exponential backoff and full jitter. When an attempt
+ * that was streamed is replaced (by a retry, a re-ask, the fallback model or a failure),
+ * onReset is called first so that the listener can drop what it was sent. Each model has a circuit breaker:
+ * after CIRCUIT_THRESHOLD failed completions in a row it is skipped for CIRCUIT_COOLDOWN_MS,
+ * then one completion is let through to test it. Output that is not valid JSON (e.g. cut
+ * off at max tokens) is repaired where possible, by dropping the last incomplete member but
+ * never by closing a cut-off string; otherwise the model is asked once more;
+ * so is output that breaks the response schema, with the violations listed for the model.
+ * The providers are tried in order (the configured provider, then any fallback model).
+ * Breaker state lives in the worker isolate, so each isolate keeps its own.
+ */
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const CIRCUIT_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+const REASK_PROMPT = 'Your previous reply was cut off or was not valid JSON. Reply again with only one complete JSON object in the required format, keeping the text brief.';
+const SCHEMA_REASK_PROMPT = 'Your previous reply did not match the required format:\n{violations}\nReply again with only one JSON object that fixes these problems.';
+
+// Consecutive failures and the time each model's circuit opened, by "provider:model"
+const circuits = new Map();
+
+/**
+ * Timeout and retry settings from the environment
+ * @param {Object} env - Environment bindings (LLM_TIMEOUT_MS, LLM_MAX_RETRIES)
+ * @returns {Object} {timeoutMs, maxRetries}
+ */
+export function getCompletionSettings(env = {}) {
+	const timeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10);
+	const maxRetries = parseInt(env.LLM_MAX_RETRIES, 10);
+
+	return {
+		timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS,
+		maxRetries: maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES
+	};
+}
+
+/**
+ * Get a JSON object from the first provider that can give one
+ * @param {Array<Object>} providers - Providers to try in order
+ * @param {Object} request - Chat request {messages, temperature, maxTokens, metadata}
+ * @param {Object} options - Options
+ * @param {Function} options.onChunk - Called with each raw piece of a streamed response
+ * @param {Function} options.onReset - Called before the pieces streamed so far are replaced by another attempt's
+ * @param {number} options.timeoutMs - Deadline for each attempt
+ * @param {number} options.maxRetries - Retries after the first attempt, per provider
+ * @param {Function} options.validate - Returns the schema violations of a parsed response, as strings
+ * @returns {Promise<Object>} {response, usage, provider, attempts, repaired, reasked}
+ * @throws {Error} The last error when no provider gave a usable response; schema failures carry `violations`
+ */
+export async function completeJSON(providers, request, options = {}) {
+	let lastError = null;
+
+	// Each attempt streams a new reply from the start, so the listener has to drop an earlier one
+	let streamed = false;
+	const onChunk = options.onChunk
+		? fragment => {
+			streamed = true;
+			options.onChunk(fragment);
+		}
+		: null;
+	const onReset = () => {
+		if (!streamed) return;
+		streamed = false;
+		options.onReset?.();
+	};
+
+	for (const provider of providers) {
+		const circuit = `${provider.name}:${provider.model}`;
+		if (isCircuitOpen(circuit)) {
+			console.warn(`Skipping ${circuit}: circuit open after repeated failures`);
+			lastError = new Error(`Circuit open for ${circuit}`);
+			continue;
+		}
+
+		try {
+			const result = await completeWithProvider(provider, request, { ...options, onChunk, onReset });
+			circuits.delete(circuit);
+			return { ...result, provider };
+		} catch (error) {
+			recordFailure(circuit);
+			console.error(`Completion failed with ${circuit}:`, error.message);
+			lastError = error;
+		}
+	}
+
+	onReset();
+	throw lastError || new Error('No model provider configured');
+}
+
+/**
+ * Parse model output as a JSON object, repairing code fences, surrounding text and
+ * output cut off part way (output cut off inside a string is only repaired by dropping
+ * the member it is in, so that part of a text is never passed off as all of it)
+ * @param {string} content - Model output
+ * @returns {Object|null} Parsed object, or null when it cannot be repaired
+ */
+export function parseModelJSON(content) {
+	const parsed = tryParse(content);
+	if (parsed) return parsed;
+
+	const text = String(content || '').replace(/```(?:json)?/gi, '');
+	const start = text.indexOf('{');
+	if (start === -1) return null;
+	const body = text.slice(start);
+
+	const end = body.lastIndexOf('}');
+	if (end !== -1) {
+		const trimmed = tryParse(body.slice(0, end + 1));
+		if (trimmed) return trimmed;
+	}
+
+	return repairTruncated(body);
+}
+
+/**
+ * Helper: Retried completions with one provider, then repair or re-ask
+ */
+async function completeWithProvider(provider, request, { onChunk = null, onReset = () => {}, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, validate = () => [] }) {
+	let attempts = 0;
+
+	const attempt = async (chatRequest, chunkHandler) => {
+		for (let retry = 0; ; retry++) {
+			attempts++;
+			onReset();
+			try {
+				return await chatWithDeadline(provider, chatRequest, chunkHandler, timeoutMs);
+			} catch (error) {
+				if (retry >= maxRetries || !isRetryable(error)) throw error;
+				const delay = getBackoffDelay(retry, error);
+				console.warn(`Retrying ${provider.name} in ${delay} ms after:`, error.message);
+				await sleep(delay);
+			}
+		}
+	};
+
+	const completion = await attempt(request, onChunk);
+	let response = parseModelJSON(completion.content);
+	let violations = response ? validate(response) : [];
+	if (response && violations.length === 0) {
+		return { response, usage: completion.usage, attempts, repaired: tryParse(completion.content) === null, reasked: false };
+	}
+
+	// Not repairable or not in the required format: ask again once, without streaming
+	let reask = REASK_PROMPT;
+	if (response) {
+		console.warn(`Response from ${provider.name} breaks the schema, asking again:`, violations.join('; '));
+		reask = SCHEMA_REASK_PROMPT.replace('{violations}', violations.map(violation => `- ${violation}`).join('\n'));
+	} else {
+		console.warn(`Invalid JSON from ${provider.name}, asking again:`, String(completion.content).slice(0, 200));
+	}
+
+	// The previous reply goes back with the request so that the model can correct it
+	const previous = String(completion.content || '').trim() ? [{ role: 'assistant', content: completion.content }] : [];
+	const retry = await attempt({
+		...request,
+		messages: [...request.messages, ...previous, { role: 'user', content: reask }]
+	}, null);
+	response = parseModelJSON(retry.content);
+	if (!response) {
+		throw new Error(`${provider.name} did not return valid JSON`);
+	}
+	violations = validate(response);
+	if (violations.length > 0) {
+		const error = new Error(`${provider.name} response breaks the schema: ${violations.join('; ')}`);
+		error.violations = violations;
+		throw error;
+	}
+	return { response, usage: addUsage(completion.usage, retry.usage), attempts, repaired: false, reasked: true };
+}
+
+/**
+ * Helper: One chat call that is aborted at the deadline, even if the provider ignores the signal
+ */
+async function chatWithDeadline(provider, request, onChunk, timeoutMs) {
+	const controller = new AbortController();
+	let timer;
+	const deadline = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(`Model request timed out after ${timeoutMs} ms`);
+			error.code = 'timeout';
+			controller.abort(error);
+			reject(error);
+		}, timeoutMs);
+	});
+
+	try {
+		return await Promise.race([provider.chat({ ...request, signal: controller.signal }, onChunk), deadline]);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+/**
+ * Helper: Whether an error is worth retrying: timeouts, network failures, 408, 409, 429 and 5xx
+ */
+function isRetryable(error) {
+	if (error.code === 'timeout') return true;
+	const status = error.status;
+	if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+	// Connection failures from fetch or the openai SDK carry no status
+	return error instanceof TypeError || /connection|network|fetch failed|ECONNRESET/i.test(error.message || '');
+}
+
+/**
+ * Helper: Backoff before a retry, with full jitter; a Retry-After header sets the minimum
+ */
+function getBackoffDelay(retry, error) {
+	const ceiling = Math.min(BACKOFF_BASE_MS * 2 ** retry, BACKOFF_MAX_MS);
+	const retryAfter = parseFloat(error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']);
+	const minimum = isNaN(retryAfter) ? 0 : Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+	return Math.round(Math.max(Math.random() * ceiling, minimum));
+}
+
+/**
+ * Helper: Whether a model's circuit is open; after the cooldown one completion is let through
+ */
+function isCircuitOpen(key) {
+	const circuit = circuits.get(key);
+	if (!circuit || circuit.failures < CIRCUIT_THRESHOLD) return false;
+	if (Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN_MS) return true;
+
+	// Half open: the next failure opens the circuit again for another cooldown
+	circuits.set(key, { failures: CIRCUIT_THRESHOLD - 1, openedAt: null });
+	return false;
+}
+
+/**
+ * Helper: Count a failed completion, opening the circuit at the threshold
+ */
+function recordFailure(key) {
+	const failures = (circuits.get(key)?.failures || 0) + 1;
+	circuits.set(key, { failures, openedAt: failures >= CIRCUIT_THRESHOLD ? Date.now() : null });
+}
+
+/**
+ * Helper: Parse a JSON object, or null
+ */
+function tryParse(text) {
+	try {
+		const value = JSON.parse(text);
+		return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Helper: Close a JSON object that was cut off, dropping the last incomplete member if needed
+ */
+function repairTruncated(body) {
+	// Positions at which the text can be cut and closed: the end, then before each comma
+	const cuts = [];
+	let inString = false;
+
+	for (let i = 0; i < body.length; i++) {
+		const char = body[i];
+		if (inString) {
+			if (char === '\\') i++;
+			else if (char === '"') inString = false;
+			continue;
+		}
+		if (char === '"') inString = true;
+		else if (char === ',') cuts.push(i);
+	}
+
+	cuts.push(body.length);
+	for (const cut of cuts.reverse().slice(0, 20)) {
+		const candidate = closeJSON(body.slice(0, cut));
+		const parsed = candidate && tryParse(candidate);
+		if (parsed) return parsed;
+	}
+	return null;
+}
+
+/**
+ * Helper: Close open arrays and objects at the end of a JSON prefix, or null if it ends inside a string
+ */
+function closeJSON(prefix) {
+	const stack = [];
+	let inString = false;
+	let escaped = false;
+
+	for (const char of prefix) {
+		if (inString) {
+			if (escaped) escaped = false;
+			else if (char === '\\') escaped = true;
+			else if (char === '"') inString = false;
+			continue;
+		}
+		if (char === '"') inString = true;
+		else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+		else if (char === '}' || char === ']') stack.pop();
+	}
+
+	if (inString) return null;
+	return prefix.replace(/[\s,:]+$/, '') + stack.reverse().join('');
+}
+
+/**
+ * Helper: Add the token counts of two calls
+ */
+function addUsage(a, b) {
+	if (!a || !b) return a || b || null;
+	return {
+		prompt_tokens: (a.prompt_tokens || 0) + (b.prompt_tokens || 0),
+		completion_tokens: (a.completion_tokens || 0) + (b.completion_tokens || 0),
+		total_tokens: (a.total_tokens || 0) + (b.total_tokens || 0)
+	};
+}
+
+/**
+ * Helper: Wait
+ */
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
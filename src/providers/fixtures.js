@@ -0,0 +1,59 @@
+/**
+ * Canned responses for the mock provider
+ *
+ * Each fixture is {name, match, category, response}: `match` is a regular expression
+ * tested against the question (case-insensitive) and `category` the categories it
+ * applies to; either can be left out. The first fixture that fits is replayed, so the
+ * catch-all answer comes last. Filter fixtures use fields of each register's schema so
+ * that the filter engine accepts them, and every response matches its model schema
+ * (src/utils/responseSchema.js).
+ */
+
+export const DEFAULT_FIXTURES = [
+	{
+		name: 'trend',
+		match: '\\b(trends?|over time|over the years|since|changed?|growth|grown)\\b',
+		response: {
+			type: 'trend',
+			text: 'Mock trend answer: the series below is computed from the trend data.',
+			insights: 'Mock insight: compare the first and last years of the series.'
+		}
+	},
+	{
+		name: 'comparison',
+		match: '\\b(compare|comparison|rank|ranking|most|least|best|worst|highest|lowest)\\b',
+		response: {
+			type: 'comparison',
+			text: 'Mock comparison: the rankings below are computed from the data.',
+			insights: 'Mock insight: the top and bottom units are listed first and last.'
+		}
+	},
+	{
+		name: 'filter-education',
+		match: '\\b(show|list|find|which)\\b',
+		category: ['education'],
+		response: {
+			type: 'filter',
+			text: 'Mock filter: {resultCount} schools without electricity.',
+			filters: { field: 'electricity_available', operator: 'eq', value: false }
+		}
+	},
+	{
+		name: 'filter-health',
+		match: '\\b(show|list|find|which)\\b',
+		category: ['health', 'all'],
+		response: {
+			type: 'filter',
+			text: 'Mock filter: {resultCount} health facilities without a laboratory.',
+			filters: { field: 'has_laboratory', operator: 'eq', value: false }
+		}
+	},
+	{
+		name: 'answer',
+		response: {
+			type: 'answer',
+			text: 'Mock answer: the figures for this question are in the computed metrics.',
+			data: []
+		}
+	}
+];
@@ -0,0 +1,101 @@
+/**
+ * Language model providers behind /query
+ *
+ * Every provider has the same chat contract, so the query pipeline does not depend on
+ * whose model answers it:
+ *
+ *   provider = {name, model, chat(request, onChunk) => Promise<{content, usage}>}
+ *   request  = {messages: [{role: 'system'|'user'|'assistant', content}], temperature, maxTokens, responseFormat, metadata, signal}
+ *
+ * `content` is the text of a single JSON object (JSON mode). When `onChunk` is given the
+ * response is streamed and `onChunk` receives each raw piece of `content` as it arrives.
+ * `usage` is {prompt_tokens, completion_tokens, total_tokens}, or null when not reported.
+ * `responseFormat` ({name, strict, schema}) is the JSON Schema the object must match; providers
+ * with structured outputs (OpenAI, Azure, Ollama, Workers AI) constrain the model to it and the
+ * others rely on the prompt, since completion.js validates the result either way.
+ * `metadata` ({query, category}) describes the question; only the mock provider reads it.
+ * `signal` is an AbortSignal for the request deadline. Failed requests throw, with the
+ * HTTP status as `error.status` where there is one, so that completion.js can retry them.
+ *
+ * The provider is chosen with environment variables:
+ * - LLM_PROVIDER: openai (default), azure, anthropic, workers-ai, ollama or mock
+ * - LLM_MODEL: model name (default per provider, see DEFAULT_MODELS)
+ * - LLM_TEMPERATURE (default 0.7) and LLM_MAX_TOKENS (default 1000)
+ * - LLM_TIMEOUT_MS and LLM_MAX_RETRIES: deadline and retries of each request (see completion.js)
+ * - LLM_FALLBACK_PROVIDER and/or LLM_FALLBACK_MODEL: a second model to try when the first fails
+ * - Per provider: OPENAI_API_KEY; AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT
+ *   and AZURE_OPENAI_API_VERSION; ANTHROPIC_API_KEY; the AI binding for Workers AI;
+ *   OLLAMA_BASE_URL; LLM_FIXTURES (JSON array of fixtures) for the mock
+ */
+
+import { createOpenAIProvider, createAzureOpenAIProvider, createOllamaProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createWorkersAIProvider } from './workersAI.js';
+import { createMockProvider } from './mock.js';
+
+const DEFAULT_MODELS = {
+	openai: 'gpt-4o-mini',
+	azure: null, // the deployment name
+	anthropic: 'claude-3-5-haiku-latest',
+	'workers-ai': '@cf/meta/llama-3.1-8b-instruct',
+	ollama: 'llama3.1',
+	mock: 'fixtures'
+};
+
+const PROVIDERS = {
+	openai: createOpenAIProvider,
+	azure: createAzureOpenAIProvider,
+	anthropic: createAnthropicProvider,
+	'workers-ai': createWorkersAIProvider,
+	ollama: createOllamaProvider,
+	mock: createMockProvider
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 1000;
+
+/**
+ * Create the provider configured in the environment
+ * @param {Object} env - Environment bindings and variables
+ * @returns {Object} Provider {name, model, chat(request, onChunk)}
+ */
+export function createLLMProvider(env = {}) {
+	const name = (env.LLM_PROVIDER || 'openai').toLowerCase();
+	const create = PROVIDERS[name];
+	if (!create) {
+		throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}"; use one of ${Object.keys(PROVIDERS).join(', ')}`);
+	}
+
+	return create(env, env.LLM_MODEL || DEFAULT_MODELS[name]);
+}
+
+/**
+ * Create the fallback provider configured in the environment
+ * The fallback provider defaults to LLM_PROVIDER and its model to that provider's default.
+ * @param {Object} env - Environment bindings and variables
+ * @returns {Object|null} Provider, or null when no fallback is configured
+ */
+export function createFallbackProvider(env = {}) {
+	if (!env.LLM_FALLBACK_PROVIDER && !env.LLM_FALLBACK_MODEL) return null;
+
+	return createLLMProvider({
+		...env,
+		LLM_PROVIDER: env.LLM_FALLBACK_PROVIDER || env.LLM_PROVIDER,
+		LLM_MODEL: env.LLM_FALLBACK_MODEL
+	});
+}
+
+/**
+ * Sampling settings from the environment, for chat requests
+ * @param {Object} env - Environment bindings and variables
+ * @returns {Object} {temperature, maxTokens}
+ */
+export function getChatSettings(env = {}) {
+	const temperature = parseFloat(env.LLM_TEMPERATURE);
+	const maxTokens = parseInt(env.LLM_MAX_TOKENS, 10);
+
+	return {
+		temperature: isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature,
+		maxTokens: maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS
+	};
+}
@@ -0,0 +1,65 @@
+/**
+ * Deterministic mock provider, for running the /query pipeline offline and in tests
+ *
+ * Replays the first fixture that fits the question (see fixtures.js), without any
+ * network access. LLM_FIXTURES, a JSON array of fixtures, replaces the built-in ones.
+ */
+
+import { DEFAULT_FIXTURES } from './fixtures.js';
+
+const CHUNK_SIZE = 16; // characters per streamed piece
+
+/**
+ * Mock provider replaying fixtures
+ * @param {Object} env - Environment bindings (LLM_FIXTURES)
+ * @param {string} model - Reported model name
+ * @returns {Object} Provider
+ */
+export function createMockProvider(env, model) {
+	const fixtures = env.LLM_FIXTURES ? parseFixtures(env.LLM_FIXTURES) : DEFAULT_FIXTURES;
+
+	return {
+		name: 'mock',
+		model,
+		async chat({ messages, metadata = {} }, onChunk = null) {
+			const fixture = fixtures.find(candidate => fixtureMatches(candidate, metadata));
+			if (!fixture) {
+				throw new Error(`No mock fixture matches "${metadata.query}"`);
+			}
+
+			const content = JSON.stringify(fixture.response);
+			if (onChunk) {
+				for (let i = 0; i < content.length; i += CHUNK_SIZE) {
+					onChunk(content.slice(i, i + CHUNK_SIZE));
+				}
+			}
+
+			// Token counts are estimated at four characters a token
+			const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+			const completionTokens = Math.ceil(content.length / 4);
+			return {
+				content,
+				usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+			};
+		}
+	};
+}
+
+/**
+ * Helper: Read fixtures from the LLM_FIXTURES variable
+ */
+function parseFixtures(value) {
+	const fixtures = typeof value === 'string' ? JSON.parse(value) : value;
+	if (!Array.isArray(fixtures) || !fixtures.every(fixture => fixture?.response?.type)) {
+		throw new Error('LLM_FIXTURES must be a JSON array of {match, category, response} with a response type');
+	}
+	return fixtures;
+}
+
+/**
+ * Helper: Whether a fixture applies to a question
+ */
+function fixtureMatches(fixture, { query = '', category = null }) {
+	if (fixture.category && ![].concat(fixture.category).includes(category)) return false;
+	return !fixture.match || new RegExp(fixture.match, 'i').test(query);
+}
@@ -0,0 +1,91 @@
+/**
+ * OpenAI and OpenAI-compatible providers (Azure OpenAI, Ollama), all through the openai SDK
+ * The SDK's own retries are turned off; completion.js retries and times out requests.
+ */
+
+import OpenAI, { AzureOpenAI } from 'openai';
+
+/**
+ * OpenAI chat completions
+ * @param {Object} env - Environment bindings (OPENAI_API_KEY)
+ * @param {string} model - Model name
+ * @returns {Object} Provider
+ */
+export function createOpenAIProvider(env, model) {
+	return createChatCompletionsProvider('openai', new OpenAI({ apiKey: env.OPENAI_API_KEY, maxRetries: 0 }), model);
+}
+
+/**
+ * Azure OpenAI; the model is the deployment name
+ * @param {Object} env - Environment bindings (AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION)
+ * @param {string} model - Deployment name (default AZURE_OPENAI_DEPLOYMENT)
+ * @returns {Object} Provider
+ */
+export function createAzureOpenAIProvider(env, model) {
+	const deployment = model || env.AZURE_OPENAI_DEPLOYMENT;
+	if (!env.AZURE_OPENAI_ENDPOINT || !deployment) {
+		throw new Error('Azure OpenAI needs AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT (or LLM_MODEL)');
+	}
+
+	const client = new AzureOpenAI({
+		apiKey: env.AZURE_OPENAI_API_KEY,
+		endpoint: env.AZURE_OPENAI_ENDPOINT,
+		deployment,
+		apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+		maxRetries: 0
+	});
+	return createChatCompletionsProvider('azure', client, deployment);
+}
+
+/**
+ * A local Ollama server, through its OpenAI-compatible endpoint
+ * @param {Object} env - Environment bindings (OLLAMA_BASE_URL, default http://localhost:11434)
+ * @param {string} model - Model name
+ * @returns {Object} Provider
+ */
+export function createOllamaProvider(env, model) {
+	const baseURL = `${(env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '')}/v1`;
+	return createChatCompletionsProvider('ollama', new OpenAI({ baseURL, apiKey: 'ollama', maxRetries: 0 }), model);
+}
+
+/**
+ * Helper: Provider over a chat completions client, with structured outputs when the
+ * request has a response format and JSON mode otherwise
+ */
+function createChatCompletionsProvider(name, client, model) {
+	return {
+		name,
+		model,
+		async chat({ messages, temperature, maxTokens, responseFormat, signal }, onChunk = null) {
+			const request = {
+				model,
+				messages,
+				temperature,
+				max_tokens: maxTokens,
+				response_format: responseFormat
+					? { type: 'json_schema', json_schema: responseFormat }
+					: { type: 'json_object' }
+			};
+
+			if (!onChunk) {
+				const completion = await client.chat.completions.create(request, { signal });
+				return { content: completion.choices[0].message.content, usage: completion.usage || null };
+			}
+
+			const stream = await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, { signal });
+			let content = '';
+			let usage = null;
+
+			for await (const chunk of stream) {
+				const fragment = chunk.choices?.[0]?.delta?.content || '';
+				if (fragment) {
+					content += fragment;
+					onChunk(fragment);
+				}
+				if (chunk.usage) usage = chunk.usage;
+			}
+
+			return { content, usage };
+		}
+	};
+}
@@ -0,0 +1,53 @@
+/**
+ * Cloudflare Workers AI provider, through the AI binding
+ */
+
+import { readEventData } from '../utils/sse.js';
+
+/**
+ * Workers AI text generation models
+ * @param {Object} env - Environment bindings (AI)
+ * @param {string} model - Model name (e.g. '@cf/meta/llama-3.1-8b-instruct')
+ * @returns {Object} Provider
+ */
+export function createWorkersAIProvider(env, model) {
+	if (!env.AI) {
+		throw new Error('The workers-ai provider needs an AI binding in wrangler.jsonc');
+	}
+
+	return {
+		name: 'workers-ai',
+		model,
+		async chat({ messages, temperature, maxTokens, responseFormat }, onChunk = null) {
+			const result = await env.AI.run(model, {
+				messages,
+				temperature,
+				max_tokens: maxTokens,
+				response_format: responseFormat
+					? { type: 'json_schema', json_schema: responseFormat.schema }
+					: { type: 'json_object' },
+				stream: Boolean(onChunk)
+			});
+
+			if (!onChunk) {
+				// In JSON mode the response may already be parsed
+				const content = typeof result.response === 'string' ? result.response : JSON.stringify(result.response);
+				return { content, usage: result.usage || null };
+			}
+
+			let content = '';
+			let usage = null;
+			for await (const data of readEventData(result)) {
+				if (data === '[DONE]') break;
+				const event = JSON.parse(data);
+				if (event.response) {
+					content += event.response;
+					onChunk(event.response);
+				}
+				if (event.usage) usage = event.usage;
+			}
+
+			return { content, usage };
+		}
+	};
+}
@@ -0,0 +1,182 @@
+/**
+ * RFC 4180 CSV parser
+ *
+ * Text is parsed as it arrives, so a large file such as ple_analysis.csv can be read
+ * from a stream (an asset response or R2 object body) without first buffering the whole
+ * text. Quoted fields may contain commas, doubled quotes and line breaks; CRLF and LF
+ * line endings and a leading UTF-8 BOM are handled. The type of each column is detected
+ * on the way through, while cells themselves are kept as trimmed text.
+ */
+
+const BOOLEAN_PATTERN = /^(yes|no|true|false)$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Create an incremental CSV parser
+ * The first record is the header row. Blank lines are skipped, missing cells are ''
+ * and cells beyond the header are dropped.
+ * @param {Object} options - Parser options
+ * @param {Function} options.onRow - Called with each row object instead of collecting the rows
+ * @returns {Object} {write(text), end()}; end() returns {headers, rows, types}
+ */
+export function createCSVParser({ onRow = null } = {}) {
+	let headers = null;
+	let columns = [];
+	const rows = [];
+
+	let record = [];
+	let field = '';
+	let inQuotes = false;
+	let fieldStart = true; // no character of the current field read yet
+	let afterQuote = false; // the last character closed a quoted section
+	let afterCR = false; // the last character was a CR ending a record
+	let started = false;
+
+	const endField = () => {
+		record.push(field);
+		field = '';
+		fieldStart = true;
+		afterQuote = false;
+	};
+
+	const endRecord = () => {
+		endField();
+		const values = record;
+		record = [];
+		if (values.length === 1 && values[0].trim() === '') return;
+
+		if (!headers) {
+			headers = values.map(value => value.trim());
+			columns = headers.map(() => ({ seen: false, boolean: true, integer: true, number: true }));
+			return;
+		}
+
+		const row = {};
+		headers.forEach((header, index) => {
+			const value = (values[index] || '').trim();
+			row[header] = value;
+			if (value !== '') detectType(columns[index], value);
+		});
+		if (onRow) {
+			onRow(row);
+		} else {
+			rows.push(row);
+		}
+	};
+
+	return {
+		/**
+		 * Parse the next piece of text; a record may continue into the next piece
+		 * @param {string} text - CSV text
+		 */
+		write(text) {
+			let start = 0;
+			if (!started && text.length > 0) {
+				started = true;
+				if (text.charCodeAt(0) === 0xFEFF) start = 1;
+			}
+
+			for (let i = start; i < text.length; i++) {
+				const char = text[i];
+
+				if (afterCR) {
+					afterCR = false;
+					if (char === '\n') continue;
+				}
+
+				if (inQuotes) {
+					if (char === '"') {
+						inQuotes = false;
+						afterQuote = true;
+					} else {
+						field += char;
+					}
+					continue;
+				}
+
+				if (char === '"') {
+					if (afterQuote) {
+						// A doubled quote inside a quoted field
+						field += '"';
+						inQuotes = true;
+						afterQuote = false;
+					} else if (fieldStart) {
+						inQuotes = true;
+						fieldStart = false;
+					} else {
+						// A stray quote in an unquoted field is kept as text
+						field += char;
+					}
+				} else if (char === ',') {
+					endField();
+				} else if (char === '\r' || char === '\n') {
+					afterCR = char === '\r';
+					endRecord();
+				} else {
+					field += char;
+					fieldStart = false;
+					afterQuote = false;
+				}
+			}
+		},
+
+		/**
+		 * Finish parsing; an unterminated quoted field runs to the end of the text
+		 * @returns {Object} {headers, rows, types: {column: 'boolean'|'integer'|'number'|'string'}}
+		 */
+		end() {
+			if (inQuotes) {
+				console.warn('CSV ended inside a quoted field');
+			}
+			if (!fieldStart || field !== '' || record.length > 0) {
+				endRecord();
+			}
+
+			const types = {};
+			(headers || []).forEach((header, index) => {
+				types[header] = columnType(columns[index]);
+			});
+			return { headers: headers || [], rows, types };
+		}
+	};
+}
+
+/**
+ * Parse a CSV stream as it is read
+ * @param {ReadableStream} stream - UTF-8 byte stream (e.g. response.body or an R2 object's body)
+ * @param {Object} options - createCSVParser() options
+ * @returns {Promise<Object>} {headers, rows, types}
+ */
+export async function parseCSVStream(stream, options = {}) {
+	const parser = createCSVParser(options);
+	const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+	while (true) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		parser.write(value);
+	}
+	return parser.end();
+}
+
+/**
+ * Helper: Narrow a column's possible types by one non-blank value
+ */
+function detectType(column, value) {
+	column.seen = true;
+	if (column.boolean && !BOOLEAN_PATTERN.test(value)) column.boolean = false;
+	if (column.integer && !INTEGER_PATTERN.test(value)) column.integer = false;
+	if (column.number && !NUMBER_PATTERN.test(value)) column.number = false;
+}
+
+/**
+ * Helper: The narrowest type that fits every value of a column; blank columns are text
+ */
+function columnType(column) {
+	if (!column.seen) return 'string';
+	if (column.boolean) return 'boolean';
+	if (column.integer) return 'integer';
+	if (column.number) return 'number';
+	return 'string';
+}
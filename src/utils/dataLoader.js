@@ -3,9 +3,23 @@
  * For Cloudflare Workers, data files are served as static assets
  */
 
+import { FACILITY_SCHEMAS, normaliseFacilityRows, describeFields } from './facilitySchema.js';
+import { checkDataQuality } from './dataQuality.js';
+import { parseCSVStream } from './csvParser.js';
+
 // Cache loaded data in memory during worker execution
 const dataCache = new Map();
 
+// Column types detected while parsing each trend file, for getDataSchema()
+const columnTypes = new Map();
+
+// Paths of the facility registers and the trend files under the repository root
+export const REGISTER_FILES = {
+	health: '/data/facilities/health_facilities.csv',
+	education: '/data/facilities/education_facilities.csv'
+};
+export const TRENDS_DIR = '/data/trends';
+
 /**
  * Clean location value by removing prefixes (d-, s-, p-, v-)
  * @param {string} value - Location value with possible prefix
@@ -89,13 +103,65 @@ function filterByLocation(facilities, location) {
 	return filtered;
 }
 
+/**
+ * Fetch a raw data file from the ASSETS binding, falling back to GitHub
+ * @param {string} filePath - Path under the repository root (e.g. '/data/population.json')
+ * @param {object} env - Environment bindings (for ASSETS if configured)
+ * @returns {Promise<string|null>} File content or null if no source is available
+ */
+async function fetchDataFile(filePath, env = null) {
+	const response = await fetchDataResponse(filePath, env);
+	return response ? await response.text() : null;
+}
+
+/**
+ * Parse a CSV data file as it downloads, without buffering the whole text
+ * @param {string} filePath - Path under the repository root (e.g. '/data/trends/ple_analysis.csv')
+ * @param {object} env - Environment bindings (for ASSETS if configured)
+ * @returns {Promise<Object|null>} {headers, rows, types} from parseCSVStream(), or null if no source is available
+ */
+async function fetchCSVFile(filePath, env = null) {
+	const response = await fetchDataResponse(filePath, env);
+	return response ? await parseCSVStream(response.body) : null;
+}
+
+/**
+ * Helper: Response for a data file from the ASSETS binding or GitHub, or null
+ */
+async function fetchDataResponse(filePath, env) {
+	// Try to load from ASSETS binding if available (configured in wrangler)
+	if (env?.ASSETS) {
+		try {
+			const response = await env.ASSETS.fetch(new Request(`https://example.com${filePath}`));
+			if (response.ok) {
+				return response;
+			}
+		} catch (e) {
+			console.warn('ASSETS binding failed:', e.message);
+		}
+	}
+
+	// Fallback: Try to fetch from GitHub
+	try {
+		const response = await fetch(`https://raw.githubusercontent.com/fourlanes/ug-district-gen-ai-api/main${filePath}`);
+		if (response.ok) {
+			return response;
+		}
+		console.warn(`HTTP ${response.status} for ${filePath}`);
+	} catch (e) {
+		console.warn(`Fetch failed for ${filePath}:`, e.message);
+	}
+
+	return null;
+}
+
 /**
  * Load CSV data for a specific district and category
  * @param {string} districtName - District name (e.g., "Kayunga")
  * @param {string} category - 'health' or 'education'
  * @param {object} env - Environment bindings (for ASSETS if configured)
  * @param {object} location - Full location object with codes for filtering
- * @returns {Promise<Array>} Parsed CSV data as array of objects
+ * @returns {Promise<Array>} Facility rows with the typed fields of facilitySchema.js
  */
 export async function loadCSVData(districtName, category, env = null, location = null) {
 	const cacheKey = `${districtName.toLowerCase()}_${category}`;
@@ -106,62 +172,25 @@ export async function loadCSVData(districtName, category, env = null, location =
 		districtData = dataCache.get(cacheKey);
 	} else {
 		try {
-			// Determine file path based on category
-			const fileName = category === 'health'
-				? 'health_facilities.csv'
-				: 'education_facilities.csv';
-
-			const filePath = `/data/facilities/${fileName}`;
-
-			let csvContent;
-
-			// Try to load from ASSETS binding if available (configured in wrangler)
-			if (env?.ASSETS) {
-				try {
-					const response = await env.ASSETS.fetch(new Request(`https://example.com${filePath}`));
-					if (response.ok) {
-						csvContent = await response.text();
-					}
-				} catch (e) {
-					console.warn('ASSETS binding failed:', e.message);
-				}
-			}
-
-			// Fallback: Try to fetch from GitHub
-			if (!csvContent) {
-				try {
-					const response = await fetch(`https://raw.githubusercontent.com/fourlanes/ug-district-gen-ai-api/main${filePath}`);
-					if (response.ok) {
-						csvContent = await response.text();
-					} else {
-						console.warn(`HTTP ${response.status} for ${filePath}`);
-					}
-				} catch (e) {
-					console.warn(`Fetch failed for ${filePath}:`, e.message);
-				}
-			}
+			const register = await loadRegister(category, env);
 
 			// If still no content, return empty
-			if (!csvContent) {
-				console.error(`Could not load ${filePath} - no data source available`);
-				console.error('Please configure ASSETS binding or upload to R2/KV');
+			if (!register) {
 				return [];
 			}
 
-			const parsed = parseCSV(csvContent);
-
 			// Filter by district using location_code
 			const districtCode = location?.district;
-			districtData = parsed.filter(row => {
-				const locationCode = row.location_code || row.Location_code || '';
+			districtData = register.rows.filter(row => {
+				const locationCode = row.location_code || '';
 				// If no district code provided, or no location_code in data, include all
 				if (!districtCode || !locationCode) return true;
 				// Check if location_code starts with district code
 				return locationCode.startsWith(districtCode);
 			});
 
-			// Cache district-level data
-			dataCache.set(cacheKey, districtData);
+			// Cache district-level data (rows loaded without a district code are not one district's)
+			if (districtCode) dataCache.set(cacheKey, districtData);
 			console.log(`Loaded ${districtData.length} ${category} facilities for ${districtName} (${districtCode})`);
 		} catch (error) {
 			console.error(`Error loading CSV data for ${districtName}/${category}:`, error);
@@ -179,6 +208,117 @@ export async function loadCSVData(districtName, category, env = null, location =
 	return districtData;
 }
 
+/**
+ * Get the data quality report of a facility register, loading the register if needed
+ * @param {string} category - 'health' or 'education'
+ * @param {object} env - Environment bindings (for ASSETS if configured)
+ * @returns {Promise<Object|null>} Report from checkDataQuality(), or null when the register cannot be loaded
+ */
+export async function getDataQualityReport(category, env = null) {
+	const register = await loadRegister(category, env);
+	return register ? register.quality : null;
+}
+
+/**
+ * Helper: Load a whole facility register once: parse it, map it to the canonical schema
+ * and run the data quality checks
+ */
+async function loadRegister(category, env) {
+	const cacheKey = `register_${category}`;
+	if (dataCache.has(cacheKey)) {
+		return dataCache.get(cacheKey);
+	}
+
+	const filePath = category === 'health' ? REGISTER_FILES.health : REGISTER_FILES.education;
+	const fileName = filePath.split('/').pop();
+
+	const csv = await fetchCSVFile(filePath, env);
+
+	if (!csv) {
+		console.error(`Could not load ${filePath} - no data source available`);
+		console.error('Please configure ASSETS binding or upload to R2/KV');
+		return null;
+	}
+
+	const load = normaliseFacilityRows(csv.rows, category);
+	if (load.unknownColumns.length > 0) {
+		console.warn(`${fileName}: columns not in the ${category} schema, kept as text: ${load.unknownColumns.join(', ')}`);
+	}
+	if (load.missingColumns.length > 0) {
+		const required = load.missingColumns.filter(field => FACILITY_SCHEMAS[category][field].required);
+		console[required.length > 0 ? 'error' : 'warn'](`${fileName}: no column for ${load.missingColumns.join(', ')}; these fields are blank`);
+	}
+
+	const quality = checkDataQuality(load.rows, category, await loadLocations(env), load);
+	const issues = Object.entries(quality.rules).map(([rule, count]) => `${rule}: ${count}`);
+	if (issues.length > 0) {
+		console.warn(`${fileName}: data quality issues in ${quality.facilities.length} of ${quality.recordCount} records (${issues.join(', ')})`);
+	}
+
+	const register = { rows: load.rows, quality };
+	dataCache.set(cacheKey, register);
+	return register;
+}
+
+// The unit one level down from each location type, and the key its children are stored under
+const CHILD_LEVEL = {
+	district: 'subcounty',
+	subcounty: 'parish',
+	parish: 'village'
+};
+
+const LEVEL_KEYS = {
+	district: 'districts',
+	subcounty: 'subcounties',
+	parish: 'parishes',
+	village: 'villages'
+};
+
+// Code -> node indexes, built once per locations object
+const locationIndexes = new WeakMap();
+
+/**
+ * Get the code -> node index of a locations hierarchy, building it on first use
+ * Each node is {type, code, name, parent, children} with parent and children as codes.
+ * Duplicate codes in locations.json are merged into the first node with that code
+ * (keeping its name) so that every code is listed, and every facility counted, once.
+ * @param {Object} locations - Locations data from loadLocations()
+ * @returns {Object} {byCode: Map<code, node>, districts: [codes]}
+ */
+export function getLocationIndex(locations) {
+	if (!locations || typeof locations !== 'object') {
+		return { byCode: new Map(), districts: [] };
+	}
+	if (locationIndexes.has(locations)) {
+		return locationIndexes.get(locations);
+	}
+
+	const byCode = new Map();
+	const add = (node, type, parent) => {
+		let entry = byCode.get(node.code);
+		if (entry) {
+			console.warn(`Duplicate location code ${node.code} (${node.name}) merged into ${entry.name}`);
+		} else {
+			entry = { type, code: node.code, name: node.name, parent, children: [] };
+			byCode.set(node.code, entry);
+			if (parent) byCode.get(parent).children.push(node.code);
+		}
+
+		const childType = CHILD_LEVEL[type];
+		if (childType) {
+			(node[LEVEL_KEYS[childType]] || []).forEach(child => add(child, childType, node.code));
+		}
+	};
+	(locations.districts || []).forEach(district => add(district, 'district', null));
+
+	const index = {
+		byCode,
+		districts: (locations.districts || []).map(district => district.code).filter((code, i, codes) => codes.indexOf(code) === i)
+	};
+	locationIndexes.set(locations, index);
+	return index;
+}
+
 /**
  * Find a location by its code in the locations hierarchy
  * @param {Object} locations - Locations data from loadLocations()
@@ -188,62 +328,106 @@ export async function loadCSVData(districtName, category, env = null, location =
 export function getLocationByCode(locations, code) {
 	if (!locations?.districts || !code) return null;
 
-	// Determine location type by code pattern
-	const isDistrict = /^D\d+$/.test(code);
-	const isSubcounty = /^D\d+S\d+$/.test(code);
-	const isParish = /^D\d+S\d+P\d+$/.test(code);
-	const isVillage = /^D\d+S\d+P\d+V\d+$/.test(code);
-
-	for (const district of locations.districts) {
-		if (district.code === code && isDistrict) {
-			return {
-				type: 'district',
-				code: district.code,
-				name: district.name
-			};
-		}
+	const entry = getLocationIndex(locations).byCode.get(code);
+	if (!entry) return null;
 
-		// Search subcounties
-		for (const subcounty of district.subcounties || []) {
-			if (subcounty.code === code && isSubcounty) {
-				return {
-					type: 'subcounty',
-					code: subcounty.code,
-					name: subcounty.name,
-					district: district.name
-				};
-			}
+	const location = { type: entry.type, code: entry.code, name: entry.name };
+	getLocationAncestors(locations, code).forEach(ancestor => {
+		location[ancestor.type] = ancestor.name;
+	});
+	return location;
+}
 
-			// Search parishes
-			for (const parish of subcounty.parishes || []) {
-				if (parish.code === code && isParish) {
-					return {
-						type: 'parish',
-						code: parish.code,
-						name: parish.name,
-						subcounty: subcounty.name,
-						district: district.name
-					};
-				}
+/**
+ * List the ancestors of a location, district first
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} code - Location code
+ * @returns {Array<Object>} [{type, code, name}] (empty for districts and unknown codes)
+ */
+export function getLocationAncestors(locations, code) {
+	const { byCode } = getLocationIndex(locations);
+	const ancestors = [];
+	let parent = byCode.get(code)?.parent;
+	while (parent) {
+		const entry = byCode.get(parent);
+		ancestors.unshift({ type: entry.type, code: entry.code, name: entry.name });
+		parent = entry.parent;
+	}
+	return ancestors;
+}
 
-				// Search villages
-				for (const village of parish.villages || []) {
-					if (village.code === code && isVillage) {
-						return {
-							type: 'village',
-							code: village.code,
-							name: village.name,
-							parish: parish.name,
-							subcounty: subcounty.name,
-							district: district.name
-						};
-					}
-				}
-			}
+/**
+ * Build the location tree as nested {type, code, name, children} nodes
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} rootCode - Location to start from (all districts when omitted)
+ * @param {number} depth - Levels of children to include (all when omitted)
+ * @returns {Array<Object>} Tree nodes
+ */
+export function getLocationTree(locations, rootCode = null, depth = Infinity) {
+	const { byCode, districts } = getLocationIndex(locations);
+
+	const build = (code, remaining) => {
+		const entry = byCode.get(code);
+		const node = { type: entry.type, code: entry.code, name: entry.name };
+		if (entry.children.length > 0) {
+			node.children = remaining > 0 ? entry.children.map(child => build(child, remaining - 1)) : [];
+			node.childCount = entry.children.length;
 		}
-	}
+		return node;
+	};
 
-	return null;
+	const roots = rootCode ? [rootCode].filter(code => byCode.has(code)) : districts;
+	return roots.map(code => build(code, depth));
+}
+
+/**
+ * List the locations at a level below a parent location
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} parentCode - Parent location code (e.g. 'D01', 'D01S05')
+ * @param {string} level - 'subcounty', 'parish' or 'village' (defaults to one level below the parent)
+ * @returns {Array<Object>} [{type, code, name}]
+ */
+export function getChildLocations(locations, parentCode, level = null) {
+	const { byCode } = getLocationIndex(locations);
+	const parent = byCode.get(parentCode);
+	if (!parent) return [];
+
+	const targetLevel = level || CHILD_LEVEL[parent.type];
+	if (!targetLevel) return [];
+
+	const collect = entry => {
+		if (entry.type === targetLevel) return [{ type: entry.type, code: entry.code, name: entry.name }];
+		return entry.children.flatMap(child => collect(byCode.get(child)));
+	};
+
+	return collect(parent);
+}
+
+/**
+ * Build a location filter ({district, subcounty, ...}) from a location code
+ * @param {string} code - Location code such as D01S09P02
+ * @returns {Object} Location with the code of every level down to the code's own
+ */
+export function locationFromCode(code) {
+	const location = { district: code.match(/^D\d+/)[0] };
+	const subcounty = code.match(/^D\d+S\d+/);
+	const parish = code.match(/^D\d+S\d+P\d+/);
+	const village = code.match(/^D\d+S\d+P\d+V\d+/);
+	if (subcounty) location.subcounty = subcounty[0];
+	if (parish) location.parish = parish[0];
+	if (village) location.village = village[0];
+	return location;
+}
+
+/**
+ * Check whether a location_code falls within a location (D01S01 contains D01S01P02 but not D01S010)
+ * @param {string} locationCode - Facility or row location_code
+ * @param {string} unitCode - Location code to test against
+ * @returns {boolean} True if locationCode is the unit or one of its descendants
+ */
+export function isWithinLocation(locationCode, unitCode) {
+	if (!locationCode || !unitCode) return false;
+	return locationCode.startsWith(unitCode) && !/\d/.test(locationCode.charAt(unitCode.length));
 }
 
 /**
@@ -292,6 +476,7 @@ export async function loadLocations(env = null) {
 		}
 
 		const locations = JSON.parse(content);
+		getLocationIndex(locations);
 		dataCache.set(cacheKey, locations);
 		return locations;
 	} catch (error) {
@@ -301,88 +486,118 @@ export async function loadLocations(env = null) {
 }
 
 /**
- * Load trend data for analysis
- * @param {string} fileName - Trend file name
- * @returns {Promise<Array>} Parsed trend data
- */
-export async function loadTrendData(fileName) {
-	console.log('Trend data loading not yet implemented:', fileName);
-	return [];
-}
-
-/**
- * Parse CSV string into array of objects
- * @param {string} csvContent - Raw CSV content
- * @returns {Array<Object>} Parsed data
+ * Load population figures keyed by location code from data/population.json
+ * @param {object} env - Environment bindings
+ * @returns {Promise<Object>} Population data {source, year, populations: {code: {name, population}}}
  */
-function parseCSV(csvContent) {
-	const lines = csvContent.trim().split('\n');
-	if (lines.length === 0) return [];
+export async function loadPopulation(env = null) {
+	const cacheKey = 'population';
 
-	// Parse header
-	const headers = parseCSVLine(lines[0]);
-
-	// Parse rows
-	const data = [];
-	for (let i = 1; i < lines.length; i++) {
-		if (!lines[i].trim()) continue;
+	if (dataCache.has(cacheKey)) {
+		return dataCache.get(cacheKey);
+	}
 
-		const values = parseCSVLine(lines[i]);
-		const row = {};
+	try {
+		const content = await fetchDataFile('/data/population.json', env);
 
-		headers.forEach((header, index) => {
-			row[header.trim()] = values[index]?.trim() || '';
-		});
+		if (!content) {
+			console.warn('Could not load population.json, coverage metrics will be skipped');
+			return {};
+		}
 
-		data.push(row);
+		const population = JSON.parse(content);
+		dataCache.set(cacheKey, population);
+		return population;
+	} catch (error) {
+		console.error('Error loading population:', error);
+		return {};
 	}
+}
 
-	return data;
+/**
+ * Look up the population of a location
+ * When the location itself has no figure, the figures of the units one level
+ * below are summed, but only if every one of them is known.
+ * @param {Object} population - Population data from loadPopulation()
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} code - Location code (e.g. 'D01S12')
+ * @returns {number|null} Population or null if it is not known
+ */
+export function getPopulation(population, locations, code) {
+	const known = population?.populations?.[code]?.population;
+	if (typeof known === 'number') return known;
+
+	const children = getChildLocations(locations, code);
+	if (children.length === 0) return null;
+
+	let total = 0;
+	for (const child of children) {
+		const childPopulation = getPopulation(population, locations, child.code);
+		if (childPopulation === null) return null;
+		total += childPopulation;
+	}
+	return total;
 }
 
 /**
- * Parse a single CSV line, handling quoted fields
- * @param {string} line - CSV line
- * @returns {Array<string>} Parsed values
+ * Load trend data for analysis
+ * Trend files are cached whole; rows are then filtered by location_code.
+ * Note that trend rows are recorded at parish or subcounty level, so a
+ * village-level location will usually match nothing.
+ * @param {string} fileName - Trend file name (e.g. 'learners_enrolment_primary.csv')
+ * @param {object} env - Environment bindings (for ASSETS if configured)
+ * @param {object} location - Full location object with codes for filtering
+ * @returns {Promise<Array>} Parsed trend data
  */
-function parseCSVLine(line) {
-	const values = [];
-	let current = '';
-	let inQuotes = false;
-
-	for (let i = 0; i < line.length; i++) {
-		const char = line[i];
-		const nextChar = line[i + 1];
-
-		if (char === '"') {
-			if (inQuotes && nextChar === '"') {
-				// Escaped quote
-				current += '"';
-				i++; // Skip next quote
-			} else {
-				// Toggle quote state
-				inQuotes = !inQuotes;
+export async function loadTrendData(fileName, env = null, location = null) {
+	const cacheKey = `trend_${fileName}`;
+
+	let trendData;
+	if (dataCache.has(cacheKey)) {
+		trendData = dataCache.get(cacheKey);
+	} else {
+		try {
+			const filePath = `${TRENDS_DIR}/${fileName}`;
+			const csv = await fetchCSVFile(filePath, env);
+
+			if (!csv) {
+				console.error(`Could not load ${filePath} - no data source available`);
+				return [];
 			}
-		} else if (char === ',' && !inQuotes) {
-			// Field separator
-			values.push(current);
-			current = '';
-		} else {
-			current += char;
+
+			trendData = csv.rows;
+			dataCache.set(cacheKey, trendData);
+			columnTypes.set(fileName, csv.types);
+			console.log(`Loaded ${trendData.length} trend rows from ${fileName}`);
+		} catch (error) {
+			console.error(`Error loading trend data ${fileName}:`, error);
+			throw new Error(`Failed to load trend data ${fileName}`);
 		}
 	}
 
-	// Add last field
-	values.push(current);
+	if (location) {
+		return filterByLocation(trendData, location);
+	}
 
-	return values;
+	return trendData;
 }
 
+const SCHEMA_DESCRIPTIONS = {
+	health: 'Health facilities with infrastructure and service data',
+	education: 'Education facilities with enrollment and infrastructure data',
+	ple: 'PLE results: candidates per school, year, gender and division (1-4 pass, U ungraded, X absent)'
+};
+
+// Trend file behind each category that is not a facility register
+const SCHEMA_FILES = {
+	ple: 'ple_analysis.csv'
+};
+
 /**
  * Get data schema for a category
- * @param {string} category - 'health' or 'education'
+ * @param {string} category - 'health', 'education' or 'ple'
  * @param {Array} sampleData - Sample data to extract schema from
- * @returns {Object} Schema definition
+ * @returns {Object} {category, fields, types, values, sampleCount, description}; values only for facility registers
  */
 export function getDataSchema(category, sampleData) {
 	if (sampleData.length === 0) {
@@ -394,9 +609,10 @@ export function getDataSchema(category, sampleData) {
 	return {
 		category,
 		fields,
+		// Facility registers are typed (see facilitySchema.js): {types: {field: type}, values: {enumField: [values]}};
+		// trend files have the column types detected when they were parsed
+		...(describeFields(category, fields) || (columnTypes.has(SCHEMA_FILES[category]) ? { types: columnTypes.get(SCHEMA_FILES[category]) } : {})),
 		sampleCount: sampleData.length,
-		description: category === 'health'
-			? 'Health facilities with infrastructure and service data'
-			: 'Education facilities with enrollment and infrastructure data'
+		description: SCHEMA_DESCRIPTIONS[category] || SCHEMA_DESCRIPTIONS.education
 	};
 }
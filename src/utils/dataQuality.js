@@ -0,0 +1,145 @@
+/**
+ * Data quality checks for the facility registers
+ *
+ * Registers are checked once when they are loaded. The report lists the rule
+ * violations of each facility and how complete each field is, and metrics carry
+ * caveats for the figures that rest on poorly completed fields.
+ */
+
+import { FACILITY_SCHEMAS } from './facilitySchema.js';
+import { getLocationIndex } from './dataLoader.js';
+
+export const MIN_COMPLETENESS = 80; // % of facilities a field must be recorded for before its figures go without a caveat
+
+export const QUALITY_RULES = [
+	'missing_required', 'duplicate_facility_id', 'unknown_location_code', 'missing_coordinates', 'coordinates_outside_uganda',
+	'unlisted_value', 'unreadable_value', 'learners_total_mismatch', 'teachers_total_mismatch'
+];
+
+// Rough bounding box of Uganda, to catch swapped or mistyped coordinates
+const UGANDA_BOUNDS = { minLatitude: -1.5, maxLatitude: 4.3, minLongitude: 29.5, maxLongitude: 35.1 };
+
+// Totals that should equal the sum of their parts
+const TOTAL_CHECKS = {
+	education: [
+		{ rule: 'learners_total_mismatch', total: 'total_learners', parts: ['boys_count', 'girls_count'] },
+		{ rule: 'teachers_total_mismatch', total: 'total_teachers', parts: ['male_teachers', 'female_teachers'] }
+	],
+	health: []
+};
+
+/**
+ * Check a register against the data quality rules (QUALITY_RULES; the totals checks are for schools)
+ * @param {Array<Object>} rows - Facility rows from normaliseFacilityRows()
+ * @param {string} category - 'health' or 'education'
+ * @param {Object} locations - Locations data from loadLocations() (location codes are not checked when empty)
+ * @param {Object} load - {unknownColumns, missingColumns, unreadableCells} from normaliseFacilityRows()
+ * @returns {Object} {category, recordCount, columns, completeness, rules, facilities}
+ */
+export function checkDataQuality(rows, category, locations, load = {}) {
+	const schema = FACILITY_SCHEMAS[category];
+	const { byCode } = getLocationIndex(locations || {});
+	const violations = rows.map(() => []);
+	const flag = (index, rule, field, message) => violations[index].push({ rule, field, message });
+
+	const idCounts = new Map();
+	rows.forEach(row => idCounts.set(row.facility_id, (idCounts.get(row.facility_id) || 0) + 1));
+
+	rows.forEach((row, index) => {
+		Object.entries(schema).forEach(([field, definition]) => {
+			if (definition.required && row[field] === null) {
+				flag(index, 'missing_required', field, `${field} is blank`);
+			}
+			if (definition.type === 'enum' && row[field] !== null && !definition.values.includes(row[field])) {
+				flag(index, 'unlisted_value', field, `"${row[field]}" is not one of ${definition.values.join(', ')}`);
+			}
+		});
+
+		if (row.facility_id !== null && idCounts.get(row.facility_id) > 1) {
+			flag(index, 'duplicate_facility_id', 'facility_id', `${idCounts.get(row.facility_id)} records share this facility_id`);
+		}
+		if (row.location_code !== null && byCode.size > 0 && !byCode.has(row.location_code)) {
+			flag(index, 'unknown_location_code', 'location_code', `${row.location_code} is not in locations.json`);
+		}
+
+		if (row.latitude === null || row.longitude === null) {
+			flag(index, 'missing_coordinates', row.latitude === null ? 'latitude' : 'longitude', 'No usable latitude and longitude');
+		} else if (row.latitude < UGANDA_BOUNDS.minLatitude || row.latitude > UGANDA_BOUNDS.maxLatitude
+			|| row.longitude < UGANDA_BOUNDS.minLongitude || row.longitude > UGANDA_BOUNDS.maxLongitude) {
+			flag(index, 'coordinates_outside_uganda', 'latitude', `${row.latitude}, ${row.longitude} is outside Uganda`);
+		}
+
+		TOTAL_CHECKS[category].forEach(({ rule, total, parts }) => {
+			const values = parts.map(part => row[part]);
+			if (row[total] === null || values.includes(null)) return;
+			const sum = values.reduce((a, b) => a + b, 0);
+			if (sum !== row[total]) {
+				flag(index, rule, total, `${total} is ${row[total]} but ${parts.join(' + ')} is ${sum}`);
+			}
+		});
+	});
+
+	(load.unreadableCells || []).forEach(({ row, field, value }) => {
+		flag(row, 'unreadable_value', field, `"${value}" is not a valid ${schema[field].type}`);
+	});
+
+	const facilities = rows
+		.map((row, index) => ({
+			facility_id: row.facility_id,
+			name: row.facility_name || row.institution_name,
+			location_code: row.location_code,
+			violations: violations[index]
+		}))
+		.filter(facility => facility.violations.length > 0);
+
+	const rules = {};
+	facilities.forEach(facility => facility.violations.forEach(({ rule }) => {
+		rules[rule] = (rules[rule] || 0) + 1;
+	}));
+
+	return {
+		category,
+		recordCount: rows.length,
+		columns: { unknown: load.unknownColumns || [], missing: load.missingColumns || [] },
+		completeness: calculateCompleteness(rows, category),
+		rules,
+		facilities
+	};
+}
+
+/**
+ * Share of facilities with a value recorded in each field
+ * @param {Array<Object>} rows - Facility rows
+ * @param {string} category - 'health' or 'education'
+ * @returns {Object} {field: {filled, percentage}}
+ */
+export function calculateCompleteness(rows, category) {
+	return Object.fromEntries(Object.keys(FACILITY_SCHEMAS[category] || {}).map(field => {
+		const filled = rows.filter(row => row[field] !== null && row[field] !== undefined).length;
+		return [field, { filled, percentage: rows.length > 0 ? (filled / rows.length * 100).toFixed(1) : null }];
+	}));
+}
+
+/**
+ * Caveats for figures computed from fields recorded for fewer than MIN_COMPLETENESS % of facilities
+ * @param {Array<Object>} facilities - Facility rows the figures were computed from
+ * @param {Object} usage - {field: [metric paths computed from it]}
+ * @returns {Array<Object>} [{field, completeness, affects, note}] least complete first
+ */
+export function getCompletenessCaveats(facilities, usage) {
+	if (facilities.length === 0) return [];
+
+	return Object.entries(usage)
+		.map(([field, affects]) => {
+			const filled = facilities.filter(facility => facility[field] !== null && facility[field] !== undefined).length;
+			return { field, filled, affects };
+		})
+		.filter(({ filled }) => filled / facilities.length * 100 < MIN_COMPLETENESS)
+		.sort((a, b) => a.filled - b.filled)
+		.map(({ field, filled, affects }) => ({
+			field,
+			completeness: (filled / facilities.length * 100).toFixed(1),
+			affects,
+			note: `${field} is recorded for ${filled} of ${facilities.length} facilities`
+		}));
+}
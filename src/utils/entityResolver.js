@@ -0,0 +1,286 @@
+/**
+ * Entity resolver: finds the place and category a query is about when the request
+ * leaves them out ("How many schools in Bbale have water?")
+ *
+ * Place names from locations.json are matched against the query with a tolerance for
+ * misspellings ("Bbale") and common abbreviations ("Kangulumira TC"); the category is
+ * inferred from the vocabulary of the query.
+ */
+
+import { getLocationIndex, getLocationAncestors, getLocationByCode, locationFromCode, isWithinLocation } from './dataLoader.js';
+
+export const MIN_SIMILARITY = 0.8; // 1 - edit distance / length for a misspelt name to count
+const MIN_FUZZY_LENGTH = 5; // shorter names must match exactly
+
+const LEVELS = ['district', 'subcounty', 'parish', 'village'];
+
+// Abbreviations as written in queries, expanded to the words used in locations.json
+const ABBREVIATIONS = [
+	[/\bt\/c\b/g, 'tc'],
+	[/\bs\/c\b/g, 'subcounty'],
+	[/\bsub[\s-]county\b/g, 'subcounty'],
+	[/\btc\b/g, 'town council'],
+	[/\bdiv\b/g, 'division']
+];
+
+// Query words that are never (part of) a misspelt place name
+const COMMON_WORDS = new Set([
+	'about', 'access', 'across', 'between', 'compare', 'district', 'facilities', 'facility', 'health',
+	'hospitals', 'learners', 'parish', 'pupils', 'schools', 'show', 'subcounty', 'subcounties', 'teachers',
+	'there', 'village', 'villages', 'water', 'where', 'which', 'without'
+]);
+
+// Vocabulary that marks a query as being about one category
+const CATEGORY_VOCABULARY = {
+	health: /\b(health|clinics?|hospitals?|hc ?(ii|iii|iv|2|3|4)s?|maternal|maternity|antenatal|immuni[sz]ation|vaccinations?|midwi(fe|ves)|nurses?|doctors?|patients?|malaria|rdts?|hiv|tb|family planning|deliver(y|ies)|ambulances?|beds?|medicines?|drugs)\b/,
+	education: /\b(schools?|pupils?|learners?|students?|teachers?|classrooms?|enrol(l)?ment|ict|education|primary|secondary)\b/,
+	ple: /\b(ple|exams?|examinations?|candidates?|pass rates?)\b/
+};
+
+/**
+ * Find the location and category a query is about
+ * When several places match equally well (e.g. two villages with the same name) the
+ * result is ambiguous and lists the candidates; places in one query that do not contain
+ * each other ("compare Bbaale and Galiraya") resolve to the smallest unit covering both.
+ * @param {string} query - User's natural language query
+ * @param {Object} locations - Locations data from loadLocations()
+ * @returns {Object} {location, place, category, ambiguous, candidates}
+ */
+export function resolveEntities(query, locations) {
+	const tokens = tokenize(query);
+	const clusters = clusterMatches(findMatches(tokens, locations), tokens);
+
+	// A place named elsewhere in the query narrows down ties ("Kasana in Bbaale")
+	clusters.forEach(cluster => {
+		if (cluster.length < 2) return;
+		const others = clusters.filter(other => other !== cluster && other.length === 1).map(other => other[0].code);
+		const inside = cluster.filter(candidate => others.some(code => isWithinLocation(candidate.code, code)));
+		if (inside.length > 0) cluster.splice(0, cluster.length, ...inside);
+	});
+
+	const result = {
+		location: null,
+		place: null,
+		category: inferCategory(query),
+		ambiguous: false,
+		candidates: []
+	};
+
+	const ambiguous = clusters.find(cluster => cluster.length > 1);
+	if (ambiguous) {
+		result.ambiguous = true;
+		result.candidates = ambiguous.map(candidate => describeCandidate(candidate, locations));
+		return result;
+	}
+
+	const places = clusters.map(cluster => cluster[0]);
+	if (places.length === 0) {
+		return result;
+	}
+
+	// Places in different districts cannot be answered together
+	const districts = [...new Set(places.map(place => place.code.match(/^D\d+/)[0]))];
+	if (districts.length > 1) {
+		result.ambiguous = true;
+		result.candidates = places.map(place => describeCandidate(place, locations));
+		return result;
+	}
+
+	// A place named only to say where another is ("Kasana in Busaana") does not widen the scope
+	const innermost = places.filter(place => !places.some(other => other !== place && isWithinLocation(other.code, place.code)));
+	const code = commonAncestor(innermost.map(place => place.code));
+	result.location = locationFromCode(code);
+	result.place = getLocationByCode(locations, code)?.name || null;
+	return result;
+}
+
+/**
+ * Search location names for a dropdown or typeahead
+ * Names starting with the text rank first, then names with a word starting with it,
+ * names containing it, and finally misspellings of the name or of its start.
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} text - Text typed by the user (at least 2 characters)
+ * @param {Object} options - Search options
+ * @param {string} options.level - Only return this level ('district', 'subcounty', 'parish' or 'village')
+ * @param {string} options.within - Only return locations within this location code
+ * @param {number} options.limit - Maximum results (default 10)
+ * @returns {Array<Object>} [{type, code, name, ancestors, score}] best first
+ */
+export function searchLocations(locations, text, options = {}) {
+	const search = tokenize(text || '').join(' ');
+	if (search.length < 2) return [];
+
+	const results = [];
+	getLocationIndex(locations).byCode.forEach(entry => {
+		if (options.level && entry.type !== options.level) return;
+		if (options.within && !isWithinLocation(entry.code, options.within)) return;
+
+		const name = tokenize(entry.name).join(' ');
+		let score = 0;
+		if (name === search) score = 1;
+		else if (name.startsWith(search)) score = 0.95;
+		else if (name.split(' ').some(word => word.startsWith(search))) score = 0.9;
+		else if (name.includes(search)) score = 0.85;
+		else if (search.length >= MIN_FUZZY_LENGTH - 1) {
+			// Typed text may be a misspelt start of the name, one letter short or long ("bbal" for Bbaale)
+			const starts = [-1, 0, 1].map(offset => name.slice(0, search.length + offset));
+			score = 0.8 * Math.max(...[name, ...starts].map(candidate => similarity(search, candidate)));
+		}
+
+		if (score >= 0.8 * MIN_SIMILARITY) {
+			results.push({ type: entry.type, code: entry.code, name: entry.name, score: Number(score.toFixed(2)) });
+		}
+	});
+
+	return results
+		.sort((a, b) => b.score - a.score || LEVELS.indexOf(a.type) - LEVELS.indexOf(b.type) || a.name.localeCompare(b.name))
+		.slice(0, options.limit || 10)
+		.map(result => ({ ...result, ancestors: getLocationAncestors(locations, result.code) }));
+}
+
+/**
+ * Infer the category of a query from its vocabulary
+ * Exam words only select 'ple' on their own; questions that mention both health and
+ * education words are cross-sector ('all').
+ * @param {string} query - User's natural language query
+ * @returns {string|null} 'health', 'education', 'ple', 'all' or null when nothing matched
+ */
+export function inferCategory(query) {
+	const lowerQuery = query.toLowerCase();
+	const health = CATEGORY_VOCABULARY.health.test(lowerQuery);
+	const education = CATEGORY_VOCABULARY.education.test(lowerQuery);
+
+	if (health && education) return 'all';
+	if (health) return 'health';
+	if (education) return 'education';
+	if (CATEGORY_VOCABULARY.ple.test(lowerQuery)) return 'ple';
+	return null;
+}
+
+/**
+ * Similarity of two strings as 1 - edit distance / length of the longer one
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+export function similarity(a, b) {
+	if (a === b) return 1;
+	const longest = Math.max(a.length, b.length);
+	return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Helper: Lower-case the query, expand abbreviations and split it into words
+ */
+function tokenize(text) {
+	let normalized = text.toLowerCase();
+	ABBREVIATIONS.forEach(([pattern, replacement]) => {
+		normalized = normalized.replace(pattern, replacement);
+	});
+	return normalized.split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Helper: Every location whose name matches a run of query words, with the position and score of the match
+ */
+function findMatches(tokens, locations) {
+	const matches = [];
+	getLocationIndex(locations).byCode.forEach(entry => {
+		const unit = { type: entry.type, code: entry.code, name: entry.name };
+		const nameTokens = tokenize(unit.name);
+		const name = nameTokens.join(' ');
+		for (let start = 0; start + nameTokens.length <= tokens.length; start++) {
+			const window = tokens.slice(start, start + nameTokens.length);
+			const text = window.join(' ');
+			let score = text === name ? 1 : 0;
+			if (!score && name.length >= MIN_FUZZY_LENGTH && !window.some(token => COMMON_WORDS.has(token))) {
+				score = similarity(text, name);
+			}
+			if (score >= MIN_SIMILARITY) {
+				matches.push({ ...unit, start, end: start + nameTokens.length, score, weight: score * name.length });
+			}
+		}
+	});
+
+	return matches;
+}
+
+/**
+ * Helper: Group matches that cover the same words and keep the best of each group
+ * The best is the match covering most of the query (longest name, fewest misspellings);
+ * ties go to the level named right after the place ("Kasana village"), then the higher
+ * level, so "Kayunga" is the district rather than the subcounty of the same name.
+ * Groups left with more than one candidate are ambiguous.
+ */
+function clusterMatches(matches, tokens) {
+	const remaining = [...matches].sort((a, b) => b.weight - a.weight);
+	const clusters = [];
+
+	while (remaining.length > 0) {
+		const best = remaining[0];
+		const cluster = remaining.filter(match => match.start < best.end && best.start < match.end);
+		cluster.forEach(match => remaining.splice(remaining.indexOf(match), 1));
+
+		let tied = cluster.filter(match => match.weight >= best.weight - 0.01);
+		const hinted = tied.filter(match => tokens[match.end] === match.type);
+		if (hinted.length > 0) tied = hinted;
+
+		const topLevel = Math.min(...tied.map(match => LEVELS.indexOf(match.type)));
+		const seen = new Set();
+		clusters.push(tied.filter(match => {
+			if (LEVELS.indexOf(match.type) !== topLevel || seen.has(match.code)) return false;
+			seen.add(match.code);
+			return true;
+		}));
+	}
+
+	return clusters;
+}
+
+/**
+ * Helper: Describe a candidate place with its parents ("Kasana (village, Kasana, Bbaale, Kayunga)")
+ */
+function describeCandidate(candidate, locations) {
+	const parents = getLocationAncestors(locations, candidate.code).map(ancestor => ancestor.name).reverse();
+
+	return {
+		code: candidate.code,
+		name: candidate.name,
+		type: candidate.type,
+		label: `${candidate.name} (${[candidate.type, ...parents].join(', ')})`
+	};
+}
+
+/**
+ * Helper: Smallest location code that contains all of the given codes
+ */
+function commonAncestor(codes) {
+	const segments = code => code.match(/[DSPV]\d+/g);
+	const [first, ...rest] = codes.map(segments);
+	let depth = first.length;
+	rest.forEach(other => {
+		let shared = 0;
+		while (shared < Math.min(depth, other.length) && other[shared] === first[shared]) shared++;
+		depth = shared;
+	});
+	return first.slice(0, depth).join('');
+}
+
+/**
+ * Helper: Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
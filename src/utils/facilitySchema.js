@@ -0,0 +1,327 @@
+/**
+ * Canonical schema of the facility registers
+ *
+ * Each register (health_facilities.csv, education_facilities.csv) is mapped to a fixed
+ * set of fields with types, so metrics, filters and the prompt read typed values
+ * instead of guessing at column spellings and parsing strings:
+ *   boolean    - "Yes", "NO", "Yes, With soap and water available" -> true/false
+ *   integer    - counts such as "12.0" -> 12
+ *   number     - measurements and ratios
+ *   coordinate - latitude/longitude in decimal degrees
+ *   enum       - one of a fixed list of values, matched ignoring case and spacing
+ *   string     - free text
+ * Blank or unreadable cells are null. A field reads the first non-blank of its
+ * `columns` (default: its own name); `derive` computes a field from the others.
+ */
+
+const LATITUDE = { type: 'coordinate', min: -90, max: 90 };
+const LONGITUDE = { type: 'coordinate', min: -180, max: 180 };
+
+export const FACILITY_SCHEMAS = {
+	health: {
+		facility_id: { type: 'string', required: true },
+		facility_name: { type: 'string', required: true },
+		facility_level: { type: 'enum', values: ['HCII', 'HCIII', 'HCIV', 'Hospital', 'Clinic'], columns: ['facility_level', 'level', 'Level'] },
+		ownership: { type: 'enum', values: ['Government', 'Private', 'PNFP'], columns: ['ownership', 'Ownership'] },
+		district: { type: 'string' },
+		subcounty: { type: 'string' },
+		parish: { type: 'string' },
+		village: { type: 'string' },
+		location_code: { type: 'string', required: true, columns: ['location_code', 'Location_code'] },
+		latitude: LATITUDE,
+		longitude: LONGITUDE,
+		altitude: { type: 'number' },
+		precision: { type: 'number' },
+		coordinates: { type: 'string' },
+		thematic_area: { type: 'string' },
+		officer_in_charge: { type: 'string' },
+		oic_phone: { type: 'string' },
+		oic_email: { type: 'string' },
+		operating_hours: { type: 'enum', values: ['24 Hours', '8-12 Hours'] },
+
+		// Services
+		services_provided: { type: 'string' },
+		health_services_provided_at_the_health_facility: { type: 'string' },
+		has_immunization: { type: 'boolean', columns: ['has_immunization', 'immunization_services1', 'immunization', 'Immunization'] },
+		has_maternal_health: { type: 'boolean', columns: ['has_maternal_health', 'maternal_services', 'Maternal'] },
+		has_hiv_tb_care: { type: 'boolean', columns: ['has_hiv_tb_care', 'hivaids_and_tb_care1', 'hiv_services', 'HIV'] },
+		has_diagnostics: { type: 'boolean' },
+		has_counselling: { type: 'boolean' },
+		has_health_education: { type: 'boolean' },
+		has_family_planning: { type: 'boolean' },
+		has_surgery: { type: 'boolean' },
+		has_outpatient: { type: 'boolean' },
+
+		// Records
+		has_hmis_forms: { type: 'boolean' },
+		has_patient_register: { type: 'boolean' },
+		has_referral_forms: { type: 'boolean' },
+
+		// Infrastructure
+		power_sources: { type: 'enum', values: ['National grid', 'Others', 'No Power'] },
+		has_electricity: {
+			type: 'boolean',
+			columns: ['electricity', 'Electricity'],
+			derive: row => (row.power_sources === null ? null : row.power_sources !== 'No Power')
+		},
+		has_backup_power: { type: 'boolean' },
+		backup_power_source: { type: 'enum', values: ['National Grid', 'Solar', 'Generator', 'Others'] },
+		others_specify: { type: 'string' },
+		others: { type: 'string' },
+		has_laboratory: { type: 'boolean' },
+		has_treatment_room: { type: 'boolean' },
+		has_consulting_room: { type: 'boolean' },
+		has_staff_accommodation: { type: 'boolean' },
+		staff_accommodation_within_premises: { type: 'boolean' },
+		has_reception: { type: 'boolean' },
+		has_waste_disposal: { type: 'boolean' },
+		has_gate: { type: 'boolean' },
+		perimeter_fence: { type: 'boolean' },
+		has_delivery_room: { type: 'boolean' },
+		has_inpatient_ward: { type: 'boolean' },
+		has_ward_development_committee: { type: 'boolean' },
+
+		// Water, sanitation and hygiene
+		water_location: { type: 'enum', values: ['On premises', 'Up to 500 m', '500 m or further'] },
+		water_source: {
+			type: 'enum',
+			values: [
+				'Piped supply inside the building', 'Piped supply outside the building', 'Piped into yard/plot',
+				'Piped into public tap/standpipe/basin', 'Tube well / Borehole', 'Protected dug well', 'Unprotected dug well',
+				'Rain water', 'Tanker truck', 'Surface water (river/dam/lake/pond)'
+			]
+		},
+		water_on_premises: {
+			type: 'boolean',
+			derive: row => (row.water_location === null ? null : row.water_location === 'On premises')
+		},
+		toilet_type: {
+			type: 'enum',
+			values: [
+				'Flush / Pour-flush toilet to sewer connection', 'Flush / Pour-flush toilet to tank or pit',
+				'Pit latrine with slab', 'Pit latrine without slab/open pit', 'Composting toilet'
+			]
+		},
+		has_female_toilet: { type: 'boolean' },
+		has_accessible_toilet: { type: 'boolean' },
+		has_staff_toilet: { type: 'boolean' },
+		has_handwashing: { type: 'boolean' },
+
+		// Staff per cadre
+		how_many_of_the_following_cadres_are_available_at_this_health_facility: { type: 'string' },
+		staff_medical_officers: { type: 'integer' },
+		staff_clinical_officer: { type: 'integer' },
+		staff_nursing_officers: { type: 'integer' },
+		staff_comprehensive_nurse: { type: 'integer' },
+		staff_enrolled_nurses: { type: 'integer' },
+		staff_midwives: { type: 'integer' },
+		nursing_assistants: { type: 'integer' },
+		staff_lab_technician: { type: 'integer' },
+		staff_lab_assistant: { type: 'integer' },
+		staff_health_info: { type: 'integer' },
+		health_information_assistants1: { type: 'integer' },
+		staff_vht_chw: { type: 'integer' },
+
+		// Supplies
+		has_iccm_supplies: { type: 'boolean' },
+		has_respiratory_timers: { type: 'boolean' },
+		has_ors_sachets: { type: 'boolean' },
+		has_zinc_tablets: { type: 'boolean' },
+		has_rdt_kits: { type: 'boolean' },
+		has_act_tablets: { type: 'boolean' },
+		has_amoxicillin: { type: 'boolean' },
+		has_thermometers: { type: 'boolean' },
+
+		facility_photo: { type: 'string' },
+		health_facility_photo_url: { type: 'string' }
+	},
+
+	education: {
+		facility_id: { type: 'string', required: true },
+		institution_name: { type: 'string', required: true, columns: ['institution_name', 'school_name'] },
+		institution_type: { type: 'enum', values: ['Primary', 'Secondary'], columns: ['institution_type', 'level', 'Level'] },
+		ownership: { type: 'enum', values: ['Government', 'Private', 'Faith Based'], columns: ['ownership', 'Ownership'] },
+		district: { type: 'string' },
+		county: { type: 'string' },
+		subcounty: { type: 'string' },
+		parish: { type: 'string' },
+		village: { type: 'string' },
+		location_code: { type: 'string', required: true, columns: ['location_code', 'Location_code'] },
+		latitude: LATITUDE,
+		longitude: LONGITUDE,
+		thematic_area: { type: 'string' },
+
+		// Learners and teachers
+		total_learners: { type: 'integer', columns: ['total_learners', 'Total_Learners', 'enrollment'] },
+		boys_count: { type: 'integer' },
+		girls_count: { type: 'integer' },
+		disabled_learners: { type: 'integer' },
+		total_teachers: { type: 'integer', columns: ['total_teachers', 'Total_Teachers', 'teachers'] },
+		male_teachers: { type: 'integer' },
+		female_teachers: { type: 'integer' },
+		govt_payroll_teachers: { type: 'integer' },
+		diploma_teachers: { type: 'integer' },
+		degree_teachers: { type: 'integer' },
+		certificate_teachers: { type: 'integer' },
+
+		// Classrooms
+		classroom_blocks: { type: 'integer' },
+		permanent_classrooms: { type: 'integer' },
+		semi_permanent_classrooms: { type: 'integer' },
+		temporary_classrooms: { type: 'integer' },
+		total_classrooms: {
+			type: 'integer',
+			columns: ['total_classrooms', 'Total_Classrooms', 'classrooms'],
+			derive: row => sumOrNull([row.permanent_classrooms, row.semi_permanent_classrooms, row.temporary_classrooms])
+		},
+
+		// Sanitation
+		total_toilets: { type: 'integer' },
+		separate_gender_toilets: { type: 'boolean' },
+		boys_toilets: { type: 'integer' },
+		girls_toilets: { type: 'integer' },
+		teacher_toilets_available: { type: 'boolean' },
+		teacher_toilets_count: { type: 'integer' },
+		disability_accessible_toilets: { type: 'boolean' },
+		handwashing_available: { type: 'boolean' },
+
+		// Infrastructure
+		water_available: { type: 'boolean', columns: ['water_available', 'Water'] },
+		electricity_available: { type: 'boolean', columns: ['electricity_available', 'Electricity'] },
+		ict_lab_available: { type: 'boolean', columns: ['ict_lab_available', 'ict_lab', 'ICT_Lab'] },
+
+		// Ratios as recorded in the register
+		pupil_classroom_ratio: { type: 'number' },
+		pupil_teacher_ratio: { type: 'number' },
+		pupil_textbook_ratio: { type: 'number' },
+		pupil_toilet_ratio: { type: 'number' }
+	}
+};
+
+/**
+ * Map parsed CSV rows of a register to the canonical fields
+ * Columns that no field reads are kept as text so no data is lost, and reported
+ * together with the fields none of whose columns are in the file and the cells
+ * that could not be read as their field's type.
+ * @param {Array<Object>} rows - Rows from parseCSVStream()
+ * @param {string} category - 'health' or 'education'
+ * @returns {Object} {rows, unknownColumns, missingColumns, unreadableCells: [{row, field, value}]}
+ */
+export function normaliseFacilityRows(rows, category) {
+	const schema = FACILITY_SCHEMAS[category];
+	if (!schema || rows.length === 0) {
+		return { rows, unknownColumns: [], missingColumns: [], unreadableCells: [] };
+	}
+
+	const headers = Object.keys(rows[0]);
+	const fields = Object.entries(schema);
+	const read = new Set(fields.flatMap(([name, field]) => getColumns(name, field)));
+
+	const unknownColumns = headers.filter(header => !read.has(header));
+	const missingColumns = fields
+		.filter(([name, field]) => !field.derive && !getColumns(name, field).some(column => headers.includes(column)))
+		.map(([name]) => name);
+
+	const unreadableCells = [];
+	const normalised = rows.map((row, index) => {
+		const record = {};
+		fields.forEach(([name, field]) => {
+			const cell = getColumns(name, field).map(column => row[column]).find(value => !isBlank(value));
+			record[name] = coerceValue(cell, field);
+			if (record[name] === null && !isBlank(cell)) {
+				unreadableCells.push({ row: index, field: name, value: String(cell).trim() });
+			}
+		});
+		// Derived fields fill in only where no column gave a value
+		fields.forEach(([name, field]) => {
+			if (field.derive && record[name] === null) record[name] = field.derive(record);
+		});
+		unknownColumns.forEach(column => {
+			record[column] = isBlank(row[column]) ? null : String(row[column]).trim();
+		});
+		return record;
+	});
+
+	return { rows: normalised, unknownColumns, missingColumns, unreadableCells };
+}
+
+/**
+ * Describe the types of a register's fields, for getDataSchema()
+ * Fields not in the canonical schema (unknown columns) are text.
+ * @param {string} category - 'health' or 'education'
+ * @param {Array<string>} fields - Field names
+ * @returns {Object|null} {types: {field: type}, values: {enumField: [values]}} or null for other categories
+ */
+export function describeFields(category, fields) {
+	const schema = FACILITY_SCHEMAS[category];
+	if (!schema) return null;
+
+	const types = {};
+	const values = {};
+	fields.forEach(name => {
+		types[name] = schema[name]?.type || 'string';
+		if (schema[name]?.values) values[name] = schema[name].values;
+	});
+	return { types, values };
+}
+
+/**
+ * Coerce a raw value to a field's type
+ * @param {*} value - Raw cell or filter value
+ * @param {Object} field - Field definition ({type, values, min, max})
+ * @returns {*} Typed value, or null when blank or not readable as the type
+ */
+export function coerceValue(value, field) {
+	if (isBlank(value)) return null;
+	const text = String(value).trim();
+
+	switch (field.type) {
+		case 'boolean':
+			if (typeof value === 'boolean') return value;
+			if (/^(yes|y|true|1(\.0+)?)\b/i.test(text)) return true;
+			if (/^(no|n|false|0(\.0+)?)\b/i.test(text)) return false;
+			return null;
+		case 'integer':
+		case 'number':
+		case 'coordinate': {
+			const num = typeof value === 'number' ? value : Number(text.replace(/,/g, ''));
+			if (!Number.isFinite(num)) return null;
+			if (field.type === 'coordinate' && (num < field.min || num > field.max)) return null;
+			return num;
+		}
+		case 'enum':
+			// Unlisted values are kept as recorded
+			return field.values.find(option => enumKey(option) === enumKey(text)) || text;
+		default:
+			return text;
+	}
+}
+
+/**
+ * Helper: Columns a field reads, in order of preference
+ */
+function getColumns(name, field) {
+	return field.columns || (field.derive ? [] : [name]);
+}
+
+/**
+ * Helper: Check for a missing or blank cell
+ */
+function isBlank(value) {
+	return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Helper: Comparison key for enum values ("HC III" and "hciii" are the same)
+ */
+function enumKey(value) {
+	return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Helper: Sum of the known values, or null when none is known
+ */
+function sumOrNull(values) {
+	const known = values.filter(value => value !== null);
+	return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) : null;
+}
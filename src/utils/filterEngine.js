@@ -0,0 +1,253 @@
+/**
+ * Structured filter grammar for facility queries
+ *
+ * A filter is either a condition or a group of filters:
+ *   { field: 'electricity_available', operator: 'eq', value: false }
+ *   { logic: 'and' | 'or', conditions: [ ...filters ] }
+ *
+ * On the typed facility registers, values are checked against the field type and
+ * converted to it ("No" -> false, "hc iii" -> "HCIII").
+ */
+
+import { isYes } from './metrics.js';
+import { coerceValue } from './facilitySchema.js';
+
+export const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'contains', 'is_empty', 'not_empty'];
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const LIST_OPERATORS = ['in', 'not_in'];
+const UNARY_OPERATORS = ['is_empty', 'not_empty'];
+const NUMERIC_TYPES = ['integer', 'number', 'coordinate'];
+const TEXT_TYPES = ['string', 'enum'];
+
+const MAX_DEPTH = 3;
+const MAX_CONDITIONS = 20;
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Normalise and validate a filter against the available data fields
+ * Flat objects such as {"electricity_available": "No"} are accepted and
+ * converted to an AND group of eq/in conditions.
+ * @param {Object} filter - Filter from the model or the rule engine
+ * @param {Object} schema - Schema from getDataSchema()
+ * @returns {Object} {valid, errors, filter} where filter is the normalised form
+ */
+export function validateFilter(filter, schema) {
+	const errors = [];
+	const fields = new Set(schema?.fields || []);
+	let conditionCount = 0;
+
+	const normalise = (node, path, depth) => {
+		if (!node || typeof node !== 'object' || Array.isArray(node)) {
+			errors.push(`${path}: must be an object`);
+			return null;
+		}
+
+		if (depth > MAX_DEPTH) {
+			errors.push(`${path}: filters can be nested at most ${MAX_DEPTH} levels deep`);
+			return null;
+		}
+
+		// Group
+		if (node.conditions !== undefined || node.logic !== undefined) {
+			const logic = String(node.logic || 'and').toLowerCase();
+			if (!['and', 'or'].includes(logic)) {
+				errors.push(`${path}.logic: must be "and" or "or"`);
+			}
+			if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+				errors.push(`${path}.conditions: must be a non-empty array`);
+				return null;
+			}
+			return {
+				logic,
+				conditions: node.conditions
+					.map((child, index) => normalise(child, `${path}.conditions[${index}]`, depth + 1))
+					.filter(Boolean)
+			};
+		}
+
+		// Condition
+		if (node.field !== undefined) {
+			conditionCount++;
+			const operator = String(node.operator || 'eq').toLowerCase();
+
+			if (!fields.has(node.field)) {
+				errors.push(`${path}.field: unknown field "${node.field}"`);
+			}
+			if (!FILTER_OPERATORS.includes(operator)) {
+				errors.push(`${path}.operator: unknown operator "${node.operator}"`);
+			} else if (LIST_OPERATORS.includes(operator) && !Array.isArray(node.value)) {
+				errors.push(`${path}.value: "${operator}" needs an array of values`);
+			} else if (NUMERIC_OPERATORS.includes(operator) && isNaN(parseFloat(node.value))) {
+				errors.push(`${path}.value: "${operator}" needs a number`);
+			} else if (!UNARY_OPERATORS.includes(operator) && node.value === undefined) {
+				errors.push(`${path}.value: is required for "${operator}"`);
+			} else if (schema?.types?.[node.field] && !UNARY_OPERATORS.includes(operator)) {
+				return { field: node.field, operator, value: typeValue(node, operator, schema, path, errors) };
+			}
+
+			return { field: node.field, operator, value: node.value };
+		}
+
+		// Flat {field: value} object
+		const entries = Object.entries(node);
+		if (entries.length === 0) {
+			errors.push(`${path}: filter is empty`);
+			return null;
+		}
+		return normalise({
+			logic: 'and',
+			conditions: entries.map(([field, value]) => ({
+				field,
+				operator: Array.isArray(value) ? 'in' : 'eq',
+				value
+			}))
+		}, path, depth);
+	};
+
+	const normalised = normalise(filter, 'filters', 0);
+
+	if (conditionCount > MAX_CONDITIONS) {
+		errors.push(`filters: at most ${MAX_CONDITIONS} conditions are allowed`);
+	}
+
+	return {
+		valid: errors.length === 0 && normalised !== null,
+		errors,
+		filter: normalised
+	};
+}
+
+/**
+ * Apply a normalised filter to data rows
+ * @param {Array} rows - Data rows
+ * @param {Object} filter - Normalised filter from validateFilter()
+ * @returns {Array} Matching rows
+ */
+export function applyFilter(rows, filter) {
+	if (!filter) return rows;
+	return rows.filter(row => matchesFilter(row, filter));
+}
+
+/**
+ * Slice a result set into a page
+ * @param {Array} rows - Full result set
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Rows per page
+ * @returns {Object} {items, pagination: {page, pageSize, totalPages, total}}
+ */
+export function paginate(rows, page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+	const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+	const totalPages = Math.max(Math.ceil(rows.length / size), 1);
+	const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+	return {
+		items: rows.slice((current - 1) * size, current * size),
+		pagination: {
+			page: current,
+			pageSize: size,
+			totalPages,
+			total: rows.length
+		}
+	};
+}
+
+/**
+ * Helper: Check a condition's operator and value against the field type and convert the value to it
+ */
+function typeValue(node, operator, schema, path, errors) {
+	const type = schema.types[node.field];
+	const field = { type, values: schema.values?.[node.field] };
+
+	if (NUMERIC_OPERATORS.includes(operator) && !NUMERIC_TYPES.includes(type)) {
+		errors.push(`${path}.operator: "${operator}" needs a numeric field but "${node.field}" is ${type}`);
+		return node.value;
+	}
+	if (operator === 'contains') {
+		if (!TEXT_TYPES.includes(type)) {
+			errors.push(`${path}.operator: "contains" needs a text field but "${node.field}" is ${type}`);
+		}
+		return node.value;
+	}
+
+	const convert = value => {
+		const typed = coerceValue(value, field);
+		if (typed === null || (type === 'enum' && !field.values.includes(typed))) {
+			const expected = type === 'enum' ? `one of ${field.values.join(', ')}` : { boolean: 'Yes or No', string: 'text' }[type] || 'a number';
+			errors.push(`${path}.value: "${value}" is not valid for ${node.field} (expected ${expected})`);
+			return value;
+		}
+		return typed;
+	};
+	return LIST_OPERATORS.includes(operator) ? node.value.map(convert) : convert(node.value);
+}
+
+/**
+ * Helper: Evaluate a filter node against a row
+ */
+function matchesFilter(row, node) {
+	if (node.conditions) {
+		return node.logic === 'or'
+			? node.conditions.some(child => matchesFilter(row, child))
+			: node.conditions.every(child => matchesFilter(row, child));
+	}
+	return matchesCondition(row[node.field], node.operator, node.value);
+}
+
+/**
+ * Helper: Evaluate a single condition; blank cells only match is_empty
+ */
+function matchesCondition(cell, operator, value) {
+	const isEmpty = cell === undefined || cell === null || String(cell).trim() === '';
+
+	if (operator === 'is_empty') return isEmpty;
+	if (operator === 'not_empty') return !isEmpty;
+	if (isEmpty) return false;
+
+	switch (operator) {
+		case 'eq':
+			return valuesEqual(cell, value);
+		case 'neq':
+			return !valuesEqual(cell, value);
+		case 'in':
+			return value.some(item => valuesEqual(cell, item));
+		case 'not_in':
+			return !value.some(item => valuesEqual(cell, item));
+		case 'contains':
+			return String(cell).toLowerCase().includes(String(value).toLowerCase());
+		case 'gt':
+			return parseFloat(cell) > parseFloat(value);
+		case 'gte':
+			return parseFloat(cell) >= parseFloat(value);
+		case 'lt':
+			return parseFloat(cell) < parseFloat(value);
+		case 'lte':
+			return parseFloat(cell) <= parseFloat(value);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Helper: Compare a cell to a filter value, treating Yes/No columns as booleans
+ * so that "Yes, With soap and water available" matches "Yes"
+ */
+function valuesEqual(cell, value) {
+	const wanted = String(value).toLowerCase().trim();
+
+	if (typeof value === 'boolean' || wanted === 'yes' || wanted === 'no') {
+		const wantYes = value === true || wanted === 'yes' || wanted === 'true';
+		const cellText = String(cell).toLowerCase().trim();
+		const cellYes = isYes(cell) || cellText.startsWith('yes');
+		return cellYes === wantYes;
+	}
+
+	if (typeof value === 'number' || (wanted !== '' && !isNaN(Number(wanted)))) {
+		const num = parseFloat(String(cell).replace(/,/g, ''));
+		if (!isNaN(num)) return num === Number(value);
+	}
+
+	return String(cell).toLowerCase().trim() === wanted;
+}
@@ -0,0 +1,370 @@
+/**
+ * Spatial utilities for the facility latitude/longitude columns: distances,
+ * radius and nearest searches, location centroids and village access gaps
+ */
+
+import { getChildLocations, isWithinLocation } from './dataLoader.js';
+import { summarizeFacility } from './queryEngine.js';
+import { resolveEntities, searchLocations } from './entityResolver.js';
+import { paginate } from './filterEngine.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Villages further than this from a facility offering HCIII services have an access gap
+export const ACCESS_DISTANCE_KM = 5;
+export const ACCESS_LEVELS = ['HCIII', 'HCIV', 'Hospital'];
+
+// Facility types that can be asked for by name, most specific keywords first
+const FACILITY_TYPES = {
+	health: [
+		{ keywords: ['hcivs', 'hciv', 'hc iv', 'health centre iv', 'health center iv'], levels: ['HCIV'] },
+		{ keywords: ['hciiis', 'hciii', 'hc iii', 'hc3', 'health centre iii', 'health center iii'], levels: ['HCIII'] },
+		{ keywords: ['hciis', 'hcii', 'hc ii', 'hc2', 'health centre ii', 'health center ii'], levels: ['HCII'] },
+		{ keywords: ['hospitals', 'hospital'], levels: ['Hospital'] },
+		{ keywords: ['clinics', 'clinic'], levels: ['Clinic'] }
+	],
+	education: []
+};
+
+// Place names are matched against the smallest units first
+const LEVEL_PREFERENCE = ['village', 'parish', 'subcounty'];
+
+// Health facility levels from lowest to highest; a facility provides the services of the levels below it
+const LEVEL_ORDER = ['HCII', 'HCIII', 'HCIV', 'Hospital'];
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - {latitude, longitude}
+ * @param {Object} to - {latitude, longitude}
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistance(from, to) {
+	const toRadians = degrees => degrees * Math.PI / 180;
+	const dLat = toRadians(to.latitude - from.latitude);
+	const dLng = toRadians(to.longitude - from.longitude);
+	const a = Math.sin(dLat / 2) ** 2
+		+ Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+	return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Read the coordinates of a facility row
+ * @param {Object} row - Facility row
+ * @returns {Object|null} {latitude, longitude} or null if missing or out of range
+ */
+export function getCoordinates(row) {
+	const latitude = parseFloat(row?.latitude);
+	const longitude = parseFloat(row?.longitude);
+	if (isNaN(latitude) || isNaN(longitude)) return null;
+	if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+	if (latitude === 0 && longitude === 0) return null;
+	return { latitude, longitude };
+}
+
+/**
+ * Find facilities within a radius of a point, nearest first
+ * @param {Array} facilities - Facility rows
+ * @param {Object} point - {latitude, longitude}
+ * @param {number} radiusKm - Search radius in kilometres
+ * @returns {Array<Object>} [{facility, distanceKm}]
+ */
+export function findWithinRadius(facilities, point, radiusKm) {
+	return withDistances(facilities, point).filter(entry => entry.distanceKm <= radiusKm);
+}
+
+/**
+ * Find the nearest facilities to a point
+ * @param {Array} facilities - Facility rows
+ * @param {Object} point - {latitude, longitude}
+ * @param {number} count - Number of facilities to return
+ * @returns {Array<Object>} [{facility, distanceKm}]
+ */
+export function findNearest(facilities, point, count = 5) {
+	return withDistances(facilities, point).slice(0, count);
+}
+
+/**
+ * Work out a centroid for every location at one level from the facility coordinates inside it
+ * Locations without any located facility get no centroid.
+ * @param {Array} facilities - Facility rows from any category (more rows give better centroids)
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} parentCode - Location code to work under (e.g. 'D01')
+ * @param {string} level - 'subcounty', 'parish' or 'village' (defaults to one level below the parent)
+ * @returns {Array<Object>} [{type, code, name, latitude, longitude, facilityCount}] (latitude/longitude null without facilities)
+ */
+export function getLocationCentroids(facilities, locations, parentCode, level = null) {
+	const located = facilities
+		.map(facility => ({ code: facility.location_code || '', point: getCoordinates(facility) }))
+		.filter(entry => entry.point);
+
+	return getChildLocations(locations, parentCode, level).map(unit => {
+		const points = located.filter(entry => isWithinLocation(entry.code, unit.code)).map(entry => entry.point);
+		const centroid = points.length > 0
+			? {
+				latitude: Number((points.reduce((sum, p) => sum + p.latitude, 0) / points.length).toFixed(6)),
+				longitude: Number((points.reduce((sum, p) => sum + p.longitude, 0) / points.length).toFixed(6))
+			}
+			: { latitude: null, longitude: null };
+
+		return { ...unit, ...centroid, facilityCount: points.length };
+	});
+}
+
+/**
+ * List villages whose nearest facility offering HCIII services is further than the access distance
+ * Village positions are centroids of the facilities recorded in each village.
+ * @param {Array} healthFacilities - Health facility rows for the whole district
+ * @param {Array} allFacilities - Facility rows of every category, used for village centroids
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} parentCode - Location code to check villages under
+ * @param {Object} options - Access options
+ * @param {number} options.maxDistanceKm - Access distance (default ACCESS_DISTANCE_KM)
+ * @param {Array<string>} options.levels - Facility levels that count (default ACCESS_LEVELS)
+ * @returns {Object} {maxDistanceKm, levels, villagesChecked, villagesWithoutCoordinates, villages}
+ */
+export function findAccessGaps(healthFacilities, allFacilities, locations, parentCode, options = {}) {
+	const maxDistanceKm = options.maxDistanceKm || ACCESS_DISTANCE_KM;
+	const levels = options.levels || ACCESS_LEVELS;
+	const serving = healthFacilities.filter(facility => levels.includes(facility.facility_level));
+
+	const villages = getLocationCentroids(allFacilities, locations, parentCode, 'village');
+	const located = villages.filter(village => village.latitude !== null);
+
+	const gaps = located
+		.map(village => {
+			const [nearest] = findNearest(serving, village, 1);
+			return {
+				code: village.code,
+				village: village.name,
+				latitude: village.latitude,
+				longitude: village.longitude,
+				nearestFacility: nearest ? nearest.facility.facility_name : null,
+				nearestLevel: nearest ? nearest.facility.facility_level : null,
+				distanceKm: nearest ? nearest.distanceKm : null
+			};
+		})
+		.filter(village => village.distanceKm === null || village.distanceKm > maxDistanceKm)
+		.sort((a, b) => (b.distanceKm ?? Infinity) - (a.distanceKm ?? Infinity));
+
+	return {
+		maxDistanceKm,
+		levels,
+		villagesChecked: located.length,
+		villagesWithoutCoordinates: villages.length - located.length,
+		villages: gaps
+	};
+}
+
+/**
+ * Recognise a spatial question and pull out its parameters
+ * e.g. "which schools are within 3 km of Kangulumira", "nearest 5 HCIIIs to Bbaale",
+ * "which villages are more than 5 km from an HCIII"
+ * @param {string} query - User's natural language query
+ * @param {string} category - 'health', 'education' or 'all'
+ * @returns {Object|null} {action: 'radius'|'nearest'|'access_gap', place, radiusKm, count, levels} or null
+ */
+export function detectSpatialQuery(query, category) {
+	const lowerQuery = query.toLowerCase().replace(/[?.!]+$/, '').trim();
+	const levels = detectFacilityLevels(lowerQuery, category);
+
+	const accessGap = lowerQuery.match(/\bvillages?\b.*\b(?:more than|over|further than|beyond|at least)\s+(\d+(?:\.\d+)?)\s*(?:km|kilomet\w*)\b/);
+	if (accessGap || /\baccess gaps?\b/.test(lowerQuery)) {
+		return {
+			action: 'access_gap',
+			radiusKm: accessGap ? parseFloat(accessGap[1]) : ACCESS_DISTANCE_KM,
+			levels: levels && LEVEL_ORDER.includes(levels[0]) ? LEVEL_ORDER.slice(LEVEL_ORDER.indexOf(levels[0])) : ACCESS_LEVELS
+		};
+	}
+
+	const radius = lowerQuery.match(/\bwithin\s+(\d+(?:\.\d+)?)\s*(?:km|kms|kilomet\w*)\s+(?:of|from|around)\s+(.+)$/);
+	if (radius) {
+		return { action: 'radius', radiusKm: parseFloat(radius[1]), place: radius[2].trim(), levels };
+	}
+
+	const nearest = lowerQuery.match(/\b(?:nearest|closest)\b\s*(\d+)?.*?\b(?:to|from|near|around)\s+(.+)$/);
+	if (nearest) {
+		return { action: 'nearest', count: nearest[1] ? parseInt(nearest[1], 10) : 5, place: nearest[2].trim(), levels };
+	}
+
+	return null;
+}
+
+/**
+ * Resolve a place named in a query to a point
+ * Location names are matched first (the smallest matching unit wins; abbreviations such as
+ * "Kangulumira TC" are expanded), then facility names, then misspelt location names ("Bbale")
+ * through resolveEntities().
+ * @param {string} placeText - Place as written in the query
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} districtCode - District to search in
+ * @param {Array} allFacilities - Facility rows of every category, for centroids and facility names
+ * @returns {Object|null} {name, code, type, latitude, longitude} or null if not found
+ */
+export function resolvePlace(placeText, locations, districtCode, allFacilities) {
+	const written = placeText.toLowerCase().replace(/^the\s+/, '').trim();
+	const wanted = written.replace(/\s+(village|parish|sub-?county|town council|district)$/, '').trim();
+	if (!wanted) return null;
+
+	const centroids = new Map(LEVEL_PREFERENCE.flatMap(level => getLocationCentroids(allFacilities, locations, districtCode, level))
+		.filter(unit => unit.latitude !== null)
+		.map(unit => [unit.code, unit]));
+	const toPlace = unit => ({ name: unit.name, code: unit.code, type: unit.type, latitude: unit.latitude, longitude: unit.longitude });
+
+	// The name is searched as written and without a level word: "Kangulumira Town Council" is a name of its own, "Kasana village" is Kasana
+	const exact = [...new Set([written, wanted])]
+		.flatMap(text => searchLocations(locations, text, { within: districtCode, limit: 50 }))
+		.filter(match => match.score === 1 && centroids.has(match.code))
+		.sort((a, b) => LEVEL_PREFERENCE.indexOf(a.type) - LEVEL_PREFERENCE.indexOf(b.type));
+	if (exact.length > 0) {
+		return toPlace(centroids.get(exact[0].code));
+	}
+
+	const facility = allFacilities.find(row => {
+		const name = (row.facility_name || row.institution_name || '').toLowerCase();
+		return name && (name === wanted || name.startsWith(`${wanted} `)) && getCoordinates(row);
+	});
+	if (facility) {
+		return {
+			name: facility.facility_name || facility.institution_name,
+			code: facility.location_code,
+			type: 'facility',
+			...getCoordinates(facility)
+		};
+	}
+
+	const { location, ambiguous } = resolveEntities(written, locations);
+	const code = location && (location.village || location.parish || location.subcounty);
+	return !ambiguous && centroids.has(code) ? toPlace(centroids.get(code)) : null;
+}
+
+/**
+ * Answer a spatial question detected by detectSpatialQuery()
+ * @param {Object} spatial - Spatial request from detectSpatialQuery()
+ * @param {Object} context - Data for the search
+ * @param {Array} context.facilities - District rows for the selected category
+ * @param {Array} context.healthFacilities - District health rows (for access gaps)
+ * @param {Array} context.allFacilities - District rows of every category (for centroids)
+ * @param {Object} context.locations - Locations data from loadLocations()
+ * @param {string} context.districtCode - Selected district code
+ * @param {string} context.districtName - Selected district name
+ * @param {string} context.scopeCode - Selected location code
+ * @param {string} context.placeName - Name of the selected location
+ * @param {Object} options - Output options
+ * @param {string} options.category - 'health', 'education' or 'all'
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Results per page
+ * @returns {Object} Response (a clarification when the place could not be resolved)
+ */
+export function executeSpatialQuery(spatial, context, options = {}) {
+	const noun = { health: 'health facilities', education: 'schools' }[options.category] || 'health facilities and schools';
+
+	if (spatial.action === 'access_gap') {
+		const gaps = findAccessGaps(context.healthFacilities, context.allFacilities, context.locations, context.scopeCode, {
+			maxDistanceKm: spatial.radiusKm,
+			levels: spatial.levels
+		});
+		const { items, pagination } = paginate(gaps.villages, options.page, options.pageSize);
+		const levelText = formatLevels(gaps.levels);
+		const missingNote = gaps.villagesWithoutCoordinates > 0
+			? ` ${gaps.villagesWithoutCoordinates} villages have no facility coordinates and could not be checked.`
+			: '';
+
+		return {
+			type: 'answer',
+			text: `${gaps.villages.length} of ${gaps.villagesChecked} villages in ${context.placeName} are more than ${gaps.maxDistanceKm} km from the nearest ${levelText}.${missingNote}`,
+			data: {
+				metric: 'access_gap',
+				maxDistanceKm: gaps.maxDistanceKm,
+				levels: gaps.levels,
+				villagesChecked: gaps.villagesChecked,
+				villagesWithoutCoordinates: gaps.villagesWithoutCoordinates,
+				count: gaps.villages.length,
+				villages: items,
+				pagination
+			},
+			suggestedView: 'map'
+		};
+	}
+
+	const typeNoun = spatial.levels ? `${formatLevels(spatial.levels)} facilities` : noun;
+	const place = resolvePlace(spatial.place, context.locations, context.districtCode, context.allFacilities);
+	if (!place) {
+		return {
+			type: 'clarification',
+			text: `I could not find "${spatial.place}" among the villages, parishes, subcounties or facilities of ${context.districtName}. Which place do you mean?`,
+			suggestions: [
+				spatial.action === 'radius'
+					? `Which ${typeNoun} are within ${spatial.radiusKm} km of ${context.placeName}?`
+					: `Nearest ${spatial.count} ${typeNoun} to ${context.placeName}`
+			],
+			suggestedView: 'map'
+		};
+	}
+
+	const candidates = spatial.levels
+		? context.facilities.filter(facility => spatial.levels.includes(facility.facility_level))
+		: context.facilities;
+
+	const matches = spatial.action === 'radius'
+		? findWithinRadius(candidates, place, spatial.radiusKm)
+		: findNearest(candidates, place, spatial.count);
+	const { items, pagination } = paginate(matches, options.page, options.pageSize);
+	const placeLabel = place.type === 'facility' ? place.name : `${place.name} (${place.type})`;
+
+	let text;
+	if (spatial.action === 'radius') {
+		text = matches.length > 0
+			? `Found ${matches.length} ${typeNoun} within ${spatial.radiusKm} km of ${placeLabel}, nearest first.`
+			: `No ${typeNoun} are within ${spatial.radiusKm} km of ${placeLabel}.`;
+	} else {
+		text = matches.length > 0
+			? `The nearest ${matches.length} ${typeNoun} to ${placeLabel}, from ${matches[0].distanceKm} km to ${matches[matches.length - 1].distanceKm} km away.`
+			: `No ${typeNoun} with coordinates were found near ${placeLabel}.`;
+	}
+
+	return {
+		type: 'filter',
+		text,
+		spatial: {
+			action: spatial.action,
+			place,
+			...(spatial.action === 'radius' ? { radiusKm: spatial.radiusKm } : { count: spatial.count }),
+			levels: spatial.levels || null
+		},
+		resultCount: matches.length,
+		facilities: items.map(({ facility, distanceKm }) => ({ ...summarizeFacility(facility, options.category), distanceKm })),
+		pagination,
+		suggestedView: 'map'
+	};
+}
+
+/**
+ * Helper: Attach distances from a point to every located facility, nearest first
+ */
+function withDistances(facilities, point) {
+	return facilities
+		.map(facility => {
+			const coordinates = getCoordinates(facility);
+			return coordinates
+				? { facility, distanceKm: Number(haversineDistance(point, coordinates).toFixed(2)) }
+				: null;
+		})
+		.filter(Boolean)
+		.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Helper: Join facility levels for display, e.g. "HCIII, HCIV or Hospital"
+ */
+function formatLevels(levels) {
+	return levels.length > 1 ? `${levels.slice(0, -1).join(', ')} or ${levels[levels.length - 1]}` : levels.join('');
+}
+
+/**
+ * Helper: Pick the facility levels a query asks for, or null for any level
+ */
+function detectFacilityLevels(lowerQuery, category) {
+	const type = (FACILITY_TYPES[category] || []).find(({ keywords }) =>
+		keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerQuery)));
+	return type ? type.levels : null;
+}
@@ -0,0 +1,113 @@
+/**
+ * GeoJSON output for the dashboard map layer
+ * Filter results become facility points; comparison rankings become one feature
+ * per admin unit, placed at the unit's facility centroid, or per school at the school.
+ */
+
+import { getCoordinates } from './geo.js';
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+/**
+ * Work out the response format from the request body and Accept header
+ * @param {string} format - `format` field from the request body
+ * @param {string} acceptHeader - Accept request header
+ * @returns {string} 'geojson' or 'json'
+ */
+export function getResponseFormat(format, acceptHeader) {
+	if (format) return format;
+	return (acceptHeader || '').includes(GEOJSON_CONTENT_TYPE) ? 'geojson' : 'json';
+}
+
+/**
+ * Convert a filter or comparison response to a FeatureCollection
+ * The rest of the response (text, pagination, rankingMetric, ...) is kept in a
+ * `metadata` member so the collection can be passed straight to a map layer.
+ * @param {Object} response - Validated query response
+ * @param {Object} options - Conversion options
+ * @param {Array} options.centroids - Unit centroids from getLocationCentroids(), for comparison rankings
+ * @param {Array} options.schools - Register rows with coordinates, for school rankings (matched by facility_id)
+ * @returns {Object|null} FeatureCollection, or null if the response has nothing to map
+ */
+export function toFeatureCollection(response, options = {}) {
+	let features;
+	let metadata;
+
+	if (response.type === 'filter' && response.facilities) {
+		const { facilities, ...rest } = response;
+		features = facilities.map(facilityFeature);
+		metadata = rest;
+	} else if (response.type === 'comparison' && response.rankings?.some(entry => entry.facility_id)) {
+		// School rankings: each school at its own coordinates, when the register has them
+		const { rankings, ...rest } = response;
+		const schools = new Map((options.schools || []).map(school => [school.facility_id, getCoordinates(school)]));
+		if (!rankings.some(entry => schools.get(entry.facility_id))) return null;
+		features = rankings.map(entry => schoolFeature(entry, schools.get(entry.facility_id), response.rankingMetric));
+		metadata = rest;
+	} else if (response.type === 'comparison' && response.rankings) {
+		const { rankings, ...rest } = response;
+		const centroids = new Map((options.centroids || []).map(unit => [unit.code, unit]));
+		features = rankings.map(entry => rankingFeature(entry, centroids.get(entry.code), response.rankingMetric));
+		metadata = rest;
+	} else {
+		return null;
+	}
+
+	return {
+		type: 'FeatureCollection',
+		features,
+		metadata
+	};
+}
+
+/**
+ * Helper: Build a point feature for a facility summary (null geometry when it has no coordinates)
+ */
+function facilityFeature(facility) {
+	const { latitude, longitude, ...properties } = facility;
+	const point = getCoordinates({ latitude, longitude });
+
+	return {
+		type: 'Feature',
+		id: facility.facility_id,
+		geometry: point ? { type: 'Point', coordinates: [point.longitude, point.latitude] } : null,
+		properties
+	};
+}
+
+/**
+ * Helper: Build a feature for a ranked admin unit, keyed by its location_code
+ */
+function rankingFeature(entry, centroid, rankingMetric) {
+	const { code, ...rest } = entry;
+	const hasCentroid = centroid && centroid.latitude !== null;
+
+	return {
+		type: 'Feature',
+		id: code,
+		geometry: hasCentroid ? { type: 'Point', coordinates: [centroid.longitude, centroid.latitude] } : null,
+		properties: {
+			location_code: code,
+			...rest,
+			label: rankingMetric?.label
+		}
+	};
+}
+
+/**
+ * Helper: Build a point feature for a ranked school, keyed by its facility_id
+ */
+function schoolFeature(entry, point, rankingMetric) {
+	const { code, ...rest } = entry;
+
+	return {
+		type: 'Feature',
+		id: entry.facility_id,
+		geometry: point ? { type: 'Point', coordinates: [point.longitude, point.latitude] } : null,
+		properties: {
+			location_code: code,
+			...rest,
+			label: rankingMetric?.label
+		}
+	};
+}
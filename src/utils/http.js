@@ -0,0 +1,63 @@
+/**
+ * HTTP helpers shared by the /query handler and the data endpoints
+ */
+
+// CORS headers for dashboard integration
+export const corsHeaders = {
+	'Access-Control-Allow-Origin': '*', // TODO: Replace with actual dashboard domain
+	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	'Access-Control-Allow-Headers': 'Content-Type, Accept',
+	'Access-Control-Max-Age': '86400',
+};
+
+// Data endpoint responses only change when the data files are redeployed
+export const DATA_CACHE_SECONDS = 3600;
+
+/**
+ * Build a JSON response with the CORS headers
+ * @param {Object} data - Response body
+ * @param {number} status - HTTP status (default 200)
+ * @param {string} contentType - Content-Type header (default application/json)
+ * @param {Object} headers - Extra headers
+ * @returns {Response} Response
+ */
+export function jsonResponse(data, status = 200, contentType = 'application/json', headers = {}) {
+	return new Response(JSON.stringify(data), {
+		status,
+		headers: {
+			'Content-Type': contentType,
+			...corsHeaders,
+			...headers
+		}
+	});
+}
+
+/**
+ * Build a cacheable JSON response for a data endpoint
+ * @param {Object} data - Response body
+ * @returns {Response} Response with a public Cache-Control header
+ */
+export function dataResponse(data) {
+	return jsonResponse(data, 200, 'application/json', { 'Cache-Control': `public, max-age=${DATA_CACHE_SECONDS}` });
+}
+
+/**
+ * Answer a GET request from the edge cache, or run the handler and cache a successful response
+ * @param {Request} request - Incoming request (its URL is the cache key)
+ * @param {Object} ctx - Execution context
+ * @param {Function} respond - Async function returning the Response on a cache miss
+ * @returns {Promise<Response>} Response
+ */
+export async function withEdgeCache(request, ctx, respond) {
+	const cache = caches.default;
+	const cached = await cache.match(request);
+	if (cached) {
+		return cached;
+	}
+
+	const response = await respond();
+	if (response.status === 200) {
+		ctx.waitUntil(cache.put(request, response.clone()));
+	}
+	return response;
+}
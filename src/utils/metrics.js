@@ -2,6 +2,9 @@
  * Metrics calculation utilities for facility data analysis
  */
 
+import { getChildLocations, getPopulation, isWithinLocation } from './dataLoader.js';
+import { getCompletenessCaveats } from './dataQuality.js';
+
 // WHO and national benchmarks
 const BENCHMARKS = {
 	education: {
@@ -23,18 +26,131 @@ const BENCHMARKS = {
 	}
 };
 
+// Staff columns in health_facilities.csv, keyed by cadre
+const STAFF_CADRES = {
+	medicalOfficers: 'staff_medical_officers',
+	clinicalOfficers: 'staff_clinical_officer',
+	nursingOfficers: 'staff_nursing_officers',
+	comprehensiveNurses: 'staff_comprehensive_nurse',
+	enrolledNurses: 'staff_enrolled_nurses',
+	midwives: 'staff_midwives',
+	labTechnicians: 'staff_lab_technician',
+	labAssistants: 'staff_lab_assistant',
+	healthInfo: 'staff_health_info',
+	vhtChw: 'staff_vht_chw'
+};
+
+// Minimum staff per cadre for each facility level (Uganda MoH staffing norms for health centres).
+// Village health teams are community based and are not part of the facility norms.
+export const STAFFING_NORMS = {
+	HCII: {
+		enrolledNurses: 1,
+		midwives: 1
+	},
+	HCIII: {
+		clinicalOfficers: 2,
+		nursingOfficers: 1,
+		enrolledNurses: 3,
+		midwives: 2,
+		labTechnicians: 1,
+		labAssistants: 1,
+		healthInfo: 1
+	},
+	HCIV: {
+		medicalOfficers: 2,
+		clinicalOfficers: 2,
+		nursingOfficers: 2,
+		enrolledNurses: 5,
+		midwives: 4,
+		labTechnicians: 1,
+		labAssistants: 1,
+		healthInfo: 1
+	}
+};
+
+// Health facility levels checked against the population benchmarks. A facility also
+// provides the services of the levels below it, so an HCIV counts towards HCIII coverage.
+const COVERAGE_LEVELS = [
+	{ level: 'HCII', key: 'hc2', benchmark: 'population_per_hc2', counts: ['HCII', 'HCIII', 'HCIV', 'Hospital'] },
+	{ level: 'HCIII', key: 'hc3', benchmark: 'population_per_hc3', counts: ['HCIII', 'HCIV', 'Hospital'] },
+	{ level: 'HCIV', key: 'hc4', benchmark: 'population_per_hc4', counts: ['HCIV', 'Hospital'] },
+	{ level: 'Hospital', key: 'hospital', benchmark: 'population_per_hospital', counts: ['Hospital'] }
+];
+
+// Yes/No fields counted by calculateMetrics(), as [section, count key, percentage key, field].
+// Percentages are of the facilities that recorded the field; blanks are counted in metrics.unreported.
+const EDUCATION_INDICATORS = [
+	['infrastructure', 'withElectricity', 'electricityPercentage', 'electricity_available'],
+	['infrastructure', 'withWater', 'waterPercentage', 'water_available'],
+	['infrastructure', 'withICTLab', 'ictLabPercentage', 'ict_lab_available'],
+	['infrastructure', 'withHandwashing', 'handwashingPercentage', 'handwashing_available'],
+	['infrastructure', 'withDisabilityAccessibleToilets', 'disabilityAccessibleToiletsPercentage', 'disability_accessible_toilets'],
+	['infrastructure', 'withSeparateGenderToilets', 'separateGenderToiletsPercentage', 'separate_gender_toilets']
+];
+
+const HEALTH_INDICATORS = [
+	['infrastructure', 'withElectricity', 'electricityPercentage', 'has_electricity'],
+	['infrastructure', 'withBackupPower', 'backupPowerPercentage', 'has_backup_power'],
+	['infrastructure', 'withWater', 'waterPercentage', 'water_on_premises'],
+	['infrastructure', 'withLaboratory', 'laboratoryPercentage', 'has_laboratory'],
+	['infrastructure', 'withDeliveryRoom', 'deliveryRoomPercentage', 'has_delivery_room'],
+	['infrastructure', 'withInpatientWard', 'inpatientWardPercentage', 'has_inpatient_ward'],
+	['services', 'offeringHIV', 'hivPercentage', 'has_hiv_tb_care'],
+	['services', 'offeringMaternal', 'maternalPercentage', 'has_maternal_health'],
+	['services', 'offeringImmunization', 'immunizationPercentage', 'has_immunization'],
+	['services', 'offeringDiagnostics', 'diagnosticsPercentage', 'has_diagnostics'],
+	['services', 'offeringFamilyPlanning', 'familyPlanningPercentage', 'has_family_planning'],
+	['services', 'offeringSurgery', 'surgeryPercentage', 'has_surgery'],
+	['supplies', 'withICCMSupplies', 'iccmSuppliesPercentage', 'has_iccm_supplies'],
+	['supplies', 'withORSSachets', 'orsSachetsPercentage', 'has_ors_sachets'],
+	['supplies', 'withZincTablets', 'zincTabletsPercentage', 'has_zinc_tablets'],
+	['supplies', 'withRDTKits', 'rdtKitsPercentage', 'has_rdt_kits'],
+	['supplies', 'withACTTablets', 'actTabletsPercentage', 'has_act_tablets'],
+	['supplies', 'withAmoxicillin', 'amoxicillinPercentage', 'has_amoxicillin']
+];
+
+// Fields each figure is computed from, for the completeness caveats. Blank counts add nothing to the totals.
+const EDUCATION_FIELD_USAGE = {
+	...getIndicatorUsage(EDUCATION_INDICATORS),
+	total_learners: ['enrollment.totalLearners', 'ratios.pupilTeacherRatio', 'ratios.pupilClassroomRatio'],
+	boys_count: ['enrollment.boysPercentage'],
+	girls_count: ['enrollment.girlsPercentage'],
+	disabled_learners: ['enrollment.disabledLearnersPercentage'],
+	total_teachers: ['enrollment.totalTeachers', 'ratios.pupilTeacherRatio'],
+	male_teachers: ['enrollment.maleTeachersPercentage'],
+	female_teachers: ['enrollment.femaleTeachersPercentage'],
+	total_classrooms: ['enrollment.totalClassrooms', 'ratios.pupilClassroomRatio'],
+	semi_permanent_classrooms: ['enrollment.semiPermanentClassroomsPercentage'],
+	temporary_classrooms: ['enrollment.temporaryClassroomsPercentage'],
+	diploma_teachers: ['teacherQualifications.diplomaPercentage'],
+	degree_teachers: ['teacherQualifications.degreePercentage'],
+	certificate_teachers: ['teacherQualifications.certificatePercentage'],
+	govt_payroll_teachers: ['teacherQualifications.govtPayrollPercentage']
+};
+
+const HEALTH_FIELD_USAGE = {
+	...getIndicatorUsage(HEALTH_INDICATORS),
+	facility_level: ['byLevel', 'coverage'],
+	...Object.fromEntries(Object.entries(STAFF_CADRES).map(([cadre, column]) => [column, [
+		`workforce.totals.${cadre}`,
+		...(cadre === 'midwives' ? ['workforce.midwivesPerFacility'] : [])
+	]]))
+};
+
 /**
  * Calculate aggregated metrics for facility data
  * @param {Array} facilities - Facility data
  * @param {Object} location - Location filter
  * @param {string} category - 'health' or 'education'
+ * @param {Object} options - Calculation options
+ * @param {number} options.population - Population of the location, for health coverage metrics
  * @returns {Object} Aggregated metrics
  */
-export function calculateMetrics(facilities, location, category) {
+export function calculateMetrics(facilities, location, category, options = {}) {
 	if (category === 'education') {
 		return calculateEducationMetrics(facilities, location);
 	} else if (category === 'health') {
-		return calculateHealthMetrics(facilities, location);
+		return calculateHealthMetrics(facilities, location, options.population ?? null);
 	}
 	return {};
 }
@@ -47,14 +163,7 @@ function calculateEducationMetrics(facilities, location) {
 		totalFacilities: facilities.length,
 		byLevel: {},
 		byOwnership: {},
-		infrastructure: {
-			withElectricity: 0,
-			withWater: 0,
-			withICTLab: 0,
-			withHandwashing: 0,
-			withDisabilityAccessibleToilets: 0,
-			withSeparateGenderToilets: 0
-		},
+		infrastructure: {},
 		enrollment: {
 			totalLearners: 0,
 			totalBoys: 0,
@@ -75,85 +184,41 @@ function calculateEducationMetrics(facilities, location) {
 			govtPayrollTeachers: 0
 		},
 		ratios: {},
+		unreported: {},
 		gaps: []
 	};
 
+	countIndicators(metrics, facilities, EDUCATION_INDICATORS);
+
 	facilities.forEach(facility => {
 		// Count by level
-		const level = facility.level || facility.Level || 'Unknown';
+		const level = facility.institution_type || 'Unknown';
 		metrics.byLevel[level] = (metrics.byLevel[level] || 0) + 1;
 
 		// Count by ownership
-		const ownership = facility.ownership || facility.Ownership || 'Unknown';
+		const ownership = facility.ownership || 'Unknown';
 		metrics.byOwnership[ownership] = (metrics.byOwnership[ownership] || 0) + 1;
 
-		// Infrastructure
-		if (isYes(facility.electricity_available || facility.Electricity)) {
-			metrics.infrastructure.withElectricity++;
-		}
-		if (isYes(facility.water_available || facility.Water)) {
-			metrics.infrastructure.withWater++;
-		}
-		if (isYes(facility.ict_lab_available || facility.ict_lab || facility.ICT_Lab)) {
-			metrics.infrastructure.withICTLab++;
-		}
-		if (isYes(facility.handwashing_available)) {
-			metrics.infrastructure.withHandwashing++;
-		}
-		if (isYes(facility.disability_accessible_toilets)) {
-			metrics.infrastructure.withDisabilityAccessibleToilets++;
-		}
-		if (isYes(facility.separate_gender_toilets)) {
-			metrics.infrastructure.withSeparateGenderToilets++;
-		}
-
-		// Enrollment data
-		const learners = parseNumber(facility.total_learners || facility.Total_Learners || facility.enrollment);
-		const boys = parseNumber(facility.boys_count);
-		const girls = parseNumber(facility.girls_count);
-		const teachers = parseNumber(facility.total_teachers || facility.Total_Teachers || facility.teachers);
-		const maleTeachers = parseNumber(facility.male_teachers);
-		const femaleTeachers = parseNumber(facility.female_teachers);
-		const classrooms = parseNumber(facility.total_classrooms || facility.Total_Classrooms || facility.classrooms);
-		const disabledLearners = parseNumber(facility.disabled_learners);
-		const permanentClassrooms = parseNumber(facility.permanent_classrooms);
-		const semiPermanentClassrooms = parseNumber(facility.semi_permanent_classrooms);
-		const temporaryClassrooms = parseNumber(facility.temporary_classrooms);
-
-		if (learners > 0) metrics.enrollment.totalLearners += learners;
-		if (boys > 0) metrics.enrollment.totalBoys += boys;
-		if (girls > 0) metrics.enrollment.totalGirls += girls;
-		if (teachers > 0) metrics.enrollment.totalTeachers += teachers;
-		if (maleTeachers > 0) metrics.enrollment.totalMaleTeachers += maleTeachers;
-		if (femaleTeachers > 0) metrics.enrollment.totalFemaleTeachers += femaleTeachers;
-		if (classrooms > 0) metrics.enrollment.totalClassrooms += classrooms;
-		if (disabledLearners > 0) metrics.enrollment.totalDisabledLearners += disabledLearners;
-		if (permanentClassrooms > 0) metrics.enrollment.permanentClassrooms += permanentClassrooms;
-		if (semiPermanentClassrooms > 0) metrics.enrollment.semiPermanentClassrooms += semiPermanentClassrooms;
-		if (temporaryClassrooms > 0) metrics.enrollment.temporaryClassrooms += temporaryClassrooms;
+		// Enrollment data (blank counts add nothing)
+		metrics.enrollment.totalLearners += facility.total_learners || 0;
+		metrics.enrollment.totalBoys += facility.boys_count || 0;
+		metrics.enrollment.totalGirls += facility.girls_count || 0;
+		metrics.enrollment.totalTeachers += facility.total_teachers || 0;
+		metrics.enrollment.totalMaleTeachers += facility.male_teachers || 0;
+		metrics.enrollment.totalFemaleTeachers += facility.female_teachers || 0;
+		metrics.enrollment.totalClassrooms += facility.total_classrooms || 0;
+		metrics.enrollment.totalDisabledLearners += facility.disabled_learners || 0;
+		metrics.enrollment.permanentClassrooms += facility.permanent_classrooms || 0;
+		metrics.enrollment.semiPermanentClassrooms += facility.semi_permanent_classrooms || 0;
+		metrics.enrollment.temporaryClassrooms += facility.temporary_classrooms || 0;
 
 		// Teacher qualifications
-		const diplomaTeachers = parseNumber(facility.diploma_teachers);
-		const degreeTeachers = parseNumber(facility.degree_teachers);
-		const certificateTeachers = parseNumber(facility.certificate_teachers);
-		const govtPayrollTeachers = parseNumber(facility.govt_payroll_teachers);
-
-		if (diplomaTeachers > 0) metrics.teacherQualifications.diplomaTeachers += diplomaTeachers;
-		if (degreeTeachers > 0) metrics.teacherQualifications.degreeTeachers += degreeTeachers;
-		if (certificateTeachers > 0) metrics.teacherQualifications.certificateTeachers += certificateTeachers;
-		if (govtPayrollTeachers > 0) metrics.teacherQualifications.govtPayrollTeachers += govtPayrollTeachers;
+		metrics.teacherQualifications.diplomaTeachers += facility.diploma_teachers || 0;
+		metrics.teacherQualifications.degreeTeachers += facility.degree_teachers || 0;
+		metrics.teacherQualifications.certificateTeachers += facility.certificate_teachers || 0;
+		metrics.teacherQualifications.govtPayrollTeachers += facility.govt_payroll_teachers || 0;
 	});
 
-	// Calculate percentages
-	if (metrics.totalFacilities > 0) {
-		metrics.infrastructure.electricityPercentage = (metrics.infrastructure.withElectricity / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.waterPercentage = (metrics.infrastructure.withWater / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.ictLabPercentage = (metrics.infrastructure.withICTLab / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.handwashingPercentage = (metrics.infrastructure.withHandwashing / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.disabilityAccessibleToiletsPercentage = (metrics.infrastructure.withDisabilityAccessibleToilets / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.separateGenderToiletsPercentage = (metrics.infrastructure.withSeparateGenderToilets / metrics.totalFacilities * 100).toFixed(1);
-	}
-
 	// Calculate gender percentages
 	if (metrics.enrollment.totalLearners > 0) {
 		metrics.enrollment.boysPercentage = (metrics.enrollment.totalBoys / metrics.enrollment.totalLearners * 100).toFixed(1);
@@ -205,6 +270,7 @@ function calculateEducationMetrics(facilities, location) {
 		});
 	}
 
+	metrics.caveats = getCompletenessCaveats(facilities, EDUCATION_FIELD_USAGE);
 	metrics.benchmarks = BENCHMARKS.education;
 
 	return metrics;
@@ -213,147 +279,30 @@ function calculateEducationMetrics(facilities, location) {
 /**
  * Calculate health facility metrics
  */
-function calculateHealthMetrics(facilities, location) {
+function calculateHealthMetrics(facilities, location, population = null) {
 	const metrics = {
 		totalFacilities: facilities.length,
 		byLevel: {},
 		byOwnership: {},
-		infrastructure: {
-			withElectricity: 0,
-			withBackupPower: 0,
-			withWater: 0,
-			withAmbulance: 0,
-			withMaternity: 0,
-			withLaboratory: 0,
-			withDeliveryRoom: 0,
-			withInpatientWard: 0
-		},
-		services: {
-			offeringHIV: 0,
-			offeringMaternal: 0,
-			offeringChildHealth: 0,
-			offeringImmunization: 0,
-			offeringDiagnostics: 0,
-			offeringFamilyPlanning: 0,
-			offeringSurgery: 0
-		},
-		supplies: {
-			withICCMSupplies: 0,
-			withORSSachets: 0,
-			withZincTablets: 0,
-			withRDTKits: 0,
-			withACTTablets: 0,
-			withAmoxicillin: 0
-		},
+		infrastructure: {},
+		services: {},
+		supplies: {},
+		unreported: {},
 		gaps: []
 	};
 
+	countIndicators(metrics, facilities, HEALTH_INDICATORS);
+
 	facilities.forEach(facility => {
 		// Count by level
-		const level = facility.level || facility.Level || facility.facility_level || 'Unknown';
+		const level = facility.facility_level || 'Unknown';
 		metrics.byLevel[level] = (metrics.byLevel[level] || 0) + 1;
 
 		// Count by ownership
-		const ownership = facility.ownership || facility.Ownership || 'Unknown';
+		const ownership = facility.ownership || 'Unknown';
 		metrics.byOwnership[ownership] = (metrics.byOwnership[ownership] || 0) + 1;
-
-		// Infrastructure
-		if (isYes(facility.power_sources) || isYes(facility.electricity || facility.Electricity)) {
-			metrics.infrastructure.withElectricity++;
-		}
-		if (isYes(facility.has_backup_power)) {
-			metrics.infrastructure.withBackupPower++;
-		}
-		if (isYes(facility.water || facility.Water)) {
-			metrics.infrastructure.withWater++;
-		}
-		if (isYes(facility.ambulance || facility.Ambulance)) {
-			metrics.infrastructure.withAmbulance++;
-		}
-		if (isYes(facility.maternity_ward || facility.Maternity)) {
-			metrics.infrastructure.withMaternity++;
-		}
-		if (isYes(facility.has_laboratory)) {
-			metrics.infrastructure.withLaboratory++;
-		}
-		if (isYes(facility.has_delivery_room)) {
-			metrics.infrastructure.withDeliveryRoom++;
-		}
-		if (isYes(facility.has_inpatient_ward)) {
-			metrics.infrastructure.withInpatientWard++;
-		}
-
-		// Services
-		if (isYes(facility.hiv_services || facility.HIV || facility.has_hiv_tb_care || facility.hivaids_and_tb_care1)) {
-			metrics.services.offeringHIV++;
-		}
-		if (isYes(facility.maternal_services || facility.Maternal || facility.has_maternal_health)) {
-			metrics.services.offeringMaternal++;
-		}
-		if (isYes(facility.child_health || facility.Child_Health)) {
-			metrics.services.offeringChildHealth++;
-		}
-		if (isYes(facility.immunization || facility.Immunization || facility.has_immunization || facility.immunization_services1)) {
-			metrics.services.offeringImmunization++;
-		}
-		if (isYes(facility.has_diagnostics)) {
-			metrics.services.offeringDiagnostics++;
-		}
-		if (isYes(facility.has_family_planning)) {
-			metrics.services.offeringFamilyPlanning++;
-		}
-		if (isYes(facility.has_surgery)) {
-			metrics.services.offeringSurgery++;
-		}
-
-		// Supplies
-		if (isYes(facility.has_iccm_supplies)) {
-			metrics.supplies.withICCMSupplies++;
-		}
-		if (isYes(facility.has_ors_sachets)) {
-			metrics.supplies.withORSSachets++;
-		}
-		if (isYes(facility.has_zinc_tablets)) {
-			metrics.supplies.withZincTablets++;
-		}
-		if (isYes(facility.has_rdt_kits)) {
-			metrics.supplies.withRDTKits++;
-		}
-		if (isYes(facility.has_act_tablets)) {
-			metrics.supplies.withACTTablets++;
-		}
-		if (isYes(facility.has_amoxicillin)) {
-			metrics.supplies.withAmoxicillin++;
-		}
 	});
 
-	// Calculate percentages
-	if (metrics.totalFacilities > 0) {
-		metrics.infrastructure.electricityPercentage = (metrics.infrastructure.withElectricity / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.backupPowerPercentage = (metrics.infrastructure.withBackupPower / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.waterPercentage = (metrics.infrastructure.withWater / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.ambulancePercentage = (metrics.infrastructure.withAmbulance / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.maternityPercentage = (metrics.infrastructure.withMaternity / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.laboratoryPercentage = (metrics.infrastructure.withLaboratory / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.deliveryRoomPercentage = (metrics.infrastructure.withDeliveryRoom / metrics.totalFacilities * 100).toFixed(1);
-		metrics.infrastructure.inpatientWardPercentage = (metrics.infrastructure.withInpatientWard / metrics.totalFacilities * 100).toFixed(1);
-
-		metrics.services.hivPercentage = (metrics.services.offeringHIV / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.maternalPercentage = (metrics.services.offeringMaternal / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.childHealthPercentage = (metrics.services.offeringChildHealth / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.immunizationPercentage = (metrics.services.offeringImmunization / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.diagnosticsPercentage = (metrics.services.offeringDiagnostics / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.familyPlanningPercentage = (metrics.services.offeringFamilyPlanning / metrics.totalFacilities * 100).toFixed(1);
-		metrics.services.surgeryPercentage = (metrics.services.offeringSurgery / metrics.totalFacilities * 100).toFixed(1);
-
-		metrics.supplies.iccmSuppliesPercentage = (metrics.supplies.withICCMSupplies / metrics.totalFacilities * 100).toFixed(1);
-		metrics.supplies.orsSachetsPercentage = (metrics.supplies.withORSSachets / metrics.totalFacilities * 100).toFixed(1);
-		metrics.supplies.zincTabletsPercentage = (metrics.supplies.withZincTablets / metrics.totalFacilities * 100).toFixed(1);
-		metrics.supplies.rdtKitsPercentage = (metrics.supplies.withRDTKits / metrics.totalFacilities * 100).toFixed(1);
-		metrics.supplies.actTabletsPercentage = (metrics.supplies.withACTTablets / metrics.totalFacilities * 100).toFixed(1);
-		metrics.supplies.amoxicillinPercentage = (metrics.supplies.withAmoxicillin / metrics.totalFacilities * 100).toFixed(1);
-	}
-
 	// Identify gaps
 	if (metrics.infrastructure.electricityPercentage < BENCHMARKS.health.electricity_target) {
 		metrics.gaps.push({
@@ -364,50 +313,320 @@ function calculateHealthMetrics(facilities, location) {
 		});
 	}
 
+	// Workforce by cadre and level, with facilities missing cadres the norms require
+	metrics.workforce = calculateWorkforce(facilities);
+	metrics.workforce.facilitiesMissingCadres.forEach(facility => {
+		metrics.gaps.push({
+			type: 'staffing',
+			facility: facility.facility,
+			level: facility.level,
+			location_code: facility.location_code,
+			missing: facility.missing,
+			severity: getSeverity(facility.cadresPresent, facility.cadresRequired)
+		});
+	});
+
+	// Population coverage against the facility level benchmarks
+	metrics.coverage = calculateCoverage(metrics.byLevel, population);
+	Object.values(metrics.coverage.byLevel || {}).forEach(coverage => {
+		if (coverage.shortfall > 0) {
+			metrics.gaps.push({
+				type: `${coverage.key}_coverage`,
+				current: coverage.facilities,
+				target: coverage.required,
+				shortfall: coverage.shortfall,
+				severity: getSeverity(coverage.facilities, coverage.required)
+			});
+		}
+	});
+
+	metrics.caveats = getCompletenessCaveats(facilities, HEALTH_FIELD_USAGE);
 	metrics.benchmarks = BENCHMARKS.health;
 
 	return metrics;
 }
 
 /**
- * Get subcounty-level breakdown
+ * Helper: Total staff by cadre and facility level and compare each facility with STAFFING_NORMS
+ * Blank staff cells mean the facility did not report that cadre, so they are counted
+ * as unreported rather than zero and never flagged as missing.
  */
-export function getSubcountyBreakdown(facilities, metric) {
-	const subcountyMap = new Map();
+function calculateWorkforce(facilities) {
+	const cadres = Object.keys(STAFF_CADRES);
+	const emptyCounts = () => Object.fromEntries(cadres.map(cadre => [cadre, 0]));
+
+	const workforce = {
+		totals: emptyCounts(),
+		unreported: emptyCounts(),
+		totalHealthWorkers: 0,
+		byLevel: {},
+		norms: {},
+		facilitiesMissingCadres: []
+	};
 
 	facilities.forEach(facility => {
-		const subcounty = facility.subcounty || facility.Subcounty || facility.sub_county || 'Unknown';
+		const level = facility.facility_level || 'Unknown';
+		if (!workforce.byLevel[level]) {
+			workforce.byLevel[level] = { facilities: 0, staff: emptyCounts() };
+		}
+		const levelEntry = workforce.byLevel[level];
+		levelEntry.facilities++;
+
+		const staff = {};
+		cadres.forEach(cadre => {
+			const count = facility[STAFF_CADRES[cadre]];
+			staff[cadre] = count;
+			if (count === null) {
+				workforce.unreported[cadre]++;
+				return;
+			}
+			workforce.totals[cadre] += count;
+			levelEntry.staff[cadre] += count;
+			if (cadre !== 'vhtChw') workforce.totalHealthWorkers += count;
+		});
+
+		// Compare with the norms for the facility level
+		const norms = STAFFING_NORMS[level];
+		if (!norms) return;
 
-		if (!subcountyMap.has(subcounty)) {
-			subcountyMap.set(subcounty, {
-				name: subcounty,
-				facilities: [],
-				metrics: {}
+		if (!workforce.norms[level]) {
+			workforce.norms[level] = { facilities: 0, meetingAllNorms: 0 };
+			Object.keys(norms).forEach(cadre => {
+				workforce.norms[level][cadre] = { norm: norms[cadre], meetingNorm: 0, belowNorm: 0, missing: 0, unreported: 0 };
+			});
+		}
+		const levelNorms = workforce.norms[level];
+		levelNorms.facilities++;
+
+		const missing = [];
+		let meetsAll = true;
+		Object.entries(norms).forEach(([cadre, norm]) => {
+			const count = staff[cadre];
+			if (count === null) {
+				levelNorms[cadre].unreported++;
+				meetsAll = false;
+			} else if (count >= norm) {
+				levelNorms[cadre].meetingNorm++;
+			} else {
+				levelNorms[cadre].belowNorm++;
+				meetsAll = false;
+				if (count === 0) {
+					levelNorms[cadre].missing++;
+					missing.push(cadre);
+				}
+			}
+		});
+		if (meetsAll) levelNorms.meetingAllNorms++;
+
+		if (missing.length > 0) {
+			const cadresRequired = Object.keys(norms).length;
+			workforce.facilitiesMissingCadres.push({
+				facility: facility.facility_name || 'Unknown',
+				level,
+				location_code: facility.location_code,
+				missing,
+				cadresRequired,
+				cadresPresent: cadresRequired - missing.length
 			});
 		}
+	});
+
+	// Averages per facility for each level
+	Object.values(workforce.byLevel).forEach(levelEntry => {
+		levelEntry.averagePerFacility = Object.fromEntries(cadres.map(cadre =>
+			[cadre, (levelEntry.staff[cadre] / levelEntry.facilities).toFixed(1)]));
+	});
+
+	const normedFacilities = Object.values(workforce.norms).reduce((sum, level) => sum + level.facilities, 0);
+	const meetingAll = Object.values(workforce.norms).reduce((sum, level) => sum + level.meetingAllNorms, 0);
+	if (normedFacilities > 0) {
+		workforce.meetingNormsPercentage = (meetingAll / normedFacilities * 100).toFixed(1);
+	}
+	if (facilities.length > 0) {
+		workforce.midwivesPerFacility = (workforce.totals.midwives / facilities.length).toFixed(1);
+	}
+
+	return workforce;
+}
+
+/**
+ * Helper: Compare facility counts by level with the population benchmarks
+ * The number required is rounded up, since the people beyond the last full benchmark
+ * still need a facility: 30,000 people need two HCIIIs (one per 20,000).
+ */
+function calculateCoverage(byLevel, population) {
+	if (typeof population !== 'number' || population <= 0) {
+		return { population: null, note: 'No population figure is available for this location' };
+	}
 
-		subcountyMap.get(subcounty).facilities.push(facility);
+	const coverage = { population, byLevel: {} };
+
+	COVERAGE_LEVELS.forEach(({ level, key, benchmark, counts }) => {
+		const facilities = counts.reduce((sum, countedLevel) => sum + (byLevel[countedLevel] || 0), 0);
+		const populationPerFacilityTarget = BENCHMARKS.health[benchmark];
+		const required = Math.ceil(population / populationPerFacilityTarget);
+
+		coverage.byLevel[level] = {
+			key,
+			facilities,
+			populationPerFacility: facilities > 0 ? Math.round(population / facilities) : null,
+			facilitiesPer100k: (facilities / population * 100000).toFixed(1),
+			benchmark: populationPerFacilityTarget,
+			required,
+			shortfall: Math.max(required - facilities, 0)
+		};
 	});
 
-	// Calculate metrics for each subcounty
-	const breakdown = Array.from(subcountyMap.values()).map(sc => {
-		const scMetrics = calculateMetrics(sc.facilities, {},
-			sc.facilities[0]?.level?.toLowerCase().includes('health') ? 'health' : 'education');
+	coverage.hc3Needed = coverage.byLevel.HCIII.shortfall;
+
+	return coverage;
+}
+
+/**
+ * Roll facility metrics up to every location at one level of the hierarchy
+ * Facilities are assigned to locations by location_code prefix and names come from locations.json,
+ * so units without any facilities are still listed (with facilityCount 0).
+ * @param {Array} facilities - Facility data
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {Object} options - Rollup options
+ * @param {string} options.category - 'health' or 'education'
+ * @param {string} options.parentCode - Location code to roll up under (e.g. 'D01')
+ * @param {string} options.level - 'subcounty', 'parish' or 'village' (defaults to one level below the parent)
+ * @param {Object} options.population - Population data from loadPopulation(), for health coverage metrics
+ * @returns {Array<Object>} [{location, code, level, facilityCount, metrics}]
+ */
+export function getLocationRollup(facilities, locations, options = {}) {
+	const { category, parentCode, level = null, population = null } = options;
+
+	return getChildLocations(locations, parentCode, level).map(unit => {
+		const unitFacilities = facilities.filter(facility => isWithinLocation(facility.location_code, unit.code));
 
 		return {
-			location: sc.name,
-			facilityCount: sc.facilities.length,
-			...scMetrics
+			location: unit.name,
+			code: unit.code,
+			level: unit.type,
+			facilityCount: unitFacilities.length,
+			metrics: calculateMetrics(unitFacilities, { [unit.type]: unit.code }, category, {
+				population: population ? getPopulation(population, locations, unit.code) : null
+			})
 		};
 	});
+}
 
-	return breakdown.sort((a, b) => b.facilityCount - a.facilityCount);
+/**
+ * Calculate indicators for a single facility, each against its benchmark where there is one
+ * @param {Object} facility - Facility row
+ * @param {string} category - 'health' or 'education'
+ * @returns {Object} Indicators for the facility
+ */
+export function calculateFacilityIndicators(facility, category) {
+	if (category === 'education') {
+		const benchmarks = BENCHMARKS.education;
+		const learners = facility.total_learners || 0;
+		const teachers = facility.total_teachers || 0;
+
+		return {
+			pupilTeacherRatio: compareRatio(learners, teachers, benchmarks.pupil_teacher_ratio_primary),
+			pupilClassroomRatio: compareRatio(learners, facility.total_classrooms, benchmarks.pupil_classroom_ratio),
+			girlsPercentage: learners > 0 ? ((facility.girls_count || 0) / learners * 100).toFixed(1) : null,
+			femaleTeachersPercentage: teachers > 0 ? ((facility.female_teachers || 0) / teachers * 100).toFixed(1) : null,
+			infrastructure: {
+				electricity: facility.electricity_available,
+				water: facility.water_available,
+				ictLab: facility.ict_lab_available,
+				handwashing: facility.handwashing_available,
+				disabilityAccessibleToilets: facility.disability_accessible_toilets
+			}
+		};
+	}
+
+	const level = facility.facility_level || 'Unknown';
+	const staff = Object.fromEntries(Object.entries(STAFF_CADRES).map(([cadre, column]) => [cadre, facility[column]]));
+	const norms = STAFFING_NORMS[level];
+
+	// Each cadre the level requires, with the reported count (null when blank)
+	let staffing = null;
+	if (norms) {
+		const cadres = Object.fromEntries(Object.entries(norms).map(([cadre, norm]) => [cadre, {
+			norm,
+			count: staff[cadre],
+			meetsNorm: staff[cadre] !== null && staff[cadre] >= norm
+		}]));
+		staffing = {
+			cadres,
+			meetsAllNorms: Object.values(cadres).every(cadre => cadre.meetsNorm),
+			missing: Object.keys(cadres).filter(cadre => cadres[cadre].count === 0)
+		};
+	}
+
+	// Yes/No indicators are null where the facility left them blank
+	return {
+		level,
+		totalHealthWorkers: Object.entries(staff)
+			.filter(([cadre]) => cadre !== 'vhtChw')
+			.reduce((sum, [, count]) => sum + (count || 0), 0),
+		staff,
+		staffing,
+		infrastructure: {
+			electricity: facility.has_electricity,
+			backupPower: facility.has_backup_power,
+			waterOnPremises: facility.water_on_premises,
+			laboratory: facility.has_laboratory,
+			deliveryRoom: facility.has_delivery_room,
+			inpatientWard: facility.has_inpatient_ward
+		},
+		services: {
+			maternal: facility.has_maternal_health,
+			immunization: facility.has_immunization,
+			hivTb: facility.has_hiv_tb_care,
+			familyPlanning: facility.has_family_planning,
+			diagnostics: facility.has_diagnostics,
+			surgery: facility.has_surgery
+		}
+	};
+}
+
+/**
+ * Helper: A ratio (e.g. pupils per teacher) against a maximum benchmark, or null when the divisor is zero
+ */
+function compareRatio(numerator, denominator, benchmark) {
+	if (!(denominator > 0)) return null;
+	const value = numerator / denominator;
+	return {
+		value: value.toFixed(1),
+		benchmark,
+		gap: (value - benchmark).toFixed(1),
+		meetsBenchmark: value <= benchmark
+	};
+}
+
+/**
+ * Helper: The percentage each Yes/No field is counted into, as {field: [metric path]}
+ */
+function getIndicatorUsage(indicators) {
+	return Object.fromEntries(indicators.map(([section, , percentageKey, field]) => [field, [`${section}.${percentageKey}`]]));
+}
+
+/**
+ * Helper: Count the facilities with each Yes/No field set and the percentage of those that recorded it
+ */
+function countIndicators(metrics, facilities, indicators) {
+	indicators.forEach(([section, countKey, percentageKey, field]) => {
+		const reported = facilities.filter(facility => facility[field] !== null && facility[field] !== undefined);
+		metrics[section][countKey] = reported.filter(facility => facility[field] === true).length;
+		if (reported.length > 0) {
+			metrics[section][percentageKey] = (metrics[section][countKey] / reported.length * 100).toFixed(1);
+		}
+		if (reported.length < facilities.length) {
+			metrics.unreported[field] = facilities.length - reported.length;
+		}
+	});
 }
 
 /**
  * Helper: Check if value represents "yes"
  */
-function isYes(value) {
+export function isYes(value) {
 	if (!value) return false;
 	const str = String(value).toLowerCase().trim();
 	return str === 'yes' || str === 'y' || str === 'true' || str === '1';
@@ -416,7 +635,7 @@ function isYes(value) {
 /**
  * Helper: Parse number from string
  */
-function parseNumber(value) {
+export function parseNumber(value) {
 	if (typeof value === 'number') return value;
 	if (!value) return 0;
 	const num = parseFloat(String(value).replace(/,/g, ''));
@@ -426,7 +645,7 @@ function parseNumber(value) {
 /**
  * Helper: Get severity level based on comparison to benchmark
  */
-function getSeverity(current, target) {
+export function getSeverity(current, target) {
 	const ratio = current / target;
 	if (ratio < 0.5) return 'critical';
 	if (ratio < 0.75) return 'high';
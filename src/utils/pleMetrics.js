@@ -0,0 +1,258 @@
+/**
+ * PLE (Primary Leaving Examination) performance metrics from data/trends/ple_analysis.csv
+ */
+
+import { parseNumber, getSeverity } from './metrics.js';
+
+// Divisions 1-4 are passes, U is ungraded (failed), X is absent (registered but did not sit)
+const PASS_DIVISIONS = ['Division 1', 'Division 2', 'Division 3', 'Division 4'];
+const DIVISIONS = [...PASS_DIVISIONS, 'Division U', 'Division X'];
+
+// Weights for the performance index: a school where every candidate gets Division 1 scores 100
+const DIVISION_WEIGHTS = {
+	'Division 1': 4,
+	'Division 2': 3,
+	'Division 3': 2,
+	'Division 4': 1,
+	'Division U': 0
+};
+
+export const PLE_BENCHMARKS = {
+	pass_rate_target: 90, // % of candidates who sat passing in Division 1-4
+	division1_rate_target: 20,
+	min_candidates_for_ranking: 10
+};
+
+/**
+ * Calculate PLE performance metrics for a set of ple_analysis rows
+ * @param {Array} rows - PLE rows from loadTrendData('ple_analysis.csv'), already filtered by location
+ * @param {Object} options - Calculation options
+ * @param {number} options.year - Exam year to analyse (defaults to the latest year in the data)
+ * @param {number} options.topSchools - Number of schools to include in the ranking (default 10)
+ * @returns {Object} PLE metrics
+ */
+export function calculatePLEMetrics(rows, options = {}) {
+	const { years, year } = pickYear(rows, options.year);
+	const topSchools = options.topSchools || 10;
+
+	const metrics = {
+		year,
+		availableYears: years,
+		totalSchools: 0,
+		totals: null,
+		divisionDistribution: {},
+		genderGap: {},
+		bySubcounty: [],
+		schoolRanking: [],
+		byYear: [],
+		gaps: []
+	};
+
+	if (!year) {
+		return metrics;
+	}
+
+	const yearRows = rows.filter(row => parseInt(row.year, 10) === year);
+
+	// Totals and distribution for the selected year
+	const totals = tallyDivisions(yearRows);
+	metrics.totals = summariseTally(totals);
+
+	DIVISIONS.forEach(division => {
+		metrics.divisionDistribution[division] = {
+			count: totals.divisions[division],
+			percentage: totals.registered > 0
+				? (totals.divisions[division] / totals.registered * 100).toFixed(1)
+				: '0.0'
+		};
+	});
+
+	// Gender gap (positive values mean boys are ahead)
+	const male = tallyDivisions(yearRows.filter(row => row.gender === 'Male'));
+	const female = tallyDivisions(yearRows.filter(row => row.gender === 'Female'));
+	metrics.genderGap = {
+		male: summariseTally(male),
+		female: summariseTally(female)
+	};
+	if (male.sat > 0 && female.sat > 0) {
+		metrics.genderGap.passRateGap = (male.passRate - female.passRate).toFixed(1);
+		metrics.genderGap.division1RateGap = (male.division1Rate - female.division1Rate).toFixed(1);
+	}
+
+	// Subcounty breakdown, grouped by the subcounty part of location_code
+	const subcountyMap = groupRows(yearRows, row => {
+		const match = (row.location_code || '').match(/^D\d+S\d+/);
+		return match ? match[0] : null;
+	});
+	metrics.bySubcounty = Array.from(subcountyMap.entries())
+		.map(([code, scRows]) => ({
+			location: scRows[0].subcounty || code,
+			code,
+			schools: new Set(scRows.map(row => row.facility_id)).size,
+			...summariseTally(tallyDivisions(scRows))
+		}))
+		.sort((a, b) => b.performanceIndex - a.performanceIndex);
+
+	// School ranking by performance index, ignoring very small exam centres
+	const schoolMap = groupRows(yearRows, row => row.facility_id || row.school_name);
+	metrics.totalSchools = schoolMap.size;
+	metrics.schoolRanking = Array.from(schoolMap.values())
+		.map(schoolRows => ({
+			school: schoolRows[0].school_name,
+			facility_id: schoolRows[0].facility_id,
+			subcounty: schoolRows[0].subcounty,
+			parish: schoolRows[0].parish,
+			ownership: schoolRows[0].ownership,
+			location_code: schoolRows[0].location_code,
+			...summariseTally(tallyDivisions(schoolRows))
+		}))
+		.filter(school => school.sat >= PLE_BENCHMARKS.min_candidates_for_ranking)
+		.sort((a, b) => b.performanceIndex - a.performanceIndex || b.passRate - a.passRate)
+		.slice(0, topSchools)
+		.map((school, index) => ({ rank: index + 1, ...school }));
+
+	// Year-by-year summary across all available years
+	const yearMap = groupRows(rows, row => parseInt(row.year, 10) || null);
+	metrics.byYear = years.map(y => ({
+		year: y,
+		...summariseTally(tallyDivisions(yearMap.get(y) || []))
+	}));
+
+	// Identify gaps
+	if (totals.sat > 0 && totals.passRate < PLE_BENCHMARKS.pass_rate_target) {
+		metrics.gaps.push({
+			type: 'ple_pass_rate',
+			current: totals.passRate.toFixed(1),
+			target: PLE_BENCHMARKS.pass_rate_target,
+			severity: getSeverity(totals.passRate, PLE_BENCHMARKS.pass_rate_target)
+		});
+	}
+
+	if (totals.sat > 0 && totals.division1Rate < PLE_BENCHMARKS.division1_rate_target) {
+		metrics.gaps.push({
+			type: 'ple_division1_rate',
+			current: totals.division1Rate.toFixed(1),
+			target: PLE_BENCHMARKS.division1_rate_target,
+			severity: getSeverity(totals.division1Rate, PLE_BENCHMARKS.division1_rate_target)
+		});
+	}
+
+	metrics.benchmarks = PLE_BENCHMARKS;
+
+	return metrics;
+}
+
+/**
+ * Exam results per subcounty or per school, shaped like the getLocationRollup() units
+ * so that the ranking engine can rank them (schools with fewer than
+ * min_candidates_for_ranking candidates are left out, as in schoolRanking)
+ * @param {Array} rows - PLE rows from loadTrendData('ple_analysis.csv'), already filtered by location
+ * @param {Object} options - Options
+ * @param {string} options.level - 'subcounty' (default) or 'school'
+ * @param {number} options.year - Exam year (defaults to the latest year in the data)
+ * @returns {Array<Object>} Units {location, code, level, facilityCount, metrics}, with facility_id for schools
+ */
+export function getPLEUnits(rows, options = {}) {
+	const { year } = pickYear(rows, options.year);
+	const yearRows = rows.filter(row => parseInt(row.year, 10) === year);
+	const metricsOf = unitRows => ({ year, ...summariseTally(tallyDivisions(unitRows)), benchmarks: PLE_BENCHMARKS });
+
+	if (options.level === 'school') {
+		return Array.from(groupRows(yearRows, row => row.facility_id || row.school_name).values())
+			.map(schoolRows => ({
+				location: schoolRows[0].school_name,
+				code: schoolRows[0].location_code,
+				facility_id: schoolRows[0].facility_id,
+				level: 'school',
+				facilityCount: 1,
+				metrics: metricsOf(schoolRows)
+			}))
+			.filter(unit => unit.metrics.sat >= PLE_BENCHMARKS.min_candidates_for_ranking);
+	}
+
+	const subcountyMap = groupRows(yearRows, row => (row.location_code || '').match(/^D\d+S\d+/)?.[0]);
+	return Array.from(subcountyMap.entries()).map(([code, scRows]) => ({
+		location: scRows[0].subcounty || code,
+		code,
+		level: 'subcounty',
+		facilityCount: new Set(scRows.map(row => row.facility_id)).size,
+		metrics: metricsOf(scRows)
+	}));
+}
+
+/**
+ * Pick an exam year out of the query text, e.g. "best schools in 2022"
+ * @param {string} query - User query
+ * @returns {number|null} Year or null if none mentioned
+ */
+export function detectPLEYear(query) {
+	const match = query.match(/\b(20\d{2})\b/);
+	return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Helper: Years in the rows, and the requested year or the latest one
+ */
+function pickYear(rows, requested) {
+	const years = [...new Set(rows.map(row => parseInt(row.year, 10)).filter(Boolean))].sort((a, b) => a - b);
+	return { years, year: years.includes(requested) ? requested : years[years.length - 1] || null };
+}
+
+/**
+ * Helper: Count candidates per division
+ */
+function tallyDivisions(rows) {
+	const divisions = Object.fromEntries(DIVISIONS.map(division => [division, 0]));
+
+	rows.forEach(row => {
+		if (divisions[row.grade] === undefined) return;
+		divisions[row.grade] += parseNumber(row.value);
+	});
+
+	const registered = DIVISIONS.reduce((sum, division) => sum + divisions[division], 0);
+	const sat = registered - divisions['Division X'];
+	const passed = PASS_DIVISIONS.reduce((sum, division) => sum + divisions[division], 0);
+	const weighted = Object.entries(DIVISION_WEIGHTS)
+		.reduce((sum, [division, weight]) => sum + divisions[division] * weight, 0);
+
+	return {
+		divisions,
+		registered,
+		sat,
+		passed,
+		passRate: sat > 0 ? passed / sat * 100 : 0,
+		division1Rate: sat > 0 ? divisions['Division 1'] / sat * 100 : 0,
+		absenteeismRate: registered > 0 ? divisions['Division X'] / registered * 100 : 0,
+		performanceIndex: sat > 0 ? weighted / (sat * 4) * 100 : 0
+	};
+}
+
+/**
+ * Helper: Format a tally for output
+ */
+function summariseTally(tally) {
+	return {
+		registered: tally.registered,
+		sat: tally.sat,
+		passed: tally.passed,
+		division1: tally.divisions['Division 1'],
+		passRate: tally.passRate.toFixed(1),
+		division1Rate: tally.division1Rate.toFixed(1),
+		absenteeismRate: tally.absenteeismRate.toFixed(1),
+		performanceIndex: tally.performanceIndex.toFixed(1)
+	};
+}
+
+/**
+ * Helper: Group rows into a Map by key, skipping rows without a key
+ */
+function groupRows(rows, getKey) {
+	const groups = new Map();
+	rows.forEach(row => {
+		const key = getKey(row);
+		if (!key) return;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(row);
+	});
+	return groups;
+}
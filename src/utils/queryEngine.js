@@ -0,0 +1,279 @@
+/**
+ * Rule-based query engine for count and filter questions that can be answered
+ * exactly from the facility rows, without calling OpenAI
+ */
+
+import { applyFilter, paginate } from './filterEngine.js';
+
+// Plans below this confidence are handed to the LLM
+export const RULES_CONFIDENCE_THRESHOLD = 0.75;
+
+// Boolean indicators the planner recognises, most specific keywords first
+const INDICATORS = {
+	education: [
+		{ key: 'ict_lab', keywords: ['ict lab', 'ict labs', 'computer lab', 'computer labs', 'ict'], column: 'ict_lab_available', label: 'an ICT lab' },
+		{ key: 'separate_gender_toilets', keywords: ['separate gender toilets', 'separate toilets', 'gender toilets'], column: 'separate_gender_toilets', label: 'separate toilets for boys and girls' },
+		{ key: 'disability_accessible_toilets', keywords: ['disability accessible toilets', 'accessible toilets', 'disability toilets'], column: 'disability_accessible_toilets', label: 'disability accessible toilets' },
+		{ key: 'teacher_toilets', keywords: ['teacher toilets', 'staff toilets', 'teachers toilets'], column: 'teacher_toilets_available', label: 'toilets for teachers' },
+		{ key: 'handwashing', keywords: ['handwashing', 'hand washing', 'hand-washing'], column: 'handwashing_available', label: 'handwashing facilities' },
+		{ key: 'electricity', keywords: ['electricity', 'electrified', 'power'], column: 'electricity_available', label: 'electricity' },
+		{ key: 'water', keywords: ['clean water', 'water'], column: 'water_available', label: 'water' }
+	],
+	health: [
+		{ key: 'backup_power', keywords: ['backup power', 'back up power', 'backup', 'generator', 'solar'], column: 'has_backup_power', label: 'backup power' },
+		{ key: 'electricity', keywords: ['electricity', 'power'], column: 'has_electricity', label: 'electricity' },
+		{ key: 'maternal_health', keywords: ['maternal health', 'maternal services', 'maternal', 'maternity', 'antenatal'], column: 'has_maternal_health', label: 'maternal health services' },
+		{ key: 'delivery_room', keywords: ['delivery room', 'delivery rooms', 'delivery'], column: 'has_delivery_room', label: 'a delivery room' },
+		{ key: 'inpatient_ward', keywords: ['inpatient ward', 'inpatient', 'wards', 'ward'], column: 'has_inpatient_ward', label: 'an inpatient ward' },
+		{ key: 'immunization', keywords: ['immunization', 'immunisation', 'vaccination', 'vaccines'], column: 'has_immunization', label: 'immunization services' },
+		{ key: 'hiv_tb_care', keywords: ['hiv', 'tb care', 'tuberculosis'], column: 'has_hiv_tb_care', label: 'HIV/TB care' },
+		{ key: 'family_planning', keywords: ['family planning'], column: 'has_family_planning', label: 'family planning services' },
+		{ key: 'surgery', keywords: ['surgery', 'surgical', 'theatre'], column: 'has_surgery', label: 'surgery' },
+		{ key: 'laboratory', keywords: ['laboratory', 'laboratories', 'lab', 'labs'], column: 'has_laboratory', label: 'a laboratory' },
+		{ key: 'staff_accommodation', keywords: ['staff accommodation', 'staff housing', 'staff houses'], column: 'has_staff_accommodation', label: 'staff accommodation' },
+		{ key: 'waste_disposal', keywords: ['waste disposal', 'waste management'], column: 'has_waste_disposal', label: 'waste disposal' },
+		{ key: 'accessible_toilet', keywords: ['accessible toilets', 'accessible toilet', 'disability'], column: 'has_accessible_toilet', label: 'an accessible toilet' },
+		{ key: 'rdt_kits', keywords: ['rdt kits', 'rdts', 'rdt', 'malaria test'], column: 'has_rdt_kits', label: 'malaria RDT kits' },
+		{ key: 'act_tablets', keywords: ['act tablets', 'acts', 'coartem'], column: 'has_act_tablets', label: 'ACT tablets' },
+		{ key: 'amoxicillin', keywords: ['amoxicillin'], column: 'has_amoxicillin', label: 'amoxicillin' },
+		{ key: 'ors_sachets', keywords: ['ors sachets', 'ors'], column: 'has_ors_sachets', label: 'ORS sachets' },
+		{ key: 'zinc_tablets', keywords: ['zinc tablets', 'zinc'], column: 'has_zinc_tablets', label: 'zinc tablets' }
+	]
+};
+
+// Extra conditions that narrow the facility set
+const QUALIFIERS = {
+	education: [
+		{ keywords: ['government', 'public', 'govt'], column: 'ownership', value: 'Government' },
+		{ keywords: ['private'], column: 'ownership', value: 'Private' }
+	],
+	health: [
+		{ keywords: ['government', 'public', 'govt'], column: 'ownership', value: 'Government' },
+		{ keywords: ['private'], column: 'ownership', value: 'Private' },
+		{ keywords: ['hcivs', 'hciv', 'hc iv', 'health centre iv', 'health center iv'], column: 'facility_level', value: 'HCIV' },
+		{ keywords: ['hciiis', 'hciii', 'hc iii', 'health centre iii', 'health center iii'], column: 'facility_level', value: 'HCIII' },
+		{ keywords: ['hciis', 'hcii', 'hc ii', 'health centre ii', 'health center ii'], column: 'facility_level', value: 'HCII' },
+		{ keywords: ['hospitals', 'hospital'], column: 'facility_level', value: 'Hospital' },
+		{ keywords: ['clinics', 'clinic'], column: 'facility_level', value: 'Clinic' }
+	]
+};
+
+const NEGATION_PATTERN = /\b(without|lacking|lack|lacks|missing|no|not|don't|dont|doesn't|none)\b/;
+const COUNT_PATTERN = /\b(how many|number of|count|total|what percentage|what proportion|what share|what fraction)\b/;
+const LISTING_PATTERN = /\b(show|find|list|which|where|display)\b/;
+
+// Words that need reasoning, rankings, trends or sums rather than a straight count
+const ESCALATION_PATTERN = /\b(compare|comparison|versus|vs|most|least|best|worst|highest|lowest|rank|ranking|why|should|recommend|improve|plan|priorit\w*|each|per|by subcounty|by parish|trend|since|over time)\b/;
+const AGGREGATE_PATTERN = /\b(learners|pupils|students|children|teachers|enrol\w*|ratio|average|mean|staff|midwives|nurses|doctors|classrooms|beds)\b/;
+
+/**
+ * Plan a count or filter query from its keywords
+ * @param {string} query - User's natural language query
+ * @param {string} category - 'health' or 'education'
+ * @param {Object} intent - Intent from detectQueryIntent()
+ * @param {Object} options - Planning options
+ * @param {boolean} options.namesOtherPlace - The query names a place other than the selected location
+ * @returns {Object} Plan {action, indicator, negate, conditions, confidence}
+ */
+export function planQuery(query, category, intent, options = {}) {
+	const plan = {
+		action: null,
+		indicator: null,
+		negate: false,
+		conditions: [],
+		confidence: 0
+	};
+
+	const indicators = INDICATORS[category];
+	if (!indicators) return plan;
+
+	let remaining = ` ${query.toLowerCase().replace(/[?.!,]/g, ' ')} `;
+
+	// Match indicators longest keyword first, blanking each match so that
+	// "backup power" is not also read as "power"
+	const matches = [];
+	indicators
+		.flatMap(indicator => indicator.keywords.map(keyword => ({ indicator, keyword })))
+		.sort((a, b) => b.keyword.length - a.keyword.length)
+		.forEach(({ indicator, keyword }) => {
+			const pattern = new RegExp(`\\b${escapeRegExp(keyword)}\\b`);
+			if (pattern.test(remaining)) {
+				remaining = remaining.replace(pattern, ' ');
+				if (!matches.includes(indicator)) matches.push(indicator);
+			}
+		});
+
+	(QUALIFIERS[category] || []).forEach(qualifier => {
+		const keyword = qualifier.keywords.find(word => new RegExp(`\\b${escapeRegExp(word)}\\b`).test(remaining));
+		if (keyword && !plan.conditions.some(condition => condition.column === qualifier.column)) {
+			plan.conditions.push({ column: qualifier.column, value: qualifier.value });
+			remaining = remaining.replace(new RegExp(`\\b${escapeRegExp(keyword)}\\b`), ' ');
+		}
+	});
+
+	if (matches.length !== 1) {
+		// Zero or several indicators: let the LLM work out what was meant
+		plan.confidence = matches.length === 0 ? 0 : 0.4;
+		return plan;
+	}
+
+	plan.indicator = matches[0];
+	plan.negate = NEGATION_PATTERN.test(remaining);
+
+	const lowerQuery = query.toLowerCase();
+	if (AGGREGATE_PATTERN.test(remaining)) {
+		// "How many learners are in schools with water" is a sum, not a facility count
+		plan.confidence = 0.3;
+		return plan;
+	}
+
+	if (COUNT_PATTERN.test(lowerQuery)) {
+		plan.action = 'count';
+	} else if (intent.isFilter || LISTING_PATTERN.test(lowerQuery)) {
+		plan.action = 'filter';
+	} else {
+		plan.confidence = 0.3;
+		return plan;
+	}
+
+	plan.confidence = 0.9;
+	if (intent.isTrend || ESCALATION_PATTERN.test(remaining)) plan.confidence -= 0.5;
+	if (intent.mentionsLocation) plan.confidence -= 0.2;
+	// "Schools in Bbaale" asked with the whole district selected would otherwise be counted district-wide
+	if (options.namesOtherPlace) plan.confidence -= 0.2;
+
+	return plan;
+}
+
+/**
+ * Run a plan over the facility rows and build a validateResponse-shaped answer
+ * @param {Object} plan - Plan from planQuery()
+ * @param {Array} facilityData - Facility rows already filtered by location
+ * @param {Object} options - Output options
+ * @param {string} options.category - 'health' or 'education'
+ * @param {string} options.placeName - Human-readable name of the selected location
+ * @param {number} options.page - 1-based page number for filter results
+ * @param {number} options.pageSize - Facilities per page for filter results
+ * @returns {Object} Response with type 'answer' (count) or 'filter'
+ */
+export function executePlan(plan, facilityData, options = {}) {
+	const { indicator, negate } = plan;
+	const noun = options.category === 'health' ? 'health facilities' : 'schools';
+	const place = options.placeName ? ` in ${options.placeName}` : '';
+
+	const scoped = facilityData.filter(facility =>
+		plan.conditions.every(condition => (facility[condition.column] || '') === condition.value));
+
+	// Blank cells are unknown, not "No": leave them out of both the count and the total
+	const known = scoped.filter(facility => hasIndicator(facility, indicator) !== null);
+	const matching = known.filter(facility => hasIndicator(facility, indicator) !== negate);
+	const unknown = scoped.length - known.length;
+	const unknownNote = unknown > 0 ? ` ${unknown} ${unknown === 1 ? 'has' : 'have'} no data recorded.` : '';
+
+	const total = known.length;
+	const count = matching.length;
+	const percentage = total > 0 ? (count / total * 100).toFixed(1) : '0.0';
+	const qualifier = plan.conditions.map(condition => condition.value).join(' ');
+	const scopeNoun = qualifier ? `${qualifier} ${noun}` : noun;
+	const verb = negate ? 'do not have' : 'have';
+	const noDataText = `No ${indicator.key.replace(/_/g, ' ')} data is recorded for the ${scoped.length} ${scopeNoun}${place}.`;
+
+	if (plan.action === 'count') {
+		return {
+			type: 'answer',
+			text: total > 0
+				? `${count} of ${total} ${scopeNoun}${place} (${percentage}%) ${verb} ${indicator.label}.${unknownNote}`
+				: noDataText,
+			data: {
+				metric: indicator.key,
+				column: indicator.column,
+				negate,
+				count,
+				total,
+				unknown,
+				percentage
+			},
+			suggestedView: 'charts'
+		};
+	}
+
+	const filters = {
+		logic: 'and',
+		conditions: [
+			{ field: indicator.column, operator: 'eq', value: !negate },
+			...plan.conditions.map(condition => ({ field: condition.column, operator: 'eq', value: condition.value }))
+		]
+	};
+	const result = executeFilter(filters, facilityData, options);
+
+	return {
+		type: 'filter',
+		text: total === 0
+			? noDataText
+			: (count > 0
+				? `Found ${count} ${scopeNoun}${place} that ${verb} ${indicator.label} (${percentage}% of ${total}).`
+				: `No ${scopeNoun}${place} ${negate ? 'lack' : 'have'} ${indicator.label}.`) + unknownNote,
+		filters,
+		...result,
+		suggestedView: 'map'
+	};
+}
+
+/**
+ * Run a normalised filter over the facility rows and page the results
+ * @param {Object} filter - Normalised filter from validateFilter()
+ * @param {Array} facilityData - Facility rows already filtered by location
+ * @param {Object} options - Output options
+ * @param {string} options.category - 'health' or 'education'
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Facilities per page
+ * @returns {Object} {resultCount, facilities, pagination}
+ */
+export function executeFilter(filter, facilityData, options = {}) {
+	const matching = applyFilter(facilityData, filter);
+	const { items, pagination } = paginate(matching, options.page, options.pageSize);
+
+	return {
+		resultCount: matching.length,
+		facilities: items.map(facility => summarizeFacility(facility, options.category)),
+		pagination
+	};
+}
+
+/**
+ * Reduce a facility row to the fields the dashboard lists and maps
+ * @param {Object} facility - Facility row
+ * @param {string} category - 'health', 'education' or 'all' (mixed rows, which also get a sector)
+ * @returns {Object} Facility summary
+ */
+export function summarizeFacility(facility, category) {
+	const sector = category === 'all' ? (facility.facility_level ? 'health' : 'education') : category;
+	return {
+		facility_id: facility.facility_id,
+		name: facility.institution_name || facility.facility_name || facility.facility_id,
+		...(category === 'all' ? { sector } : {}),
+		level: sector === 'health' ? facility.facility_level : facility.institution_type,
+		ownership: facility.ownership,
+		subcounty: facility.subcounty,
+		parish: facility.parish,
+		village: facility.village,
+		location_code: facility.location_code,
+		latitude: facility.latitude,
+		longitude: facility.longitude,
+		href: `/facilities/${encodeURIComponent(facility.facility_id)}`
+	};
+}
+
+/**
+ * Helper: Check whether a facility has an indicator (null when not recorded)
+ */
+function hasIndicator(facility, indicator) {
+	return facility[indicator.column] ?? null;
+}
+
+/**
+ * Helper: Escape a string for use in a RegExp
+ */
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
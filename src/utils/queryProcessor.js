@@ -2,8 +2,9 @@
  * Query processing utilities for OpenAI integration
  */
 
-import { getDataSchema } from './dataLoader.js';
-import { getSubcountyBreakdown } from './metrics.js';
+import { getDataSchema, getLocationByCode } from './dataLoader.js';
+import { getLocationRollup } from './metrics.js';
+import { getRankingMetrics } from './rankings.js';
 
 /**
  * Clean a location slug to human-readable format
@@ -29,14 +30,38 @@ function cleanLocationNameForDisplay(value) {
  * Build OpenAI prompt from query context
  * @param {string} query - User's natural language query
  * @param {Object} location - Location context with codes
- * @param {string} category - 'health' or 'education'
- * @param {Object} metrics - Calculated metrics
- * @param {Array} facilityData - Raw facility data
+ * @param {string} category - 'health', 'education', 'ple' or 'all' (health and education together)
+ * @param {Object} metrics - Calculated metrics ({health, education} for 'all')
+ * @param {Array} facilityData - Raw facility data (PLE rows for 'ple', both registers for 'all')
  * @param {Object} district - Resolved district object with name
+ * @param {Object} options - Optional extra context
+ * @param {Object} options.trend - Year-by-year series from calculateTrendMetrics()
+ * @param {Object} options.ple - PLE performance from calculatePLEMetrics() (when category is not 'ple')
+ * @param {Object} options.rankings - Computed rankings from computeRankings() (computeCrossSectorRankings() for 'all')
+ * @param {Object} options.facilitiesByCategory - {health, education} facility rows, for 'all'
+ * @param {Array} options.sectors - Units lined up across sectors from alignSectors(), for 'all'
+ * @param {Object} options.locations - Locations data from loadLocations(), for names and the location breakdown
+ * @param {Object} options.population - Population data from loadPopulation(), for coverage in the location breakdown
+ * @param {Array} options.history - Earlier turns of the conversation from getHistory()
  * @returns {string} Formatted prompt for OpenAI
  */
-export function buildOpenAIPrompt(query, location, category, metrics, facilityData, district = null) {
-	const schema = getDataSchema(category, facilityData);
+export function buildOpenAIPrompt(query, location, category, metrics, facilityData, district = null, options = {}) {
+	// Cross-sector questions describe each register separately
+	const datasets = category === 'all' && options.facilitiesByCategory
+		? Object.entries(options.facilitiesByCategory)
+		: [[category, facilityData]];
+	const schemaContext = datasets.map(([name, rows]) => {
+		const schema = getDataSchema(name, rows);
+		return `${datasets.length > 1 ? `${name}:\n` : ''}${describeFields(schema)}
+- Total records: ${schema.sampleCount}
+- Description: ${schema.description}`;
+	}).join('\n');
+	const samples = datasets.length > 1
+		? datasets.flatMap(([, rows]) => rows.slice(0, 3))
+		: facilityData.slice(0, 5);
+
+	// Location codes are resolved to names from locations.json when available
+	const resolvedName = code => getLocationByCode(options.locations, code)?.name;
 
 	// Build location context string - use resolved district name if available
 	const districtName = district?.name || cleanLocationNameForDisplay(location.district);
@@ -44,101 +69,212 @@ export function buildOpenAIPrompt(query, location, category, metrics, facilityDa
 
 	if (location.subcounty) {
 		// Extract actual subcounty name (remove district prefix if present)
-		let subcountyName = cleanLocationNameForDisplay(location.subcounty);
-		if (subcountyName.startsWith(districtName + ' ')) {
-			subcountyName = subcountyName.substring(districtName.length + 1);
+		let subcountyName = resolvedName(location.subcounty);
+		if (!subcountyName) {
+			subcountyName = cleanLocationNameForDisplay(location.subcounty);
+			if (subcountyName.startsWith(districtName + ' ')) {
+				subcountyName = subcountyName.substring(districtName.length + 1);
+			}
 		}
 		locationContext += `, Subcounty: ${subcountyName}`;
 	}
 
 	if (location.parish) {
 		// Parish names can contain district and subcounty prefixes - extract just the parish
-		let parishName = cleanLocationNameForDisplay(location.parish);
-		// Remove district prefix
-		if (parishName.startsWith(districtName + ' ')) {
-			parishName = parishName.substring(districtName.length + 1);
-		}
-		// If subcounty is also in the string, remove it too
-		if (location.subcounty) {
-			let subcountyName = cleanLocationNameForDisplay(location.subcounty);
-			if (subcountyName.startsWith(districtName + ' ')) {
-				subcountyName = subcountyName.substring(districtName.length + 1);
+		let parishName = resolvedName(location.parish);
+		if (!parishName) {
+			parishName = cleanLocationNameForDisplay(location.parish);
+			// Remove district prefix
+			if (parishName.startsWith(districtName + ' ')) {
+				parishName = parishName.substring(districtName.length + 1);
 			}
-			if (parishName.startsWith(subcountyName + ' ')) {
-				parishName = parishName.substring(subcountyName.length + 1);
+			// If subcounty is also in the string, remove it too
+			if (location.subcounty) {
+				let subcountyName = cleanLocationNameForDisplay(location.subcounty);
+				if (subcountyName.startsWith(districtName + ' ')) {
+					subcountyName = subcountyName.substring(districtName.length + 1);
+				}
+				if (parishName.startsWith(subcountyName + ' ')) {
+					parishName = parishName.substring(subcountyName.length + 1);
+				}
 			}
 		}
 		locationContext += `, Parish: ${parishName}`;
 	}
 
 	if (location.village) {
-		const villageName = cleanLocationNameForDisplay(location.village);
+		const villageName = resolvedName(location.village) || cleanLocationNameForDisplay(location.village);
 		locationContext += `, Village: ${villageName}`;
 	}
 
-	// Get subcounty breakdown for comparison queries
-	const subcountyData = getSubcountyBreakdown(facilityData, null);
+	// Break the metrics down one level below the selected location (PLE metrics carry their own bySubcounty).
+	// Only the 10 units with most facilities go into the prompt to keep it small.
+	const parentCode = location.village || location.parish || location.subcounty || location.district;
+	const breakdown = category === 'ple' || category === 'all' || !options.locations
+		? []
+		: getLocationRollup(facilityData, options.locations, { category, parentCode, population: options.population })
+			.filter(unit => unit.facilityCount > 0)
+			.sort((a, b) => b.facilityCount - a.facilityCount);
+	let totalLine = `Total Facilities: ${metrics.totalFacilities}`;
+	if (category === 'ple') {
+		totalLine = `Total Schools: ${metrics.totalSchools} (PLE ${metrics.year})`;
+	} else if (category === 'all') {
+		totalLine = `Total Facilities: ${metrics.health.totalFacilities} health, ${metrics.education.totalFacilities} education`;
+	}
+
+	// Cross-sector questions get both sectors' metrics side by side for each unit instead
+	// (again only the 10 units with most facilities)
+	let sectorContext = '';
+	if (options.sectors?.length > 0) {
+		const facilityCount = unit => Object.values(unit.sectors).reduce((sum, sector) => sum + sector.facilityCount, 0);
+		const aligned = [...options.sectors].sort((a, b) => facilityCount(b) - facilityCount(a)).slice(0, 10);
+		sectorContext = `
+Sector Alignment by ${aligned[0].level} (health and education metrics for the same units):
+${JSON.stringify(aligned)}
+`;
+	}
 
-	const prompt = `Query: "${query}"
+	// Trend series are only computed for time-series questions
+	let trendContext = '';
+	if (options.trend?.series.length > 0) {
+		trendContext = `
+Trend Data (${options.trend.label}, measure: ${options.trend.measure}):
+${JSON.stringify({ filters: options.trend.filters, series: options.trend.series, summary: options.trend.summary }, null, 2)}
+`;
+	}
+
+	let rankingContext = '';
+	if (options.rankings && category === 'all') {
+		rankingContext = `
+Computed Cross-Sector Rankings (${Object.entries(options.rankings.metrics).map(([sector, metric]) => `${sector}: ${metric.label}`).join('; ')}, by ${options.rankings.level}, order: ${options.rankings.order}):
+${JSON.stringify(options.rankings.rankings)}
+
+Rankable metrics (use the keys for "rankingMetric" as {"health": "<key>", "education": "<key>"}):
+${['health', 'education'].map(sector => `${sector}:\n${getRankingMetrics(sector).map(metric => `- ${metric.key}: ${metric.label}`).join('\n')}`).join('\n')}
+`;
+	} else if (options.rankings) {
+		rankingContext = `
+Computed Rankings (${options.rankings.label}, by ${options.rankings.level}, order: ${options.rankings.order}):
+${JSON.stringify(options.rankings.rankings, null, 2)}
+
+Rankable metrics (use the key for "rankingMetric"):
+${getRankingMetrics(category).map(metric => `- ${metric.key}: ${metric.label}`).join('\n')}
+`;
+	}
+
+	let pleContext = '';
+	if (options.ple?.year) {
+		pleContext = `
+PLE Performance (${options.ple.year}):
+${JSON.stringify(options.ple, null, 2)}
+`;
+	}
+
+	// Earlier turns let the model resolve follow-ups such as "and what about Bbaale?"
+	let historyContext = '';
+	if (options.history?.length > 0) {
+		historyContext = `
+Conversation so far (oldest first):
+${options.history.map((turn, index) => `${index + 1}. Q: "${turn.query}" (${turn.place || 'unknown location'}, ${turn.category}) -> ${turn.responseType}: ${turn.text}${turn.filters ? `\n   filters: ${JSON.stringify(turn.filters)}` : ''}`).join('\n')}
+
+The current query may be a follow-up to this conversation. The location and category below already
+reflect any change the user asked for; answer the follow-up for them, reusing earlier filters if the
+user refers back to earlier results.
+`;
+	}
+
+	const prompt = `${historyContext}Query: "${query}"
 
 Current Context:
 - Location: ${locationContext}
 - Category: ${category}
-- Total Facilities: ${metrics.totalFacilities}
+- ${totalLine}
 
 Aggregated Metrics:
 ${JSON.stringify(metrics, null, 2)}
-
-Subcounty Breakdown (for comparisons):
-${JSON.stringify(subcountyData.slice(0, 10), null, 2)}
-
+${breakdown.length > 0 ? `
+${breakdown[0].level.charAt(0).toUpperCase() + breakdown[0].level.slice(1)} Breakdown (for comparisons):
+${JSON.stringify(breakdown.slice(0, 10), null, 2)}
+` : ''}${sectorContext}
 Data Schema:
-- Available fields: ${schema.fields.join(', ')}
-- Total records: ${schema.sampleCount}
-- Description: ${schema.description}
-
-Sample Facilities (first 5):
-${JSON.stringify(facilityData.slice(0, 5), null, 2)}
+${schemaContext}
 
+Sample Facilities (first ${samples.length}):
+${JSON.stringify(samples, null, 2)}
+${trendContext}${pleContext}${rankingContext}
 Instructions:
 1. Analyze the query and determine the best response type:
    - "answer": Direct factual answer with specific data
    - "filter": Query asks to find/show specific facilities (return filter criteria)
    - "comparison": Query compares locations or asks for rankings
+   - "trend": Query asks how something changed over time (only when Trend Data is provided)
    - "clarification": Query is ambiguous or lacks necessary context
 
 2. Use the provided metrics and data to formulate an accurate response
 3. Always cite specific numbers and locations
-4. Compare to benchmarks when relevant
+4. Compare to benchmarks when relevant. For health, "coverage" compares facilities by level with the
+   population benchmarks (e.g. one HCIII per 20,000 people); if the population is null, say the population
+   figure is not available instead of estimating whether more facilities are needed
 5. Suggest the most appropriate dashboard view
-6. For filter type, specify exact filter criteria based on available fields
-7. For comparison type, create rankings array with location comparisons
-8. For clarification type, provide helpful suggestions
+6. For filter type, express the criteria in the filter grammar below using only the available fields.
+   The system runs the filter over every facility and fills in resultCount and facilities, so do not
+   include them. Write {resultCount} in the text where the number of matching facilities belongs.
+7. For comparison type, do not write rankings: the system attaches rankings computed from the data.
+   Write the text and insights from the Computed Rankings, and set "rankingMetric" to the key of the
+   rankable metric that best answers the query if it differs from the one computed.
+   For category "ple", the rankings are of subcounties or schools on the exam results of the PLE year.
+   For category "all", the metrics, alignment and rankings cover health and education together:
+   look for units that are weak in both sectors and say which sector each figure comes from
+8. For trend type, describe the direction and size of change using the Trend Data summary (growth rates, CAGR, gender split)
+9. For clarification type, provide helpful suggestions
 
 Return ONLY valid JSON matching this exact structure:
 {
-  "type": "answer|filter|comparison|clarification",
+  "type": "answer|filter|comparison|trend|clarification",
   "text": "Clear, concise response in simple language",
-  "data": {}, // only for answer type - include relevant metrics
-  "filters": {}, // only for filter type - exact filter criteria
-  "resultCount": 0, // only for filter type
-  "facilities": [], // only for filter type - matching facilities (max 10)
-  "rankings": [], // only for comparison type - array of {location, value, metric}
-  "insights": "", // only for comparison type - key insight
-  "suggestions": [], // only for clarification type - array of suggested queries
+  "data": [{"label": "", "value": ""}], // only for answer type - the key figures quoted in the text (value is a number or string)
+  "filters": {}, // only for filter type - see filter grammar below
+  "rankingMetric": "", // only for comparison type - key from the rankable metrics ({"health": "", "education": ""} for category "all")
+  "insights": "", // only for comparison and trend types - key insight, as one string
+  "suggestions": [], // only for clarification type - array of suggested queries (at least one)
   "suggestedView": "map|grid|charts|comparison",
   "suggestedAction": "optional action string"
 }
 
+Filter grammar (filter type only):
+- A condition is {"field": "<available field>", "operator": "<operator>", "value": <value>}
+- Operators: eq, neq, gt, gte, lt, lte, in, not_in (value is an array), contains, is_empty, not_empty (value null)
+- Combine conditions with {"logic": "and" | "or", "conditions": [ ... ]}; groups can be nested
+- Yes/No fields compare with true or false; numeric fields with numbers; categorical fields with one of their listed values
+- Example: {"logic": "and", "conditions": [{"field": "electricity_available", "operator": "eq", "value": false}, {"field": "total_learners", "operator": "gt", "value": 500}]}
+
 Important:
-- Only include fields relevant to the response type
+- Only fill in the fields of the response type; set the others to null or leave them out, and add no other fields
 - Never fabricate data - use only what's provided
+- When metrics.caveats lists a field a figure you quote is computed from (see "affects"), say that the figure rests on incomplete records (e.g. "midwives are recorded for only 34 of 69 facilities")
 - Keep text responses clear and actionable
 - Numbers should be formatted appropriately (e.g., percentages as "45.2%", ratios as "52:1")`;
 
 	return prompt;
 }
 
+/**
+ * Helper: List a dataset's fields, grouped by type for the typed facility registers
+ */
+function describeFields(schema) {
+	if (!schema.types) {
+		return `- Available fields: ${schema.fields.join(', ')}`;
+	}
+
+	const ofType = (...types) => schema.fields.filter(field => types.includes(schema.types[field]));
+	return [
+		`- Yes/No fields (true/false): ${ofType('boolean').join(', ')}`,
+		`- Numeric fields: ${ofType('integer', 'number', 'coordinate').join(', ')}`,
+		`- Categorical fields: ${ofType('enum').map(field => `${field} (${schema.values[field].join(' | ')})`).join(', ')}`,
+		`- Text fields: ${ofType('string').join(', ')}`
+	].join('\n');
+}
+
 /**
  * Validate and format OpenAI response
  * @param {Object} response - Raw response from OpenAI
@@ -160,7 +296,7 @@ export function validateResponse(response) {
 	}
 
 	// Validate response type
-	const validTypes = ['answer', 'filter', 'comparison', 'clarification'];
+	const validTypes = ['answer', 'filter', 'comparison', 'trend', 'clarification'];
 	if (!validTypes.includes(response.type)) {
 		response.type = 'clarification';
 	}
@@ -186,8 +322,10 @@ export function validateResponse(response) {
 
 		case 'filter':
 			if (response.filters) cleaned.filters = response.filters;
+			if (response.spatial) cleaned.spatial = response.spatial;
 			if (response.resultCount !== undefined) cleaned.resultCount = response.resultCount;
 			if (response.facilities) cleaned.facilities = response.facilities;
+			if (response.pagination) cleaned.pagination = response.pagination;
 			if (response.suggestedAction) cleaned.suggestedAction = response.suggestedAction;
 			break;
 
@@ -197,6 +335,14 @@ export function validateResponse(response) {
 			if (response.suggestedAction) cleaned.suggestedAction = response.suggestedAction;
 			break;
 
+		case 'trend':
+			if (response.series) cleaned.series = response.series;
+			if (response.summary) cleaned.summary = response.summary;
+			if (response.metric) cleaned.metric = response.metric;
+			if (response.insights) cleaned.insights = response.insights;
+			if (response.suggestedAction) cleaned.suggestedAction = response.suggestedAction;
+			break;
+
 		case 'clarification':
 			cleaned.suggestions = response.suggestions || [
 				'Try being more specific about what you want to know',
@@ -209,6 +355,67 @@ export function validateResponse(response) {
 	return cleaned;
 }
 
+/**
+ * Answer from the computed metrics alone, for when no model can be reached
+ * @param {Object} metrics - Metrics from calculateMetrics() or calculatePLEMetrics(); {health, education} for 'all'
+ * @param {string} category - 'health', 'education', 'ple' or 'all'
+ * @param {string} placeName - Name of the location the metrics cover
+ * @returns {Object} Answer response with the metrics as data, marked `degraded`
+ */
+export function buildMetricsResponse(metrics, category, placeName) {
+	const summaries = category === 'all'
+		? [summarizeMetrics(metrics.health, 'health', placeName), summarizeMetrics(metrics.education, 'education', placeName)]
+		: [summarizeMetrics(metrics, category, placeName)];
+
+	return {
+		type: 'answer',
+		text: ['The AI analysis is unavailable right now, so this answer only gives the computed figures.', ...summaries].join(' '),
+		data: { metrics },
+		suggestedView: 'grid',
+		degraded: true
+	};
+}
+
+/**
+ * Helper: Headline figures of one category's metrics as a sentence or two
+ */
+function summarizeMetrics(metrics, category, placeName) {
+	const percent = (label, value) => (value !== undefined && value !== null ? `${label} ${value}%` : null);
+	const list = items => items.filter(Boolean).join(', ');
+
+	if (category === 'ple') {
+		if (!metrics.totals) return `There are no PLE results for ${placeName}.`;
+		return `In ${metrics.year}, ${metrics.totals.sat} candidates from ${metrics.totalSchools} schools in ${placeName} sat PLE: `
+			+ `${metrics.totals.passRate}% passed and ${metrics.totals.division1Rate}% got Division 1.`;
+	}
+
+	if (category === 'education') {
+		const { enrollment = {}, ratios = {}, infrastructure = {} } = metrics;
+		const sentences = [`${placeName} has ${metrics.totalFacilities} schools with ${enrollment.totalLearners || 0} learners and ${enrollment.totalTeachers || 0} teachers.`];
+		const ratioText = list([
+			ratios.pupilTeacherRatio && `pupil-teacher ratio ${ratios.pupilTeacherRatio}`,
+			ratios.pupilClassroomRatio && `pupil-classroom ratio ${ratios.pupilClassroomRatio}`,
+			percent('with electricity', infrastructure.electricityPercentage),
+			percent('with water', infrastructure.waterPercentage)
+		]);
+		if (ratioText) sentences.push(`Schools: ${ratioText}.`);
+		return sentences.join(' ');
+	}
+
+	const { infrastructure = {}, services = {}, workforce = {} } = metrics;
+	const levels = Object.entries(metrics.byLevel || {}).map(([level, count]) => `${count} ${level}`).join(', ');
+	const sentences = [`${placeName} has ${metrics.totalFacilities} health facilities${levels ? ` (${levels})` : ''}${workforce.totalHealthWorkers ? ` and ${workforce.totalHealthWorkers} health workers` : ''}.`];
+	const serviceText = list([
+		percent('with water', infrastructure.waterPercentage),
+		percent('with electricity', infrastructure.electricityPercentage),
+		percent('with a laboratory', infrastructure.laboratoryPercentage),
+		percent('offering maternal health', services.maternalPercentage),
+		percent('offering immunization', services.immunizationPercentage)
+	]);
+	if (serviceText) sentences.push(`Facilities: ${serviceText}.`);
+	return sentences.join(' ');
+}
+
 /**
  * Get default view for response type
  */
@@ -217,6 +424,7 @@ function getDefaultView(type) {
 		answer: 'grid',
 		filter: 'map',
 		comparison: 'comparison',
+		trend: 'charts',
 		clarification: 'grid'
 	};
 	return viewMap[type] || 'grid';
@@ -235,6 +443,7 @@ export function detectQueryIntent(query) {
 		isFilter: false,
 		isCount: false,
 		isTrend: false,
+		mentionsExam: false,
 		mentionsLocation: false,
 		mentionsMetric: false
 	};
@@ -252,9 +461,12 @@ export function detectQueryIntent(query) {
 	intent.isCount = countWords.some(word => lowerQuery.includes(word));
 
 	// Trend indicators
-	const trendWords = ['trend', 'over time', 'change', 'growth', 'decline', 'improvement'];
+	const trendWords = ['trend', 'over time', 'over the years', 'change', 'growth', 'decline', 'improvement', 'increase', 'decrease', 'since 20', 'year on year'];
 	intent.isTrend = trendWords.some(word => lowerQuery.includes(word));
 
+	// Exam performance mentions
+	intent.mentionsExam = /\b(ple|exams?|divisions?|performing|performance|pass rates?)\b/.test(lowerQuery);
+
 	// Location mentions
 	const locationWords = ['subcounty', 'parish', 'village', 'district', 'area', 'region'];
 	intent.mentionsLocation = locationWords.some(word => lowerQuery.includes(word));
@@ -268,11 +480,25 @@ export function detectQueryIntent(query) {
 
 /**
  * Build example queries for clarification
- * @param {string} category - 'health' or 'education'
+ * @param {string} category - 'health', 'education', 'ple' or 'all'
  * @returns {Array<string>} Example queries
  */
 export function getExampleQueries(category) {
-	if (category === 'education') {
+	if (category === 'all') {
+		return [
+			'Which subcounties are weak on both health and school water access?',
+			'Compare health facilities and schools with electricity by subcounty',
+			'Where do health centres lack staff and schools have high pupil-teacher ratios?',
+			'How many health facilities and schools are there in each subcounty?'
+		];
+	} else if (category === 'ple') {
+		return [
+			'Which are the best performing schools in the latest PLE?',
+			'What is the PLE pass rate for girls compared to boys?',
+			'Which subcounty had the most Division 1 candidates in 2022?',
+			'How many candidates were absent from PLE?'
+		];
+	} else if (category === 'education') {
 		return [
 			'Which subcounty has the highest pupil-teacher ratio?',
 			'Show me schools without electricity',
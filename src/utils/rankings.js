@@ -0,0 +1,286 @@
+/**
+ * Ranking engine for comparison queries
+ * Computes a metric from calculateMetrics() for every administrative unit under
+ * the selected location (or the PLE results for every subcounty or school), so
+ * rankings never depend on what the model writes.
+ */
+
+import { getLocationRollup } from './metrics.js';
+import { getPLEUnits } from './pleMetrics.js';
+
+// Metrics that can be ranked, keyed by name. `path` points into the calculateMetrics() output
+// (the PLE tally for 'ple'), `benchmark` into metrics.benchmarks.
+export const RANKING_METRICS = {
+	education: {
+		pupilTeacherRatio: { label: 'Pupil-teacher ratio', path: 'ratios.pupilTeacherRatio', higherIsBetter: false, benchmark: 'pupil_teacher_ratio_primary', keywords: ['pupil-teacher', 'pupil teacher', 'teacher ratio', 'ptr', 'more teachers', 'teachers'] },
+		pupilClassroomRatio: { label: 'Pupil-classroom ratio', path: 'ratios.pupilClassroomRatio', higherIsBetter: false, benchmark: 'pupil_classroom_ratio', keywords: ['pupil-classroom', 'pupil classroom', 'classroom', 'classrooms', 'overcrowd'] },
+		electricityPercentage: { label: 'Schools with electricity (%)', path: 'infrastructure.electricityPercentage', higherIsBetter: true, benchmark: 'electricity_target', keywords: ['electricity', 'power', 'electrified'] },
+		waterPercentage: { label: 'Schools with water (%)', path: 'infrastructure.waterPercentage', higherIsBetter: true, benchmark: 'water_target', keywords: ['water'] },
+		ictLabPercentage: { label: 'Schools with an ICT lab (%)', path: 'infrastructure.ictLabPercentage', higherIsBetter: true, benchmark: 'ict_lab_target', keywords: ['ict', 'computer'] },
+		handwashingPercentage: { label: 'Schools with handwashing facilities (%)', path: 'infrastructure.handwashingPercentage', higherIsBetter: true, keywords: ['handwashing', 'hand washing'] },
+		disabilityAccessibleToiletsPercentage: { label: 'Schools with disability accessible toilets (%)', path: 'infrastructure.disabilityAccessibleToiletsPercentage', higherIsBetter: true, keywords: ['accessible', 'disability'] },
+		permanentClassroomsPercentage: { label: 'Permanent classrooms (%)', path: 'enrollment.permanentClassroomsPercentage', higherIsBetter: true, keywords: ['permanent'] },
+		girlsPercentage: { label: 'Girls enrolled (%)', path: 'enrollment.girlsPercentage', higherIsBetter: null, keywords: ['girls', 'gender'] },
+		femaleTeachersPercentage: { label: 'Female teachers (%)', path: 'enrollment.femaleTeachersPercentage', higherIsBetter: null, keywords: ['female teachers', 'women teachers'] },
+		totalLearners: { label: 'Total learners', path: 'enrollment.totalLearners', higherIsBetter: null, keywords: ['learners', 'pupils', 'enrolment', 'enrollment', 'students'] },
+		totalTeachers: { label: 'Total teachers', path: 'enrollment.totalTeachers', higherIsBetter: null, keywords: ['number of teachers', 'teacher distribution'] },
+		totalFacilities: { label: 'Number of schools', path: 'totalFacilities', higherIsBetter: null, keywords: ['schools'] }
+	},
+	health: {
+		electricityPercentage: { label: 'Facilities with electricity (%)', path: 'infrastructure.electricityPercentage', higherIsBetter: true, benchmark: 'electricity_target', keywords: ['electricity', 'power'] },
+		backupPowerPercentage: { label: 'Facilities with backup power (%)', path: 'infrastructure.backupPowerPercentage', higherIsBetter: true, keywords: ['backup', 'generator', 'solar'] },
+		waterPercentage: { label: 'Facilities with water on premises (%)', path: 'infrastructure.waterPercentage', higherIsBetter: true, benchmark: 'water_target', keywords: ['water'] },
+		laboratoryPercentage: { label: 'Facilities with a laboratory (%)', path: 'infrastructure.laboratoryPercentage', higherIsBetter: true, keywords: ['laboratory', 'lab'] },
+		deliveryRoomPercentage: { label: 'Facilities with a delivery room (%)', path: 'infrastructure.deliveryRoomPercentage', higherIsBetter: true, keywords: ['delivery'] },
+		inpatientWardPercentage: { label: 'Facilities with an inpatient ward (%)', path: 'infrastructure.inpatientWardPercentage', higherIsBetter: true, keywords: ['inpatient', 'ward'] },
+		maternalPercentage: { label: 'Facilities offering maternal health (%)', path: 'services.maternalPercentage', higherIsBetter: true, keywords: ['maternal', 'maternity', 'antenatal'] },
+		immunizationPercentage: { label: 'Facilities offering immunization (%)', path: 'services.immunizationPercentage', higherIsBetter: true, keywords: ['immunization', 'immunisation', 'vaccination'] },
+		hivPercentage: { label: 'Facilities offering HIV/TB care (%)', path: 'services.hivPercentage', higherIsBetter: true, keywords: ['hiv', 'tb'] },
+		familyPlanningPercentage: { label: 'Facilities offering family planning (%)', path: 'services.familyPlanningPercentage', higherIsBetter: true, keywords: ['family planning'] },
+		rdtKitsPercentage: { label: 'Facilities with malaria RDT kits (%)', path: 'supplies.rdtKitsPercentage', higherIsBetter: true, keywords: ['rdt', 'malaria'] },
+		staffingNormsPercentage: { label: 'Health centres meeting staffing norms (%)', path: 'workforce.meetingNormsPercentage', higherIsBetter: true, keywords: ['staffing', 'staffing norms', 'staff', 'health workers', 'workforce'] },
+		midwivesPerFacility: { label: 'Midwives per facility', path: 'workforce.midwivesPerFacility', higherIsBetter: true, keywords: ['midwives', 'midwife'] },
+		hc3Needed: { label: 'HCIIIs needed to meet the population benchmark', path: 'coverage.hc3Needed', higherIsBetter: false, keywords: ['hciii', 'hc3', 'hc iii', 'health centre iii', 'health center iii', 'coverage', 'population'] },
+		totalFacilities: { label: 'Number of health facilities', path: 'totalFacilities', higherIsBetter: null, keywords: ['facilities', 'health centres', 'health centers'] }
+	},
+	ple: {
+		performanceIndex: { label: 'PLE performance index', path: 'performanceIndex', higherIsBetter: true, keywords: ['performance', 'performing', 'perform', 'results'] },
+		passRate: { label: 'PLE pass rate (%)', path: 'passRate', higherIsBetter: true, benchmark: 'pass_rate_target', keywords: ['pass rate', 'pass rates', 'pass', 'passed', 'fail', 'failed'] },
+		division1Rate: { label: 'Candidates in Division 1 (%)', path: 'division1Rate', higherIsBetter: true, benchmark: 'division1_rate_target', keywords: ['division 1', 'division one', 'first grade', 'first grades', 'distinctions'] },
+		absenteeismRate: { label: 'Registered candidates absent (%)', path: 'absenteeismRate', higherIsBetter: false, keywords: ['absent', 'absenteeism', 'absentees'] },
+		sat: { label: 'Candidates who sat', path: 'sat', higherIsBetter: null, keywords: ['candidates'] }
+	}
+};
+
+// Metric used when a query names none
+const DEFAULT_METRICS = { education: 'totalFacilities', health: 'totalFacilities', ple: 'performanceIndex' };
+
+/**
+ * List the metrics that can be ranked for a category
+ * @param {string} category - 'health', 'education' or 'ple'
+ * @returns {Array<Object>} [{key, label}]
+ */
+export function getRankingMetrics(category) {
+	return Object.entries(RANKING_METRICS[category] || {})
+		.map(([key, definition]) => ({ key, label: definition.label }));
+}
+
+/**
+ * Pick the ranking metric a query is asking about, by keyword
+ * @param {string} query - User's natural language query
+ * @param {string} category - 'health', 'education' or 'ple'
+ * @returns {string} Metric key (defaults to totalFacilities, performanceIndex for 'ple')
+ */
+export function detectRankingMetric(query, category) {
+	const lowerQuery = query.toLowerCase();
+	const candidates = Object.entries(RANKING_METRICS[category] || {})
+		.flatMap(([key, definition]) => definition.keywords.map(keyword => ({ key, keyword })))
+		.sort((a, b) => b.keyword.length - a.keyword.length);
+
+	// "schools" or "facilities" only asks for the count when no other metric is named,
+	// so "schools with water" ranks on water
+	const matches = candidates.filter(({ keyword }) => new RegExp(`\\b${keyword}\\b`).test(lowerQuery));
+	const match = matches.find(({ key }) => key !== 'totalFacilities') || matches[0];
+	return match ? match.key : DEFAULT_METRICS[category] || 'totalFacilities';
+}
+
+/**
+ * Work out how a query wants the rankings ordered
+ * @param {string} query - User's natural language query
+ * @returns {string} 'desc' (highest value first), 'asc' (lowest first) or 'need' (furthest behind benchmark first)
+ */
+export function detectRankingOrder(query) {
+	const lowerQuery = query.toLowerCase();
+	if (/\b(need|needs|needing|gap|gaps|priorit\w*|worst|weak|weakest|underserved|behind|lagging)\b/.test(lowerQuery)) return 'need';
+	if (/\b(lowest|least|fewest|smallest|minimum)\b/.test(lowerQuery)) return 'asc';
+	return 'desc';
+}
+
+/**
+ * Rank every administrative unit under the selected location on one metric
+ * @param {Array} facilities - Facility rows already filtered to the selected location (PLE rows for 'ple')
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {Object} location - Location filter with codes
+ * @param {string} category - 'health', 'education' or 'ple'
+ * @param {string} metricKey - Key from RANKING_METRICS[category]
+ * @param {Object} options - Ranking options
+ * @param {string} options.order - 'desc', 'asc' or 'need' (default 'desc')
+ * @param {string} options.level - Unit level to rank (defaults to one level below the selected location;
+ *   for 'ple', 'subcounty' or 'school', defaulting to schools below district level)
+ * @param {Object} options.population - Population data from loadPopulation(), for coverage metrics
+ * @param {number} options.year - Exam year for 'ple' (defaults to the latest)
+ * @returns {Object} {metric, label, level, order, rankings: [{location, code, value, metric, benchmark, gap, facilityCount}]}
+ *   (schools also carry their facility_id)
+ */
+export function computeRankings(facilities, locations, location, category, metricKey, options = {}) {
+	const definitions = RANKING_METRICS[category] || {};
+	const key = definitions[metricKey] ? metricKey : DEFAULT_METRICS[category] || 'totalFacilities';
+	const definition = definitions[key];
+	const order = options.order || 'desc';
+
+	const parentCode = location.village || location.parish || location.subcounty || location.district;
+	const units = category === 'ple'
+		? getPLEUnits(facilities, { level: options.level || (location.subcounty ? 'school' : 'subcounty'), year: options.year })
+		: getLocationRollup(facilities, locations, { category, parentCode, level: options.level, population: options.population });
+
+	const result = { metric: key, label: definition?.label, level: units[0]?.level || options.level || null, order, rankings: [] };
+	if (!definition) {
+		return result;
+	}
+
+	result.rankings = units.map(unit => {
+		const rawValue = getPath(unit.metrics, definition.path);
+		const value = unit.facilityCount > 0 && rawValue !== undefined && rawValue !== null ? Number(rawValue) : null;
+		const benchmark = definition.benchmark ? unit.metrics.benchmarks?.[definition.benchmark] ?? null : null;
+
+		// Gap is how far the unit is behind the benchmark: positive means worse than benchmark
+		let gap = null;
+		if (value !== null && benchmark !== null) {
+			gap = Number((definition.higherIsBetter ? benchmark - value : value - benchmark).toFixed(1));
+		}
+
+		return {
+			location: unit.location,
+			code: unit.code,
+			...(unit.facility_id && { facility_id: unit.facility_id }),
+			value,
+			metric: key,
+			benchmark,
+			gap,
+			facilityCount: unit.facilityCount
+		};
+	});
+
+	// Units without data always go last
+	result.rankings.sort((a, b) => {
+		if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+		if (order === 'asc') return a.value - b.value;
+		if (order === 'need') {
+			if (a.gap !== null && b.gap !== null) return b.gap - a.gap;
+			if (definition.higherIsBetter === false) return b.value - a.value;
+			return a.value - b.value;
+		}
+		return b.value - a.value;
+	});
+
+	result.rankings = result.rankings.map((entry, index) => ({ rank: entry.value === null ? null : index + 1, ...entry }));
+
+	return result;
+}
+
+/**
+ * Rank units on one metric per sector, lined up by location code, so units that are
+ * weak in several sectors come first
+ * A sector is weak in a unit when the unit is behind the benchmark, or (for metrics
+ * without a benchmark) on the wrong side of the median across units.
+ * @param {Object} facilitiesByCategory - {health: [...], education: [...]} already filtered to the selected location
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {Object} location - Location filter with codes
+ * @param {Object} metricKeys - Metric key per sector, e.g. {health: 'waterPercentage', education: 'waterPercentage'}
+ * @param {Object} options - Ranking options
+ * @param {string} options.order - 'need' (weakest first, default) or 'desc' (strongest first)
+ * @param {string} options.level - Unit level to rank (defaults to one level below the selected location)
+ * @param {Object} options.population - Population data from loadPopulation(), for coverage metrics
+ * @returns {Object} {metrics, level, order, rankings: [{rank, location, code, weakSectors, combinedGap, sectors}]}
+ */
+export function computeCrossSectorRankings(facilitiesByCategory, locations, location, metricKeys, options = {}) {
+	const order = options.order === 'desc' ? 'desc' : 'need';
+	const units = new Map();
+	const metrics = {};
+	let level = null;
+
+	Object.entries(facilitiesByCategory).forEach(([sector, facilities]) => {
+		const sectorRankings = computeRankings(facilities, locations, location, sector, metricKeys[sector], {
+			order: 'need',
+			level: options.level,
+			population: options.population
+		});
+		const definition = RANKING_METRICS[sector][sectorRankings.metric];
+		metrics[sector] = { key: sectorRankings.metric, label: sectorRankings.label };
+		level = level || sectorRankings.level;
+
+		const values = sectorRankings.rankings.map(entry => entry.value).filter(value => value !== null).sort((a, b) => a - b);
+		const median = values.length > 0 ? values[Math.floor(values.length / 2)] : null;
+
+		sectorRankings.rankings.forEach(entry => {
+			if (!units.has(entry.code)) {
+				units.set(entry.code, { location: entry.location, code: entry.code, weakSectors: 0, combinedGap: 0, sectors: {} });
+			}
+			const unit = units.get(entry.code);
+
+			let weak = false;
+			if (entry.value !== null) {
+				if (entry.gap !== null) weak = entry.gap > 0;
+				else if (definition.higherIsBetter === true) weak = entry.value < median;
+				else if (definition.higherIsBetter === false) weak = entry.value > median;
+			}
+			if (weak) unit.weakSectors++;
+			if (entry.gap !== null) unit.combinedGap = Number((unit.combinedGap + entry.gap).toFixed(1));
+
+			unit.sectors[sector] = {
+				value: entry.value,
+				benchmark: entry.benchmark,
+				gap: entry.gap,
+				weak,
+				rank: entry.rank,
+				facilityCount: entry.facilityCount
+			};
+		});
+	});
+
+	// Units without data in any sector always go last
+	const hasData = unit => Object.values(unit.sectors).some(sector => sector.value !== null);
+	const rankings = Array.from(units.values()).sort((a, b) => {
+		if (hasData(a) !== hasData(b)) return hasData(a) ? -1 : 1;
+		const need = b.weakSectors - a.weakSectors || b.combinedGap - a.combinedGap;
+		return order === 'desc' ? -need : need;
+	});
+
+	return {
+		metrics,
+		level,
+		order,
+		rankings: rankings.map((unit, index) => ({ rank: hasData(unit) ? index + 1 : null, ...unit }))
+	};
+}
+
+/**
+ * Line up the rankable metrics of each sector by location code, one level below a location
+ * Only units with facilities in at least one sector are returned.
+ * @param {Object} facilitiesByCategory - {health: [...], education: [...]} already filtered to the selected location
+ * @param {Object} locations - Locations data from loadLocations()
+ * @param {string} parentCode - Location code to roll up under
+ * @param {Object} options - Options
+ * @param {Object} options.population - Population data from loadPopulation(), for coverage metrics
+ * @returns {Array<Object>} [{location, code, level, sectors: {health: {facilityCount, ...metrics}, education: {...}}}]
+ */
+export function alignSectors(facilitiesByCategory, locations, parentCode, options = {}) {
+	const units = new Map();
+
+	Object.entries(facilitiesByCategory).forEach(([sector, facilities]) => {
+		getLocationRollup(facilities, locations, { category: sector, parentCode, population: options.population }).forEach(unit => {
+			if (!units.has(unit.code)) {
+				units.set(unit.code, { location: unit.location, code: unit.code, level: unit.level, sectors: {} });
+			}
+
+			const values = { facilityCount: unit.facilityCount };
+			if (unit.facilityCount > 0) {
+				Object.entries(RANKING_METRICS[sector]).forEach(([key, definition]) => {
+					const value = getPath(unit.metrics, definition.path);
+					if (value !== undefined && value !== null) values[key] = Number(value);
+				});
+			}
+			units.get(unit.code).sectors[sector] = values;
+		});
+	});
+
+	return Array.from(units.values())
+		.filter(unit => Object.values(unit.sectors).some(sector => sector.facilityCount > 0));
+}
+
+/**
+ * Helper: Read a dotted path from an object
+ */
+function getPath(obj, path) {
+	return path.split('.').reduce((value, key) => value?.[key], obj);
+}
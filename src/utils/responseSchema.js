@@ -0,0 +1,475 @@
+/**
+ * JSON Schemas of the /query responses
+ *
+ * MODEL_SCHEMAS describe what the model writes for each response type and are enforced
+ * on its output by validateModelResponse(). MODEL_RESPONSE_FORMAT is the same contract as
+ * one strict schema for providers with structured outputs: OpenAI strict mode needs an
+ * object root with every property required, so the fields of other response types are
+ * null. RESPONSE_SCHEMA describes the responses the dashboard receives, including the
+ * fields the system adds (filter results, rankings, trend series), and is served at GET /schema.
+ */
+
+import { FILTER_OPERATORS } from './filterEngine.js';
+
+export const RESPONSE_TYPES = ['answer', 'filter', 'comparison', 'trend', 'clarification'];
+const VIEWS = ['map', 'grid', 'charts', 'comparison'];
+
+const SCALAR = [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }];
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+// Shapes shared by the model output and the responses
+const SHARED_DEFS = {
+	Filter: {
+		description: 'A condition, or a group of filters combined with "and" or "or"',
+		anyOf: [{ $ref: '#/$defs/FilterCondition' }, { $ref: '#/$defs/FilterGroup' }]
+	},
+	FilterCondition: {
+		type: 'object',
+		properties: {
+			field: { type: 'string', description: 'Field of the facility register' },
+			operator: { type: 'string', enum: FILTER_OPERATORS },
+			value: {
+				description: 'An array for in and not_in; none (null) for is_empty and not_empty',
+				anyOf: [...SCALAR, { type: 'array', items: { anyOf: SCALAR } }, { type: 'null' }]
+			}
+		},
+		required: ['field', 'operator'],
+		additionalProperties: false
+	},
+	FilterGroup: {
+		type: 'object',
+		properties: {
+			logic: { type: 'string', enum: ['and', 'or'] },
+			conditions: { type: 'array', items: { $ref: '#/$defs/Filter' }, minItems: 1 }
+		},
+		required: ['logic', 'conditions'],
+		additionalProperties: false
+	},
+	KeyFigure: {
+		type: 'object',
+		properties: {
+			label: { type: 'string', description: 'What the figure is, e.g. "Pupil-teacher ratio"' },
+			value: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'null' }] }
+		},
+		required: ['label', 'value'],
+		additionalProperties: false
+	}
+};
+
+// Fields the model writes for only some response types
+const MODEL_FIELDS = {
+	data: { type: 'array', items: { $ref: '#/$defs/KeyFigure' }, description: 'Key figures quoted in the text' },
+	filters: { $ref: '#/$defs/Filter' },
+	rankingMetric: {
+		description: 'Rankable metric key; one key per sector for category "all"',
+		anyOf: [
+			{ type: 'string' },
+			{
+				type: 'object',
+				properties: { health: { type: ['string', 'null'] }, education: { type: ['string', 'null'] } },
+				required: ['health', 'education'],
+				additionalProperties: false
+			}
+		]
+	},
+	insights: { type: 'string' },
+	suggestions: { type: 'array', items: { type: 'string' }, minItems: 1 }
+};
+
+const TYPE_FIELDS = {
+	answer: { optional: ['data'] },
+	filter: { required: ['filters'] },
+	comparison: { optional: ['rankingMetric', 'insights'] },
+	trend: { optional: ['insights'] },
+	clarification: { required: ['suggestions'] }
+};
+
+/**
+ * Model output schema of each response type; fields of other types must be null or left out
+ */
+export const MODEL_SCHEMAS = Object.fromEntries(RESPONSE_TYPES.map(type => {
+	const { required = [], optional = [] } = TYPE_FIELDS[type];
+	const fields = Object.entries(MODEL_FIELDS).map(([field, schema]) => {
+		if (required.includes(field)) return [field, schema];
+		return [field, optional.includes(field) ? nullable(schema) : { type: 'null' }];
+	});
+
+	return [type, {
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		title: `${type} (model output)`,
+		type: 'object',
+		properties: {
+			type: { const: type },
+			text: { type: 'string', minLength: 1 },
+			suggestedView: nullable({ type: 'string', enum: VIEWS }),
+			suggestedAction: { type: ['string', 'null'] },
+			...Object.fromEntries(fields)
+		},
+		required: ['type', 'text', ...required],
+		additionalProperties: false,
+		$defs: SHARED_DEFS
+	}];
+}));
+
+/**
+ * All response types as one strict schema, for providers with structured outputs
+ */
+export const MODEL_RESPONSE_FORMAT = {
+	name: 'query_response',
+	strict: true,
+	schema: toStrict({
+		type: 'object',
+		properties: {
+			type: { type: 'string', enum: RESPONSE_TYPES },
+			text: { type: 'string' },
+			suggestedView: nullable({ type: 'string', enum: VIEWS }),
+			suggestedAction: { type: ['string', 'null'] },
+			...Object.fromEntries(Object.entries(MODEL_FIELDS).map(([field, schema]) => [field, nullable(schema)]))
+		},
+		required: ['type', 'text'],
+		additionalProperties: false,
+		$defs: SHARED_DEFS
+	})
+};
+
+/**
+ * Schema of the JSON responses of POST /query, one definition per response type
+ */
+export const RESPONSE_SCHEMA = {
+	$schema: 'https://json-schema.org/draft/2020-12/schema',
+	$id: '/schema',
+	title: 'QueryResponse',
+	description: 'Responses of POST /query and the result event of /query/stream (format "json")',
+	oneOf: RESPONSE_TYPES.map(type => ({ $ref: `#/$defs/${responseName(type)}` })),
+	$defs: {
+		[responseName('answer')]: responseSchema('answer', {
+			data: {
+				description: 'Key figures from the model, or the counts of a rule-based or distance answer',
+				anyOf: [{ type: 'array', items: { $ref: '#/$defs/KeyFigure' } }, { type: 'object' }]
+			},
+			degraded: { type: 'boolean', description: 'True when no model could answer and the text gives only computed figures; data is then {metrics}' }
+		}),
+		[responseName('filter')]: responseSchema('filter', {
+			filters: { $ref: '#/$defs/Filter' },
+			spatial: { type: 'object', description: 'Parameters of a distance question' },
+			resultCount: { type: 'integer', minimum: 0 },
+			facilities: { type: 'array', items: { $ref: '#/$defs/FacilitySummary' } },
+			pagination: { $ref: '#/$defs/Pagination' }
+		}, ['resultCount', 'facilities', 'pagination']),
+		[responseName('comparison')]: responseSchema('comparison', {
+			insights: { type: 'string' },
+			rankings: {
+				type: 'array',
+				items: { anyOf: [{ $ref: '#/$defs/Ranking' }, { $ref: '#/$defs/CrossSectorRanking' }] }
+			},
+			rankingMetric: {
+				type: 'object',
+				description: '{key, label, level, order}; for category "all" {health: {key, label}, education: {key, label}, level, order}',
+				properties: {
+					key: { type: 'string' },
+					label: { type: 'string' },
+					level: { type: ['string', 'null'] },
+					order: { type: 'string', enum: ['desc', 'asc', 'need'] }
+				}
+			}
+		}),
+		[responseName('trend')]: responseSchema('trend', {
+			insights: { type: 'string' },
+			metric: { type: 'string', description: '"<dataset>.<measure>"' },
+			series: { type: 'array', items: { type: 'object' } },
+			summary: { type: 'object' }
+		}),
+		[responseName('clarification')]: responseSchema('clarification', {
+			suggestions: { type: 'array', items: { type: 'string' } }
+		}, ['suggestions']),
+		...SHARED_DEFS,
+		FacilitySummary: {
+			type: 'object',
+			properties: {
+				facility_id: { type: 'string' },
+				name: { type: 'string' },
+				sector: { type: 'string', enum: ['health', 'education'], description: 'Only for category "all"' },
+				level: { type: ['string', 'null'] },
+				ownership: { type: ['string', 'null'] },
+				subcounty: { type: ['string', 'null'] },
+				parish: { type: ['string', 'null'] },
+				village: { type: ['string', 'null'] },
+				location_code: { type: ['string', 'null'] },
+				latitude: { type: ['number', 'null'] },
+				longitude: { type: ['number', 'null'] },
+				href: { type: 'string', description: 'GET path of the full record' }
+			},
+			required: ['facility_id', 'name', 'href']
+		},
+		Source: {
+			type: 'object',
+			description: 'A dataset the answer was built from (src/utils/sources.js)',
+			properties: {
+				dataset: { type: 'string', description: 'Data file, e.g. "/data/facilities/health_facilities.csv"' },
+				category: { type: 'string', enum: ['health', 'education', 'ple', 'trend'] },
+				scope: { type: 'string', description: 'Location code of the selected location' },
+				metricPaths: { type: 'array', items: { type: 'string' }, description: 'Metrics the answer used: the cited paths, then the sections of metrics given to the model (e.g. "infrastructure")' },
+				cited: { type: 'array', items: { type: 'string' }, description: 'The metric paths the answer\'s figures were matched to' },
+				facilityIds: { type: 'array', items: { type: 'string' }, description: 'Facilities counted; for filter answers the matching ones' },
+				locationCodes: { type: 'array', items: { type: 'string' }, description: 'Units one level below the scope that the counted facilities lie in, e.g. the subcounties of a district' },
+				href: { type: 'string', description: 'GET /facilities query listing the records (facility registers only)' }
+			},
+			required: ['dataset', 'category', 'scope', 'metricPaths', 'cited', 'facilityIds', 'locationCodes']
+		},
+		Verification: {
+			type: 'object',
+			description: 'How the figures of a model answer were checked against the data (src/utils/verification.js)',
+			properties: {
+				mode: { type: 'string', enum: ['flag', 'strict'] },
+				verified: { type: 'boolean', description: 'True when every figure was found in the data' },
+				checked: { type: 'integer', minimum: 0 },
+				unverified: { type: 'integer', minimum: 0 },
+				redacted: { type: 'integer', minimum: 0, description: 'Strict mode only' },
+				claims: {
+					type: 'array',
+					items: {
+						type: 'object',
+						properties: {
+							field: { type: 'string', description: '"text" or the path of a key figure, e.g. "data[0].value"' },
+							claim: { type: 'string', description: 'The figure as written, e.g. "62.3%"' },
+							value: { type: 'number' },
+							kind: { type: 'string', enum: ['number', 'percentage', 'ratio'] },
+							source: { type: 'string', description: 'Path of the matching value, e.g. "metrics.infrastructure.electricityPercentage", or "unverified"' }
+						},
+						required: ['field', 'claim', 'value', 'kind', 'source']
+					}
+				}
+			},
+			required: ['mode', 'verified', 'checked', 'unverified', 'claims']
+		},
+		Pagination: {
+			type: 'object',
+			properties: {
+				page: { type: 'integer', minimum: 1 },
+				pageSize: { type: 'integer', minimum: 1 },
+				totalPages: { type: 'integer', minimum: 1 },
+				total: { type: 'integer', minimum: 0 }
+			},
+			required: ['page', 'pageSize', 'totalPages', 'total']
+		},
+		Ranking: {
+			type: 'object',
+			properties: {
+				rank: { type: ['integer', 'null'], description: 'Null for units without data, which come last' },
+				location: { type: 'string' },
+				code: { type: 'string' },
+				facility_id: { type: 'string', description: 'For school rankings (PLE)' },
+				value: { type: ['number', 'null'] },
+				metric: { type: 'string' },
+				benchmark: { type: ['number', 'null'] },
+				gap: { type: ['number', 'null'], description: 'How far the unit is behind the benchmark; positive is worse' },
+				facilityCount: { type: 'integer' }
+			},
+			required: ['rank', 'location', 'code', 'value', 'metric']
+		},
+		CrossSectorRanking: {
+			type: 'object',
+			properties: {
+				rank: { type: ['integer', 'null'] },
+				location: { type: 'string' },
+				code: { type: 'string' },
+				weakSectors: { type: 'integer' },
+				combinedGap: { type: 'number' },
+				sectors: {
+					type: 'object',
+					additionalProperties: {
+						type: 'object',
+						properties: {
+							value: { type: ['number', 'null'] },
+							benchmark: { type: ['number', 'null'] },
+							gap: { type: ['number', 'null'] },
+							weak: { type: 'boolean' },
+							rank: { type: ['integer', 'null'] },
+							facilityCount: { type: 'integer' }
+						}
+					}
+				}
+			},
+			required: ['rank', 'location', 'code', 'weakSectors', 'sectors']
+		}
+	}
+};
+
+/**
+ * Check a model response against the schema of its response type
+ * @param {Object} response - Parsed model output
+ * @returns {Array<string>} Violations as "path: problem" (empty when the response is valid)
+ */
+export function validateModelResponse(response) {
+	if (!response || typeof response !== 'object' || Array.isArray(response)) {
+		return ['(root): must be a JSON object'];
+	}
+	if (!RESPONSE_TYPES.includes(response.type)) {
+		return [`type: must be one of ${RESPONSE_TYPES.join(', ')}`];
+	}
+
+	const schema = MODEL_SCHEMAS[response.type];
+	return checkSchema(response, schema, '', schema.$defs);
+}
+
+/**
+ * Helper: Definition name of a response type's schema, e.g. 'AnswerResponse'
+ */
+function responseName(type) {
+	return `${type.charAt(0).toUpperCase()}${type.slice(1)}Response`;
+}
+
+/**
+ * Helper: Response schema of one type: the common fields plus the type's own
+ */
+function responseSchema(type, fields, required = []) {
+	return {
+		type: 'object',
+		properties: {
+			type: { const: type },
+			text: { type: 'string' },
+			suggestedView: { type: 'string', enum: VIEWS },
+			suggestedAction: { type: 'string' },
+			...fields,
+			timestamp: { type: 'string', format: 'date-time' },
+			conversationId: { type: 'string' },
+			resolved: { type: 'object', description: 'Location and category read from the query text' },
+			verification: { $ref: '#/$defs/Verification' },
+			sources: { type: 'array', items: { $ref: '#/$defs/Source' } }
+		},
+		required: ['type', 'text', ...required]
+	};
+}
+
+/**
+ * Helper: Make a schema strict-mode ready: every property required (optional ones
+ * nullable) and no keywords strict mode rejects
+ */
+function toStrict(schema) {
+	if (Array.isArray(schema)) return schema.map(toStrict);
+	if (!schema || typeof schema !== 'object') return schema;
+
+	const strict = {};
+	Object.entries(schema).forEach(([key, value]) => {
+		if (['minLength', 'minItems', 'minimum', 'format'].includes(key)) return;
+		if (key === 'properties' || key === '$defs') {
+			strict[key] = Object.fromEntries(Object.entries(value).map(([name, child]) => {
+				const optional = key === 'properties' && !(schema.required || []).includes(name);
+				return [name, toStrict(optional && !allowsNull(child) ? nullable(child) : child)];
+			}));
+		} else {
+			strict[key] = toStrict(value);
+		}
+	});
+	if (schema.properties) strict.required = Object.keys(schema.properties);
+	return strict;
+}
+
+/**
+ * Helper: Whether a schema already accepts null
+ */
+function allowsNull(schema) {
+	return schema.type === 'null' || (Array.isArray(schema.type) && schema.type.includes('null'))
+		|| (schema.anyOf || []).some(allowsNull);
+}
+
+/**
+ * Helper: Validate a value against the subset of JSON Schema the response schemas use
+ */
+function checkSchema(value, schema, path, defs) {
+	const at = path || '(root)';
+
+	if (schema.$ref) {
+		return checkSchema(value, defs[schema.$ref.replace('#/$defs/', '')], path, defs);
+	}
+
+	if (schema.anyOf) {
+		const results = schema.anyOf.map(option => checkSchema(value, option, path, defs));
+		if (results.some(errors => errors.length === 0)) return [];
+		// Report the alternative of the value's type that came closest, if there is one
+		const closest = results
+			.filter((errors, index) => acceptsType(value, schema.anyOf[index], defs))
+			.sort((a, b) => a.length - b.length)[0];
+		return closest || [`${at}: must be ${describeOptions(schema.anyOf, defs)}`];
+	}
+
+	if (schema.const !== undefined && value !== schema.const) {
+		return [`${at}: must be ${JSON.stringify(schema.const)}`];
+	}
+
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		if (!types.some(type => hasType(value, type))) {
+			return [`${at}: must be ${types.join(' or ')}`];
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		return [`${at}: must be one of ${schema.enum.filter(option => option !== null).join(', ')}`];
+	}
+
+	const errors = [];
+	if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+		errors.push(`${at}: must not be empty`);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems && value.length < schema.minItems) {
+			errors.push(`${at}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+		}
+		if (schema.items) {
+			value.forEach((item, index) => errors.push(...checkSchema(item, schema.items, `${path}[${index}]`, defs)));
+		}
+	}
+
+	if (value && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+		(schema.required || []).forEach(name => {
+			if (value[name] === undefined) errors.push(`${path ? `${path}.` : ''}${name}: is required`);
+		});
+		Object.entries(value).forEach(([name, child]) => {
+			const childPath = path ? `${path}.${name}` : name;
+			if (schema.properties[name]) {
+				if (child !== undefined) errors.push(...checkSchema(child, schema.properties[name], childPath, defs));
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${childPath}: is not allowed`);
+			}
+		});
+	}
+
+	return errors;
+}
+
+/**
+ * Helper: Whether a value has a JSON Schema type
+ */
+function hasType(value, type) {
+	switch (type) {
+		case 'null': return value === null;
+		case 'array': return Array.isArray(value);
+		case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+		case 'integer': return Number.isInteger(value);
+		case 'number': return typeof value === 'number' && isFinite(value);
+		default: return typeof value === type;
+	}
+}
+
+/**
+ * Helper: Whether a value has the type (or const) a schema asks for, ignoring everything else
+ */
+function acceptsType(value, schema, defs) {
+	if (schema.$ref) return acceptsType(value, defs[schema.$ref.replace('#/$defs/', '')], defs);
+	if (schema.anyOf) return schema.anyOf.some(option => acceptsType(value, option, defs));
+	if (schema.const !== undefined) return value === schema.const;
+	return !schema.type || [].concat(schema.type).some(type => hasType(value, type));
+}
+
+/**
+ * Helper: Short description of the alternatives of an anyOf, e.g. "string or null"
+ */
+function describeOptions(options, defs) {
+	return options.map(option => {
+		if (option.$ref) return describeOptions([defs[option.$ref.replace('#/$defs/', '')]], defs);
+		if (option.anyOf) return describeOptions(option.anyOf, defs);
+		return [].concat(option.type || 'a value').join(' or ');
+	}).join(' or ');
+}
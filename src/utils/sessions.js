@@ -0,0 +1,203 @@
+/**
+ * Conversation sessions so that follow-up questions ("and what about Bbaale?",
+ * "show those on a map") can build on earlier turns
+ *
+ * A session store is any object with async get(id) and save(session). The worker
+ * uses Workers KV when a SESSIONS namespace is bound and an in-memory store otherwise
+ * (which only lives as long as the isolate, so it is for development).
+ */
+
+import { getChildLocations, locationFromCode } from './dataLoader.js';
+
+export const MAX_TURNS = 10; // turns kept per session
+export const HISTORY_TURNS = 5; // turns passed to the model
+export const SESSION_TTL_SECONDS = 60 * 60 * 24;
+
+const MAX_MEMORY_SESSIONS = 1000;
+
+// Follow-ups that repeat the previous question for a new place
+const FOLLOW_UP_PATTERN = /^\s*(and|what about|how about|same for|now|also)\b/i;
+const FILLER_WORDS = new Set(['and', 'what', 'about', 'how', 'same', 'for', 'in', 'the', 'now', 'also', 'then', 'there', 'of', 'subcounty', 'parish', 'village', 'district']);
+
+// Follow-ups that refer back to the previous filter results
+const REFERENCE_PATTERN = /\b(those|these|them|that list)\b/i;
+
+const CATEGORY_WORDS = [
+	{ pattern: /\b(ple|exams?|exam results)\b/i, category: 'ple' },
+	{ pattern: /\b(health|clinics?|hospitals?|health cent(re|er)s?)\b/i, category: 'health' },
+	{ pattern: /\b(education|schools?)\b/i, category: 'education' }
+];
+
+const memorySessions = new Map();
+
+/**
+ * Pick the session store for the environment
+ * @param {Object} env - Environment bindings
+ * @returns {Object} Store with get(id) and save(session)
+ */
+export function createSessionStore(env) {
+	if (env?.SESSIONS) {
+		return createKVStore(env.SESSIONS);
+	}
+	return memoryStore;
+}
+
+/**
+ * Add a turn to a session and save it, keeping the last MAX_TURNS turns
+ * @param {Object} store - Session store from createSessionStore()
+ * @param {Object} session - Session from store.get()
+ * @param {Object} turn - {query, analysisQuery, location, place, category, responseType, text, filters}
+ * @returns {Promise<void>}
+ */
+export async function recordTurn(store, session, turn) {
+	session.turns = [...session.turns, { ...turn, timestamp: new Date().toISOString() }].slice(-MAX_TURNS);
+	session.updatedAt = new Date().toISOString();
+	await store.save(session);
+}
+
+/**
+ * Work out the query, location and category of a turn from the request and the session
+ * Anything the request leaves out is inherited from the previous turn; a place or
+ * category named in a follow-up overrides the inherited one.
+ * @param {Object} body - Request body
+ * @param {Object} session - Session from store.get()
+ * @param {Object} locations - Locations data from loadLocations()
+ * @returns {Object} {query, analysisQuery, location, category, followUp}
+ */
+export function resolveTurn(body, session, locations) {
+	const previous = session.turns[session.turns.length - 1] || null;
+	const turn = {
+		query: body.query,
+		analysisQuery: body.query,
+		location: body.location || previous?.location || null,
+		category: body.category || previous?.category || null,
+		followUp: false
+	};
+
+	if (!previous) {
+		return turn;
+	}
+
+	let remaining = body.query.toLowerCase();
+
+	if (!body.location && turn.location?.district) {
+		const place = findPlaceInQuery(remaining, locations, turn.location.district, getLocationLevel(previous.location));
+		if (place) {
+			turn.location = locationFromCode(place.code);
+			remaining = remaining.replace(place.name.toLowerCase(), ' ');
+		}
+	}
+
+	if (!body.category) {
+		const mentioned = CATEGORY_WORDS.find(({ pattern }) => pattern.test(remaining));
+		if (mentioned) {
+			turn.category = mentioned.category;
+			remaining = remaining.replace(mentioned.pattern, ' ');
+		}
+	}
+
+	// "and what about Bbaale?" asks the previous question again for the new place. Questions are
+	// worded for their category, so a switch of category is left to the model and the history.
+	const leftover = remaining.split(/[^a-z0-9]+/).filter(word => word && !FILLER_WORDS.has(word));
+	const repeatsQuestion = FOLLOW_UP_PATTERN.test(body.query) && leftover.length === 0 && turn.category === previous.category;
+
+	// "show those on a map" repeats the previous filter
+	const refersToResults = previous.responseType === 'filter' && REFERENCE_PATTERN.test(body.query);
+
+	if (repeatsQuestion || refersToResults) {
+		turn.analysisQuery = previous.analysisQuery || previous.query;
+		turn.followUp = true;
+	}
+
+	return turn;
+}
+
+/**
+ * Summarise recent turns for the model prompt
+ * @param {Object} session - Session from store.get()
+ * @returns {Array<Object>} Last HISTORY_TURNS turns as {query, place, category, responseType, text}
+ */
+export function getHistory(session) {
+	return (session?.turns || []).slice(-HISTORY_TURNS).map(turn => ({
+		query: turn.query,
+		place: turn.place,
+		category: turn.category,
+		responseType: turn.responseType,
+		text: turn.text,
+		...(turn.filters ? { filters: turn.filters } : {})
+	}));
+}
+
+/**
+ * Helper: In-memory store, evicting the least recently saved session when full
+ */
+const memoryStore = {
+	async get(id) {
+		const session = memorySessions.get(id);
+		return session ? structuredClone(session) : newSession(id);
+	},
+
+	async save(session) {
+		memorySessions.delete(session.id);
+		memorySessions.set(session.id, structuredClone(session));
+		if (memorySessions.size > MAX_MEMORY_SESSIONS) {
+			memorySessions.delete(memorySessions.keys().next().value);
+		}
+	}
+};
+
+/**
+ * Helper: Workers KV store; sessions expire SESSION_TTL_SECONDS after the last turn
+ */
+function createKVStore(namespace) {
+	return {
+		async get(id) {
+			const session = await namespace.get(`session:${id}`, 'json');
+			return session || newSession(id);
+		},
+
+		async save(session) {
+			await namespace.put(`session:${session.id}`, JSON.stringify(session), { expirationTtl: SESSION_TTL_SECONDS });
+		}
+	};
+}
+
+/**
+ * Helper: Empty session
+ */
+function newSession(id) {
+	return { id, turns: [], createdAt: new Date().toISOString() };
+}
+
+/**
+ * Helper: Find the place a query names within a district, preferring the longest name
+ * and then the level of the previous location
+ */
+function findPlaceInQuery(lowerQuery, locations, districtCode, preferredLevel) {
+	const levels = ['subcounty', 'parish', 'village'];
+	const levelRank = level => (level === preferredLevel ? -1 : levels.indexOf(level));
+
+	const matches = levels
+		.flatMap(level => getChildLocations(locations, districtCode, level))
+		.filter(unit => new RegExp(`\\b${escapeRegExp(unit.name.toLowerCase())}\\b`).test(lowerQuery));
+
+	matches.sort((a, b) => b.name.length - a.name.length || levelRank(a.type) - levelRank(b.type));
+	return matches[0] || null;
+}
+
+/**
+ * Helper: The most specific level set in a location object
+ */
+function getLocationLevel(location) {
+	if (location?.village) return 'village';
+	if (location?.parish) return 'parish';
+	if (location?.subcounty) return 'subcounty';
+	return 'district';
+}
+
+/**
+ * Helper: Escape a string for use in a RegExp
+ */
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,111 @@
+/**
+ * Source citations for /query answers
+ *
+ * Every answer carries `sources`: one entry per dataset it was built from (the facility
+ * registers, and the PLE or trend file when the prompt included them) with the metric paths
+ * the answer used, the facility_ids counted and the units below the scope they lie in, so that the
+ * dashboard can drill down to the underlying records through `href`.
+ */
+
+import { REGISTER_FILES, TRENDS_DIR } from './dataLoader.js';
+import { applyFilter } from './filterEngine.js';
+
+/**
+ * Build the `sources` of an answer
+ * @param {Array<Object>} datasets - Data the answer was built from, each
+ *   {category, rows, metrics, path, file}: `category` is 'health', 'education', 'ple' or 'trend';
+ *   `path` is where its metrics sit in the verification sources (e.g. 'metrics.health');
+ *   `file` is the trend file name for 'ple' and 'trend'
+ * @param {Object} options - Options
+ * @param {string} options.scopeCode - Location code of the selected location
+ * @param {Object} options.filter - {category, filter} when the answer is a filter result
+ * @param {Array<string>} options.listed - facility_ids listed by a distance answer (the page shown);
+ *   registers with none of them are left out
+ * @param {Array<Object>} options.claims - Claims from verifyResponse(), for the cited paths
+ * @param {boolean} options.prompted - Whether the datasets' metrics went into the model prompt
+ * @returns {Array<Object>} Sources {dataset, category, scope, metricPaths, cited, facilityIds, locationCodes, href}
+ */
+export function buildSources(datasets, { scopeCode, filter = null, listed = null, claims = [], prompted = false } = {}) {
+	return datasets
+		.filter(dataset => dataset.rows?.length > 0 || dataset.metrics)
+		.map(dataset => {
+			const filtered = filter?.category === dataset.category;
+			let counted = dataset.rows || [];
+			if (filtered) {
+				counted = applyFilter(counted, filter.filter);
+			} else if (listed && REGISTER_FILES[dataset.category]) {
+				counted = counted.filter(row => listed.includes(row.facility_id));
+				if (counted.length === 0) return null;
+			}
+
+			// The answer used the metrics its figures cite and the sections of metrics the model was given
+			const cited = getCitedPaths(claims, dataset.path);
+			const source = {
+				dataset: REGISTER_FILES[dataset.category] || `${TRENDS_DIR}/${dataset.file}`,
+				category: dataset.category,
+				scope: scopeCode,
+				metricPaths: unique([...cited, ...(prompted ? listMetricSections(dataset.metrics) : [])]),
+				cited,
+				facilityIds: unique(counted.map(row => row.facility_id)),
+				locationCodes: getUnitCodes(counted, scopeCode)
+			};
+
+			if (REGISTER_FILES[dataset.category]) {
+				const params = new URLSearchParams({ category: dataset.category, location: scopeCode });
+				if (filtered) params.set('filter', JSON.stringify(filter.filter));
+				source.href = `/facilities?${params}`;
+			}
+			return source;
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Helper: Top-level sections of a metrics object that hold any numbers, e.g. 'infrastructure'
+ */
+function listMetricSections(metrics) {
+	if (!metrics || typeof metrics !== 'object') return [];
+	return Object.keys(metrics).filter(key => hasNumber(metrics[key]));
+}
+
+/**
+ * Helper: Whether a metrics value is or contains a number
+ */
+function hasNumber(value) {
+	if (typeof value === 'number') return true;
+	if (typeof value === 'string') return /^-?\d+(\.\d+)?$/.test(value);
+	if (value && typeof value === 'object') return Object.values(value).some(hasNumber);
+	return false;
+}
+
+/**
+ * Helper: Metric paths the answer's verified figures came from, relative to a dataset's metrics
+ */
+function getCitedPaths(claims, path) {
+	if (!path) return [];
+	const prefix = `${path}.`;
+
+	// Derived sources read "100 - <path>" or "<total path> - <path>"
+	const paths = claims
+		.flatMap(claim => claim.source.split(' - '))
+		.filter(source => source.startsWith(prefix))
+		.map(source => source.slice(prefix.length));
+	return unique(paths);
+}
+
+/**
+ * Helper: Codes of the units one level below the scope that rows lie in (subcounties of a
+ * district, ...), so a district answer lists its subcounties rather than every village;
+ * rows coded no deeper than the scope keep their own code
+ */
+function getUnitCodes(rows, scopeCode) {
+	const depth = (scopeCode?.match(/[DSPV]\d+/g) || []).length + 1;
+	return unique(rows.map(row => row.location_code?.match(/[DSPV]\d+/g)?.slice(0, depth).join(''))).sort();
+}
+
+/**
+ * Helper: Distinct values in order of first appearance, without blanks
+ */
+function unique(values) {
+	return [...new Set(values.filter(value => value !== null && value !== undefined && value !== ''))];
+}
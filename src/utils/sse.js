@@ -0,0 +1,117 @@
+/**
+ * Server-Sent Events helpers for streaming /query responses
+ */
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Format one SSE event
+ * @param {string} event - Event name ('context', 'delta', 'reset', 'result' or 'error')
+ * @param {Object} data - Event payload, sent as JSON
+ * @returns {string} Event text
+ */
+export function formatEvent(event, data) {
+	return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create a stream that events can be written to while the query is processed
+ * @returns {Object} {readable, send(event, data), close()}
+ */
+export function createEventStream() {
+	const { readable, writable } = new TransformStream();
+	const writer = writable.getWriter();
+	const encoder = new TextEncoder();
+
+	return {
+		readable,
+		send: (event, data) => writer.write(encoder.encode(formatEvent(event, data))),
+		close: () => writer.close()
+	};
+}
+
+/**
+ * Read the data of each event in an upstream SSE response (e.g. a model provider's stream)
+ * @param {ReadableStream} stream - Event stream body
+ * @returns {AsyncGenerator<string>} The data of each event, joined across data lines
+ */
+export async function* readEventData(stream) {
+	const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+	let buffer = '';
+	let data = [];
+
+	while (true) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		buffer += value;
+
+		const lines = buffer.split(/\r?\n/);
+		buffer = lines.pop();
+		for (const line of lines) {
+			if (line === '') {
+				if (data.length > 0) yield data.join('\n');
+				data = [];
+			} else if (line.startsWith('data:')) {
+				data.push(line.slice(5).replace(/^ /, ''));
+			}
+		}
+	}
+
+	if (buffer.startsWith('data:')) data.push(buffer.slice(5).replace(/^ /, ''));
+	if (data.length > 0) yield data.join('\n');
+}
+
+/**
+ * Follow one string field of a JSON object as the model streams it in
+ * The model answers in JSON mode, so streamed deltas are JSON fragments; the
+ * returned reader pulls out the decoded characters of the field as they arrive.
+ * @param {string} field - Top-level field to follow (default 'text')
+ * @returns {Function} read(fragment) returning the newly decoded text ('' if none)
+ */
+export function createFieldReader(field = 'text') {
+	const start = new RegExp(`"${field}"\\s*:\\s*"`);
+	let buffer = '';
+	let emitted = 0;
+
+	return fragment => {
+		buffer += fragment;
+		const match = buffer.match(start);
+		if (!match) return '';
+
+		const decoded = decodePartialString(buffer.slice(match.index + match[0].length));
+		const delta = decoded.slice(emitted);
+		emitted = decoded.length;
+		return delta;
+	};
+}
+
+/**
+ * Helper: Decode the complete part of a JSON string body, stopping at the closing
+ * quote or at an escape sequence that has not fully arrived
+ */
+function decodePartialString(raw) {
+	let decoded = '';
+
+	for (let i = 0; i < raw.length; i++) {
+		const char = raw[i];
+		if (char === '"') break;
+		if (char !== '\\') {
+			decoded += char;
+			continue;
+		}
+
+		const next = raw[i + 1];
+		if (next === undefined) break;
+		if (next === 'u') {
+			const hex = raw.slice(i + 2, i + 6);
+			if (hex.length < 4) break;
+			decoded += String.fromCharCode(parseInt(hex, 16));
+			i += 5;
+			continue;
+		}
+		decoded += JSON_ESCAPES[next] ?? next;
+		i++;
+	}
+
+	return decoded;
+}
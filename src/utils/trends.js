@@ -0,0 +1,220 @@
+/**
+ * Trend analysis utilities for the year-by-year datasets in data/trends
+ */
+
+// Trend datasets shipped under data/trends
+export const TREND_DATASETS = {
+	primary_enrolment: {
+		file: 'learners_enrolment_primary.csv',
+		label: 'Primary enrolment',
+		unit: 'learners',
+		measures: ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'total'],
+		defaultMeasure: 'total',
+		gender: { field: 'gender', male: 'Boys', female: 'Girls' }
+	},
+	secondary_enrolment: {
+		file: 'learners_enrolment_secondary.csv',
+		label: 'Secondary enrolment',
+		unit: 'learners',
+		measures: ['s1', 's2', 's3', 's4', 's5', 's6', 'total'],
+		defaultMeasure: 'total',
+		gender: { field: 'gender', male: 'Boys', female: 'Girls' }
+	},
+	institutions: {
+		file: 'number_of_institutions.csv',
+		label: 'Number of institutions',
+		unit: 'institutions',
+		measures: ['value'],
+		defaultMeasure: 'value',
+		gender: null
+	},
+	ple_results: {
+		file: 'ple_analysis.csv',
+		label: 'PLE candidates',
+		unit: 'candidates',
+		measures: ['value'],
+		defaultMeasure: 'value',
+		gender: { field: 'gender', male: 'Male', female: 'Female' }
+	}
+};
+
+/**
+ * Work out which trend dataset and measure a query is asking about
+ * @param {string} query - User's natural language query
+ * @returns {Object} Trend request {dataset, measure, filters, startYear, endYear}
+ */
+export function detectTrendRequest(query) {
+	const lowerQuery = query.toLowerCase();
+
+	const request = {
+		dataset: 'primary_enrolment',
+		measure: null,
+		filters: {},
+		startYear: null,
+		endYear: null
+	};
+
+	const secondaryGrade = lowerQuery.match(/\bs([1-6])\b/);
+	const primaryGrade = lowerQuery.match(/\bp([1-7])\b/);
+	const division = lowerQuery.match(/\bdivision\s*([1-4ux])\b/);
+
+	if (lowerQuery.includes('ple') || lowerQuery.includes('division') || lowerQuery.includes('exam')) {
+		request.dataset = 'ple_results';
+		if (division) {
+			request.filters.grade = `Division ${division[1].toUpperCase()}`;
+		}
+	} else if (lowerQuery.includes('institution') || /(number of|how many) [a-z ]*(schools|nurseries)/.test(lowerQuery)) {
+		request.dataset = 'institutions';
+		const level = ['nursery', 'primary', 'secondary', 'tertiary'].find(word => lowerQuery.includes(word));
+		if (level) {
+			request.filters.level = level.charAt(0).toUpperCase() + level.slice(1);
+		}
+		if (lowerQuery.includes('private')) {
+			request.filters.ownership = 'Private';
+		} else if (lowerQuery.includes('government')) {
+			request.filters.ownership = 'Government';
+		}
+	} else if (secondaryGrade || lowerQuery.includes('secondary') || lowerQuery.includes('senior')) {
+		request.dataset = 'secondary_enrolment';
+		if (secondaryGrade) request.measure = `s${secondaryGrade[1]}`;
+	} else if (primaryGrade) {
+		request.measure = `p${primaryGrade[1]}`;
+	}
+
+	// Year bounds, e.g. "since 2014", "from 2019 to 2023", "between 2020 and 2023"
+	const since = lowerQuery.match(/\b(?:since|from|after|between)\s+(20\d{2})\b/);
+	const until = lowerQuery.match(/\b(?:to|until|and|through)\s+(20\d{2})\b/);
+	if (since) request.startYear = parseInt(since[1], 10);
+	if (until) request.endYear = parseInt(until[1], 10);
+
+	return request;
+}
+
+/**
+ * Calculate a year-by-year series with growth rates, CAGR and gender split
+ * @param {Array} rows - Trend rows from loadTrendData(), already filtered by location
+ * @param {Object} request - Trend request from detectTrendRequest()
+ * @returns {Object} Trend metrics with series and summary
+ */
+export function calculateTrendMetrics(rows, request) {
+	const dataset = TREND_DATASETS[request.dataset] || TREND_DATASETS.primary_enrolment;
+	const measure = dataset.measures.includes(request.measure) ? request.measure : dataset.defaultMeasure;
+
+	const trend = {
+		dataset: request.dataset,
+		label: dataset.label,
+		measure,
+		unit: dataset.unit,
+		filters: request.filters || {},
+		series: [],
+		summary: null
+	};
+
+	const yearMap = new Map();
+
+	rows.forEach(row => {
+		const year = parseInt(row.year, 10);
+		if (!year) return;
+		if (request.startYear && year < request.startYear) return;
+		if (request.endYear && year > request.endYear) return;
+
+		const matchesFilters = Object.entries(trend.filters)
+			.every(([field, value]) => (row[field] || '').toLowerCase() === String(value).toLowerCase());
+		if (!matchesFilters) return;
+
+		// Blank cells mean the school did not report that year, not zero learners
+		const value = getMeasureValue(row, measure, dataset);
+		if (value === null) return;
+
+		if (!yearMap.has(year)) {
+			yearMap.set(year, { year, value: 0, male: 0, female: 0, reporting: new Set() });
+		}
+
+		const entry = yearMap.get(year);
+		entry.value += value;
+		if (row.facility_id) entry.reporting.add(row.facility_id);
+
+		if (dataset.gender) {
+			const gender = row[dataset.gender.field];
+			if (gender === dataset.gender.male) entry.male += value;
+			if (gender === dataset.gender.female) entry.female += value;
+		}
+	});
+
+	const years = Array.from(yearMap.values()).sort((a, b) => a.year - b.year);
+
+	trend.series = years.map((entry, index) => {
+		const point = {
+			year: entry.year,
+			value: entry.value
+		};
+
+		if (dataset.gender) {
+			point.male = entry.male;
+			point.female = entry.female;
+			if (entry.value > 0) {
+				point.femalePercentage = (entry.female / entry.value * 100).toFixed(1);
+			}
+		}
+
+		if (entry.reporting.size > 0) {
+			point.reportingUnits = entry.reporting.size;
+		}
+
+		// Growth is measured against the previous year with data, which is not always year - 1
+		const previous = years[index - 1];
+		if (previous) {
+			point.previousYear = previous.year;
+			if (previous.value > 0) {
+				point.growthRate = ((entry.value - previous.value) / previous.value * 100).toFixed(1);
+			}
+		}
+
+		return point;
+	});
+
+	if (trend.series.length > 0) {
+		const first = trend.series[0];
+		const last = trend.series[trend.series.length - 1];
+		const span = last.year - first.year;
+
+		trend.summary = {
+			startYear: first.year,
+			endYear: last.year,
+			startValue: first.value,
+			endValue: last.value,
+			absoluteChange: last.value - first.value,
+			yearsWithData: trend.series.length
+		};
+
+		if (first.value > 0) {
+			trend.summary.percentChange = ((last.value - first.value) / first.value * 100).toFixed(1);
+			if (span > 0 && last.value > 0) {
+				trend.summary.cagr = ((Math.pow(last.value / first.value, 1 / span) - 1) * 100).toFixed(1);
+			}
+		}
+	}
+
+	return trend;
+}
+
+/**
+ * Helper: Read a measure from a trend row, or null when it was not reported
+ */
+function getMeasureValue(row, measure, dataset) {
+	const raw = row[measure];
+	if (raw !== undefined && raw !== '') {
+		const num = parseFloat(String(raw).replace(/,/g, ''));
+		if (!isNaN(num)) return num;
+	}
+
+	// Fall back to summing grade columns when the total is blank
+	if (measure === 'total') {
+		const grades = dataset.measures.filter(m => m !== 'total' && row[m] !== undefined && row[m] !== '');
+		if (grades.length > 0) {
+			return grades.reduce((sum, m) => sum + (parseFloat(row[m]) || 0), 0);
+		}
+	}
+
+	return null;
+}
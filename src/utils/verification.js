@@ -0,0 +1,208 @@
+/**
+ * Verification of the figures in model answers against the computed data
+ *
+ * The numbers, percentages and ratios in the answer text and key figures (`data`) are
+ * matched against the metrics and other computed context the model was given, and the
+ * numeric fields of the facilities the answer names or lists. A figure matches a source
+ * value when the value rounds to it at the figure's precision (62.3 supports "62%" and
+ * "62.3%"). Each value has a kind, from its name (or the metric of a ranking value):
+ * percentages (names containing percent, rate, completeness ...) only match percentages,
+ * ratios only ratios, and whole numbers only counts, never a percentage, ratio, average
+ * or index that happens to have the same value. The complements of percentages (100 - x)
+ * and of facility counts (total - withX) count as sources too, since answers often state "x% without".
+ * Integers from 1950 to 2100 are read as years and not checked. Rankings, filter results
+ * and trend series are computed by the worker, so they are sources rather than claims.
+ *
+ * Modes (VERIFICATION_MODE): 'flag' (default) adds a `verification` block to the response,
+ * 'strict' also redacts unverified figures from the text and drops them from `data`,
+ * 'off' skips the check.
+ */
+
+export const VERIFICATION_MODES = ['flag', 'strict', 'off'];
+export const UNVERIFIED = 'unverified';
+export const REDACTED_FIGURE = '[unverified figure]';
+
+// "110,709", "62.3%", "45 percent", "36.8:1"; not digits inside codes such as D01S09
+const FIGURE_PATTERN = /(?<![\w.,])(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\s?%|\s?per ?cent\b|\s?:\s?1\b)?(?![\w]|\.\d)/gi;
+const PERCENT_SOURCE = /percent|rate|completeness|share|current|target|cagr/i;
+const RATIO_SOURCE = /ratio/i;
+const AVERAGE_SOURCE = /Per[A-Z0-9]|Index$|Gap$|^(gap|combinedGap|rank|year|availableYears)$/;
+const FACILITY_COUNT_SOURCE = /^(with|offering)[A-Z]/;
+const ROW_NAME_FIELDS = ['facility_name', 'institution_name', 'school_name'];
+const ROW_FIELDS_SKIPPED = /^(latitude|longitude|altitude|precision|location_code|.*phone.*)$/;
+const YEAR_RANGE = [1950, 2100];
+
+/**
+ * Verification mode from the environment
+ * @param {Object} env - Environment bindings (VERIFICATION_MODE)
+ * @returns {string} 'flag', 'strict' or 'off'
+ */
+export function getVerificationMode(env = {}) {
+	const mode = (env.VERIFICATION_MODE || 'flag').toLowerCase();
+	if (!VERIFICATION_MODES.includes(mode)) {
+		console.warn(`Unknown VERIFICATION_MODE "${env.VERIFICATION_MODE}", using flag`);
+		return 'flag';
+	}
+	return mode;
+}
+
+/**
+ * Pull the figures out of a piece of text
+ * @param {string} text - Text to read
+ * @returns {Array<Object>} Figures {claim, value, kind: 'number'|'percentage'|'ratio', index}
+ */
+export function extractFigures(text) {
+	const figures = [];
+	for (const match of String(text ?? '').matchAll(FIGURE_PATTERN)) {
+		const [claim, whole, decimals = '', suffix = ''] = match;
+		const value = parseFloat(`${whole.replace(/,/g, '')}${decimals}`);
+		const kind = suffix.includes(':') ? 'ratio' : suffix ? 'percentage' : 'number';
+
+		if (kind === 'number' && !decimals && !whole.includes(',') && value >= YEAR_RANGE[0] && value <= YEAR_RANGE[1]) {
+			continue;
+		}
+		figures.push({ claim, value, kind, index: match.index });
+	}
+	return figures;
+}
+
+/**
+ * Check the figures of a model answer against the computed data
+ * @param {Object} response - Validated response (type, text, data, ...)
+ * @param {Object} options - Options
+ * @param {Object} options.sources - Computed values by name, e.g. {metrics, trend, rankings}
+ * @param {Array<Object>} options.rows - Facility rows in scope; only those the answer lists in
+ *   `facilities` or names in its text are sources
+ * @param {string} options.mode - 'flag' or 'strict' (see VERIFICATION_MODES)
+ * @returns {Object} The response with a `verification` block {mode, verified, checked, unverified, claims},
+ *   and in strict mode with unverified figures redacted
+ */
+export function verifyResponse(response, { sources = {}, rows = [], mode = 'flag' } = {}) {
+	if (mode === 'off') return response;
+
+	const candidates = [...collectSources(sources), ...collectRowSources(rows, response)];
+	const check = (figure, field) => {
+		const source = candidates.find(candidate => supports(candidate, figure));
+		return { field, claim: figure.claim.trim(), value: figure.value, kind: figure.kind, source: source ? source.path : UNVERIFIED, index: figure.index };
+	};
+
+	const textClaims = extractFigures(response.text).map(figure => check(figure, 'text'));
+	const dataClaims = Array.isArray(response.data)
+		? response.data.flatMap((item, index) => extractFigures(typeof item?.value === 'number' ? String(item.value) : item?.value)
+			.map(figure => check(figure, `data[${index}].value`)))
+		: [];
+	const claims = [...textClaims, ...dataClaims];
+	const unverified = claims.filter(claim => claim.source === UNVERIFIED);
+
+	const verified = { ...response };
+	if (mode === 'strict' && unverified.length > 0) {
+		// Replace from the end of the text so that earlier positions stay valid
+		verified.text = textClaims
+			.filter(claim => claim.source === UNVERIFIED)
+			.reduceRight((text, claim) => `${text.slice(0, claim.index)}${REDACTED_FIGURE}${text.slice(claim.index + claim.claim.length)}`, response.text);
+		if (dataClaims.length > 0) {
+			const dropped = new Set(unverified.filter(claim => claim.field !== 'text').map(claim => claim.field));
+			verified.data = response.data.filter((item, index) => !dropped.has(`data[${index}].value`));
+		}
+	}
+
+	verified.verification = {
+		mode,
+		verified: unverified.length === 0,
+		checked: claims.length,
+		unverified: unverified.length,
+		claims: claims.map(({ index, ...claim }) => claim)
+	};
+	if (mode === 'strict') verified.verification.redacted = unverified.length;
+
+	return verified;
+}
+
+/**
+ * Helper: Whether a source value supports a figure, at the figure's precision
+ * (whole numbers are counts; numbers with decimals may also be averages)
+ */
+function supports(source, figure) {
+	const decimals = (String(figure.claim).match(/\.(\d+)/)?.[1] || '').length;
+	if (figure.kind === 'number') {
+		if (source.kind !== 'count' && !(decimals > 0 && source.kind === 'average')) return false;
+	} else if (source.kind !== figure.kind) {
+		return false;
+	}
+
+	const tolerance = 0.5 * 10 ** -decimals + 1e-9;
+	return Math.abs(Math.abs(source.value) - figure.value) <= tolerance;
+}
+
+/**
+ * Helper: Every number in the computed sources as {path, value, kind}, with the complements
+ * of percentages and facility counts
+ * A value is named by its key, or for a ranking value and benchmark by the metric ranked on.
+ */
+function collectSources(sources) {
+	const found = [];
+
+	const visit = (value, path, name, total) => {
+		if (value === null || value === undefined) return;
+		const number = toNumber(value);
+		if (number !== null) {
+			const kind = getSourceKind(name);
+			found.push({ path, value: number, kind });
+			if (kind === 'percentage' && number >= 0 && number <= 100) {
+				found.push({ path: `100 - ${path}`, value: 100 - number, kind });
+			} else if (total && FACILITY_COUNT_SOURCE.test(name) && number <= total.value) {
+				found.push({ path: `${total.path} - ${path}`, value: total.value - number, kind: 'count' });
+			}
+			return;
+		}
+		if (Array.isArray(value)) {
+			value.forEach((item, index) => visit(item, `${path}[${index}]`, name, total));
+		} else if (typeof value === 'object') {
+			const ownTotal = typeof value.totalFacilities === 'number'
+				? { path: `${path}.totalFacilities`, value: value.totalFacilities }
+				: total;
+			Object.entries(value).forEach(([key, child]) => {
+				const childName = ['value', 'benchmark'].includes(key) && typeof value.metric === 'string' ? value.metric : key;
+				visit(child, `${path}.${key}`, childName, ownTotal);
+			});
+		}
+	};
+
+	Object.entries(sources).forEach(([name, value]) => visit(value, name, name, null));
+	return found;
+}
+
+/**
+ * Helper: The numeric fields of the facilities an answer lists or names, as {path, value, kind}
+ */
+function collectRowSources(rows, response) {
+	const listed = new Set((response.facilities || []).map(facility => facility.facility_id));
+	const text = String(response.text ?? '').toLowerCase();
+	const named = row => ROW_NAME_FIELDS.some(field => row[field] && text.includes(String(row[field]).toLowerCase()));
+
+	return rows
+		.filter(row => listed.has(row.facility_id) || named(row))
+		.flatMap((row, index) => Object.entries(row)
+			.filter(([field, value]) => typeof value === 'number' && isFinite(value) && !ROW_FIELDS_SKIPPED.test(field))
+			.map(([field, value]) => ({ path: `facilities[${row.facility_id ?? index}].${field}`, value, kind: getSourceKind(field) })));
+}
+
+/**
+ * Helper: Kind of a source value from its name: 'percentage', 'ratio', 'average' (averages,
+ * indices, gaps, ranks and years) or 'count'
+ */
+function getSourceKind(name) {
+	if (RATIO_SOURCE.test(name)) return 'ratio';
+	if (PERCENT_SOURCE.test(name)) return 'percentage';
+	if (AVERAGE_SOURCE.test(name)) return 'average';
+	return 'count';
+}
+
+/**
+ * Helper: A number, or a numeric string such as the "62.3" percentages of the metrics
+ */
+function toNumber(value) {
+	if (typeof value === 'number') return isFinite(value) ? value : null;
+	if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value);
+	return null;
+}
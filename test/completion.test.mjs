@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModelJSON } from '../src/providers/completion.js';
+import { call, setModelReply, modelRequests } from './helpers/worker.mjs';
+
+test('output cut off between members is repaired by dropping the incomplete member', () => {
+	const parsed = parseModelJSON('{"type": "answer", "text": "Bbaale has 40 schools.", "data": [{"label": "Schools", "value": "40"}, {"label": "Tea');
+
+	assert.deepEqual(parsed, { type: 'answer', text: 'Bbaale has 40 schools.', data: [{ label: 'Schools', value: '40' }] });
+});
+
+test('output cut off inside a string is not closed up', () => {
+	const parsed = parseModelJSON('{"type": "answer", "text": "Bbaale has 40 schools, of which');
+
+	assert.equal(parsed.text, undefined);
+});
+
+test('an answer cut off inside its text is asked for again', async () => {
+	setModelReply(() => (modelRequests.length === 1
+		? '{"type": "answer", "text": "Galiraya has 26 schools, of wh'
+		: JSON.stringify({ type: 'answer', text: 'Galiraya has schools.' })));
+	const { json } = await call('/query', { query: 'Describe the schools in Galiraya', location: { district: 'D01', subcounty: 'D01S12' }, category: 'education' });
+
+	assert.equal(modelRequests.length, 2);
+	assert.equal(json.text, 'Galiraya has schools.');
+});
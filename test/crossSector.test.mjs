@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, modelRequests, setModelReply } from './helpers/worker.mjs';
+
+test('questions about both sectors rank units on both', async () => {
+	setModelReply({ type: 'comparison', text: 'Galiraya is weak in both sectors.' });
+	const { json } = await call('/query', { query: 'Which subcounties are weak on both schools with water and health centres with water?', location: { district: 'D01' }, category: ['health', 'education'] });
+
+	assert.equal(json.type, 'comparison');
+	assert.deepEqual({ health: json.rankingMetric.health.key, education: json.rankingMetric.education.key, level: json.rankingMetric.level }, { health: 'waterPercentage', education: 'waterPercentage', level: 'subcounty' });
+	json.rankings.forEach(unit => {
+		assert.match(unit.code, /^D01S\d+$/);
+		assert.deepEqual(Object.keys(unit.sectors).sort(), ['education', 'health']);
+		assert.equal(unit.weakSectors, Object.values(unit.sectors).filter(sector => sector.weak).length);
+	});
+	// Units weak in more sectors come first, then those with the larger combined gap
+	const ranked = json.rankings.filter(unit => unit.rank !== null);
+	ranked.slice(1).forEach((unit, index) => {
+		const before = ranked[index];
+		assert.ok(before.weakSectors > unit.weakSectors || (before.weakSectors === unit.weakSectors && before.combinedGap >= unit.combinedGap));
+	});
+
+	const prompt = modelRequests[0].messages.map(message => message.content).join('\n');
+	assert.match(prompt, /Sector Alignment by subcounty/);
+	assert.match(prompt, /Computed Cross-Sector Rankings/);
+	assert.deepEqual(json.sources.map(source => source.category), ['health', 'education']);
+});
+
+test('sector values match each register on its own', async () => {
+	setModelReply({ type: 'comparison', text: 'Water access differs.' });
+	const { json } = await call('/query', { query: 'Which subcounties are weak on both schools with water and health centres with water?', location: { district: 'D01' }, category: 'all' });
+	const galiraya = json.rankings.find(unit => unit.code === 'D01S12');
+
+	for (const sector of ['health', 'education']) {
+		const { json: metrics } = await call(`/metrics?category=${sector}&location=D01S12`);
+		assert.equal(galiraya.sectors[sector].value, Number(metrics.metrics.infrastructure.waterPercentage));
+		assert.equal(galiraya.sectors[sector].facilityCount, metrics.metrics.totalFacilities);
+	}
+});
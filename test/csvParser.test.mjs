@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createCSVParser, parseCSVStream } from '../src/utils/csvParser.js';
+
+const parse = text => {
+	const parser = createCSVParser();
+	parser.write(text);
+	return parser.end();
+};
+
+// A byte stream cut into pieces at the given byte offsets
+const streamOf = (text, cuts) => {
+	const bytes = new TextEncoder().encode(text);
+	const bounds = [0, ...cuts, bytes.length];
+	return new ReadableStream({
+		start(controller) {
+			bounds.slice(1).forEach((end, index) => controller.enqueue(bytes.slice(bounds[index], end)));
+			controller.close();
+		}
+	});
+};
+
+test('quoted fields keep commas, line breaks and doubled quotes', () => {
+	const { rows } = parse('name,notes\r\n"Bbaale, HCIII","Roof leaks\r\nin the ward"\n"Mpongo","The ""new"" block"\n');
+
+	assert.deepEqual(rows, [
+		{ name: 'Bbaale, HCIII', notes: 'Roof leaks\r\nin the ward' },
+		{ name: 'Mpongo', notes: 'The "new" block' }
+	]);
+});
+
+test('a leading byte order mark is not part of the first header', () => {
+	const { headers, rows } = parse('\uFEFFdistrict,year\nKayunga,2020\n');
+
+	assert.deepEqual(headers, ['district', 'year']);
+	assert.equal(rows[0].district, 'Kayunga');
+});
+
+test('blank lines are skipped, short rows padded and extra cells dropped', () => {
+	const { rows } = parse('a,b\n\n1\n2,3,4');
+
+	assert.deepEqual(rows, [{ a: '1', b: '' }, { a: '2', b: '3' }]);
+});
+
+test('column types are the narrowest that fit every value', () => {
+	const { types } = parse('flag,count,share,name,blank\nYes,3,1.5,A,\nno,-2,7,B,\n');
+
+	assert.deepEqual(types, { flag: 'boolean', count: 'integer', share: 'number', name: 'string', blank: 'string' });
+});
+
+test('the trend files have their quoted headers unquoted', async () => {
+	// The enrolment file also starts with a byte order mark
+	for (const file of ['learners_enrolment_primary.csv', 'ple_analysis.csv']) {
+		const text = await readFile(new URL(`../data/trends/${file}`, import.meta.url), 'utf8');
+		const { headers, rows } = parse(text);
+
+		assert.equal(headers[0], 'district');
+		assert.ok(headers.includes('location_code'));
+		assert.ok(rows.length > 0);
+		assert.match(rows[0].location_code, /^D\d+/);
+	}
+});
+
+test('streams give the same rows wherever the chunks are cut', async () => {
+	const text = '\uFEFFname,notes\r\n"Kisoga, P/S","Said ""é""\r\nthen left"\r\nNazigo,ok\r\n';
+	const expected = parse(text);
+	const length = new TextEncoder().encode(text).length;
+
+	// Every single cut, which splits the BOM, the CRLFs, the doubled quotes and the two-byte é
+	for (let cut = 1; cut < length; cut++) {
+		assert.deepEqual(await parseCSVStream(streamOf(text, [cut])), expected, `cut at byte ${cut}`);
+	}
+	assert.deepEqual(await parseCSVStream(streamOf(text, [...Array(length - 1).keys()].map(i => i + 1))), expected);
+	assert.equal(expected.rows[0].notes, 'Said "é"\r\nthen left');
+});
+
+test('rows go to onRow instead of being collected', async () => {
+	const seen = [];
+	const { rows, headers } = await parseCSVStream(streamOf('a\n1\n2\n', [3]), { onRow: row => seen.push(row) });
+
+	assert.deepEqual(headers, ['a']);
+	assert.deepEqual(rows, []);
+	assert.deepEqual(seen, [{ a: '1' }, { a: '2' }]);
+});
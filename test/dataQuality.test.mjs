@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, env } from './helpers/worker.mjs';
+import { loadLocations } from '../src/utils/dataLoader.js';
+import { normaliseFacilityRows } from '../src/utils/facilitySchema.js';
+import { checkDataQuality, getCompletenessCaveats } from '../src/utils/dataQuality.js';
+
+const locations = await loadLocations(env);
+
+test('each rule flags the facilities breaking it', () => {
+	const load = normaliseFacilityRows([
+		{ facility_id: 'a', institution_name: 'Good P/S', institution_type: 'Primary', ownership: 'Government', location_code: 'D01S09P08V01', latitude: '1.1', longitude: '32.8', total_learners: '100', boys_count: '40', girls_count: '60' },
+		{ facility_id: 'b', institution_name: 'Twin P/S', institution_type: 'Primary', ownership: 'Church', location_code: 'D01S99', latitude: '', longitude: '32.8', total_learners: '100', boys_count: '40', girls_count: '50' },
+		{ facility_id: 'b', institution_name: '', institution_type: 'Primary', ownership: 'Private', location_code: 'D01S09', latitude: '32.8', longitude: '1.1', total_learners: 'lots', boys_count: '1', girls_count: '1' }
+	], 'education');
+	const report = checkDataQuality(load.rows, 'education', locations, load);
+
+	assert.equal(report.recordCount, 3);
+	assert.deepEqual(report.facilities.map(facility => facility.facility_id), ['b', 'b']);
+	const rules = index => report.facilities[index].violations.map(violation => violation.rule).sort();
+	assert.deepEqual(rules(0), ['duplicate_facility_id', 'learners_total_mismatch', 'missing_coordinates', 'unknown_location_code', 'unlisted_value']);
+	assert.deepEqual(rules(1), ['coordinates_outside_uganda', 'duplicate_facility_id', 'missing_required', 'unreadable_value']);
+	assert.equal(report.rules.duplicate_facility_id, 2);
+	assert.deepEqual(report.completeness.institution_name, { filled: 2, percentage: '66.7' });
+});
+
+test('caveats name the figures that rest on poorly recorded fields', () => {
+	const facilities = [{ staff_midwives: 2 }, { staff_midwives: null }, { staff_midwives: null }, { staff_midwives: 1 }, { staff_midwives: 3 }];
+	const caveats = getCompletenessCaveats(facilities, { staff_midwives: ['workforce.totals.midwives'], facility_level: ['byLevel'] });
+
+	// facility_level is never recorded here, so it comes first
+	assert.deepEqual(caveats.map(caveat => [caveat.field, caveat.completeness]), [['facility_level', '0.0'], ['staff_midwives', '60.0']]);
+	assert.equal(caveats[1].note, 'staff_midwives is recorded for 3 of 5 facilities');
+	assert.deepEqual(getCompletenessCaveats(facilities.slice(0, 1), { staff_midwives: [] }), []);
+});
+
+test('the report endpoint covers a register, a location and one rule', async () => {
+	const { status, json } = await call('/data-quality?category=education');
+	assert.equal(status, 200);
+	assert.equal(json.recordCount, 386);
+	assert.equal(json.completeness.facility_id.percentage, '100.0');
+
+	const { json: located } = await call('/data-quality?category=health&location=D01&rule=missing_coordinates');
+	assert.equal(located.recordCount, 34);
+	located.facilities.forEach(facility => {
+		assert.match(facility.location_code, /^D01/);
+		assert.deepEqual(facility.violations.map(violation => violation.rule), ['missing_coordinates']);
+	});
+
+	const { json: all } = await call('/data-quality?category=all');
+	assert.deepEqual(Object.keys(all.reports).sort(), ['education', 'health']);
+});
+
+test('metrics carry caveats for poorly recorded fields', async () => {
+	const { json } = await call('/metrics?category=health&location=D01');
+	const electricity = json.metrics.caveats.find(caveat => caveat.field === 'has_electricity');
+
+	assert.equal(electricity.completeness, '0.0');
+	assert.deepEqual(electricity.affects, ['infrastructure.electricityPercentage']);
+});
+
+test('bad report requests are rejected', async () => {
+	assert.equal((await call('/data-quality?category=ple')).status, 400);
+	assert.equal((await call('/data-quality?category=health&rule=typos')).status, 400);
+	assert.equal((await call('/data-quality?category=health&location=D07')).status, 404);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, env, modelRequests, setModelReply } from './helpers/worker.mjs';
+import { loadLocations } from '../src/utils/dataLoader.js';
+import { resolveEntities, inferCategory, similarity } from '../src/utils/entityResolver.js';
+
+const locations = await loadLocations(env);
+
+test('misspelt and abbreviated place names resolve', () => {
+	assert.deepEqual(resolveEntities('Schools in Bbale', locations).location, { district: 'D01', subcounty: 'D01S09' });
+	assert.equal(resolveEntities('health centres in Kangulumira TC', locations).place, 'Kangulumira Town Council');
+	assert.equal(resolveEntities('Nazigo T/C clinics', locations).location.subcounty, 'D01S03');
+	assert.equal(resolveEntities('What is the weather', locations).location, null);
+});
+
+test('a name at several levels is the higher level unless the level is named', () => {
+	assert.deepEqual(resolveEntities('Kayunga schools', locations).location, { district: 'D01' });
+	assert.deepEqual(resolveEntities('exam results in Kayunga subcounty', locations).location, { district: 'D01', subcounty: 'D01S06' });
+});
+
+test('several places resolve to the smallest unit containing them', () => {
+	assert.deepEqual(resolveEntities('compare Bbaale and Galiraya', locations).location, { district: 'D01' });
+});
+
+test('equal matches are ambiguous unless another place narrows them down', () => {
+	const result = resolveEntities('schools in Kasana', locations);
+	assert.equal(result.ambiguous, true);
+	assert.deepEqual(result.candidates.map(candidate => candidate.code), ['D01S07P01', 'D01S08P03']);
+	assert.equal(result.candidates[1].label, 'Kasana (parish, Busaana, Kayunga)');
+
+	assert.deepEqual(resolveEntities('schools in Kasana, Busaana subcounty', locations).location, { district: 'D01', subcounty: 'D01S08', parish: 'D01S08P03' });
+	// Places in different districts cannot be answered together
+	assert.equal(resolveEntities('Bbaale and Pakanyi', locations).ambiguous, true);
+});
+
+test('the category comes from the vocabulary', () => {
+	assert.equal(inferCategory('How many HCIIIs have maternity wards?'), 'health');
+	assert.equal(inferCategory('pupil teacher ratio'), 'education');
+	assert.equal(inferCategory('PLE pass rates'), 'ple');
+	assert.equal(inferCategory('schools and health centres with water'), 'all');
+	assert.equal(inferCategory('What is the weather'), null);
+	assert.equal(similarity('bbale', 'bbaale'), 1 - 1 / 6);
+});
+
+test('queries without a location or category are answered for the place and sector they name', async () => {
+	setModelReply({ type: 'answer', text: 'Bbaale schools.' });
+	const { json } = await call('/query', { query: 'Describe the schools in Bbale' });
+
+	assert.deepEqual(json.resolved, { location: { district: 'D01', subcounty: 'D01S09' }, category: 'education', inferred: ['location', 'category'], place: 'Bbaale' });
+	assert.match(modelRequests[0].messages.map(message => message.content).join('\n'), /Bbaale/);
+});
+
+test('ambiguous place names get a clarification listing the candidates', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const { json } = await call('/query', { query: 'How many schools in Kasana have water?' });
+
+	assert.equal(modelRequests.length, 0);
+	assert.equal(json.type, 'clarification');
+	assert.deepEqual(json.suggestions, ['Kasana (parish, Busaana Town Council, Kayunga)', 'Kasana (parish, Busaana, Kayunga)']);
+	assert.deepEqual(json.candidates.map(candidate => candidate.code), ['D01S07P01', 'D01S08P03']);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers/worker.mjs';
+
+const list = async query => (await call(`/facilities?${query}`)).json;
+
+test('pages cover every facility once, sorted by name', async () => {
+	const first = await list('category=education&location=D01S09&pageSize=5');
+	assert.equal(first.resultCount, 12);
+	assert.deepEqual(first.pagination, { page: 1, pageSize: 5, totalPages: 3, total: 12 });
+
+	const pages = [first, await list('category=education&location=D01S09&pageSize=5&page=2'), await list('category=education&location=D01S09&pageSize=5&page=3')];
+	const names = pages.flatMap(page => page.facilities.map(facility => facility.name));
+	assert.equal(names.length, 12);
+	assert.equal(new Set(pages.flatMap(page => page.facilities.map(facility => facility.facility_id))).size, 12);
+	assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+	pages.forEach(page => page.facilities.forEach(facility => assert.match(facility.location_code, /^D01S09/)));
+});
+
+test('numeric columns sort as numbers with blanks last', async () => {
+	const { facilities } = await list('category=education&location=D01&sort=-total_learners&fields=total_learners&pageSize=100');
+	const values = facilities.map(facility => facility.total_learners);
+	const known = values.filter(value => value !== null);
+
+	assert.deepEqual(known, [...known].sort((a, b) => b - a));
+	assert.deepEqual(values.slice(known.length), values.filter(value => value === null));
+});
+
+test('fields project the columns and q and filter narrow the list', async () => {
+	const projected = await list('category=education&location=D01S09&fields=institution_name,total_learners&pageSize=2');
+	projected.facilities.forEach(facility => assert.deepEqual(Object.keys(facility).sort(), ['facility_id', 'href', 'institution_name', 'total_learners']));
+
+	const named = await list('category=education&location=D01&q=junior');
+	assert.ok(named.resultCount > 0);
+	named.facilities.forEach(facility => assert.match(facility.name, /junior/i));
+
+	const filter = encodeURIComponent(JSON.stringify({ field: 'total_learners', operator: 'gte', value: 500 }));
+	const filtered = await list(`category=education&location=D01&filter=${filter}&fields=total_learners&pageSize=100`);
+	assert.ok(filtered.resultCount > 0);
+	filtered.facilities.forEach(facility => assert.ok(facility.total_learners >= 500));
+});
+
+test('a facility is returned with its indicators and location', async () => {
+	const { facilities } = await list('category=education&location=D01S09&pageSize=1');
+	const { status, json } = await call(facilities[0].href);
+
+	assert.equal(status, 200);
+	assert.equal(json.facility.facility_id, facilities[0].facility_id);
+	assert.equal(json.location.code, facilities[0].location_code);
+	assert.deepEqual(json.location.ancestors.slice(0, 2).map(ancestor => ancestor.code), ['D01', 'D01S09']);
+	assert.equal(json.indicators.pupilTeacherRatio.benchmark, 40);
+	const ratio = json.facility.total_learners / json.facility.total_teachers;
+	assert.equal(json.indicators.pupilTeacherRatio.value, ratio.toFixed(1));
+});
+
+test('bad facility requests are rejected', async () => {
+	assert.equal((await call('/facilities?category=roads')).status, 400);
+	assert.equal((await call('/facilities?category=education&fields=beds')).status, 400);
+	assert.equal((await call('/facilities?category=education&sort=beds')).status, 400);
+	assert.equal((await call('/facilities?category=education&filter=%7Bnot-json')).status, 400);
+	assert.equal((await call('/facilities?category=education&location=D07')).status, 404);
+	assert.equal((await call('/facilities/no-such-school')).status, 404);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normaliseFacilityRows, describeFields, coerceValue } from '../src/utils/facilitySchema.js';
+
+test('cells are coerced to their field types', () => {
+	assert.equal(coerceValue('Yes, With soap and water available', { type: 'boolean' }), true);
+	assert.equal(coerceValue('NO', { type: 'boolean' }), false);
+	assert.equal(coerceValue('Sometimes', { type: 'boolean' }), null);
+	assert.equal(coerceValue('12.0', { type: 'integer' }), 12);
+	assert.equal(coerceValue('1,204', { type: 'integer' }), 1204);
+	assert.equal(coerceValue('91.5', { type: 'coordinate', min: -90, max: 90 }), null);
+	assert.equal(coerceValue('hc iii', { type: 'enum', values: ['HCII', 'HCIII'] }), 'HCIII');
+	assert.equal(coerceValue('Mission', { type: 'enum', values: ['Government'] }), 'Mission');
+	assert.equal(coerceValue('  ', { type: 'string' }), null);
+});
+
+test('columns are read under any of their spellings and reported when unknown or missing', () => {
+	const { rows, unknownColumns, missingColumns, unreadableCells } = normaliseFacilityRows([
+		{ facility_id: 'a', school_name: 'Bbaale P/S', Level: 'primary', Water: 'Yes', total_learners: '120', boys_count: '', classrooms_note: 'new block' },
+		{ facility_id: 'b', school_name: 'Kisoga P/S', Level: 'Primary', Water: 'no', total_learners: 'many', boys_count: '40', classrooms_note: '' }
+	], 'education');
+
+	assert.equal(rows[0].institution_name, 'Bbaale P/S');
+	assert.equal(rows[0].institution_type, 'Primary');
+	assert.equal(rows[0].water_available, true);
+	assert.equal(rows[1].water_available, false);
+	assert.equal(rows[0].total_learners, 120);
+	assert.equal(rows[0].boys_count, null);
+	assert.equal(rows[0].classrooms_note, 'new block');
+	assert.equal(rows[1].classrooms_note, null);
+
+	assert.deepEqual(unknownColumns, ['classrooms_note']);
+	assert.ok(missingColumns.includes('location_code'));
+	assert.ok(!missingColumns.includes('total_classrooms'));
+	assert.deepEqual(unreadableCells, [{ row: 1, field: 'total_learners', value: 'many' }]);
+});
+
+test('derived fields only fill gaps', () => {
+	const { rows } = normaliseFacilityRows([
+		{ facility_id: 'a', permanent_classrooms: '4', semi_permanent_classrooms: '2', temporary_classrooms: '' },
+		{ facility_id: 'b', permanent_classrooms: '4', total_classrooms: '9' }
+	], 'education');
+	assert.deepEqual(rows.map(row => row.total_classrooms), [6, 9]);
+
+	const { rows: health } = normaliseFacilityRows([
+		{ facility_id: 'c', power_sources: 'No Power' },
+		{ facility_id: 'd', power_sources: 'national grid' },
+		{ facility_id: 'e', power_sources: '' }
+	], 'health');
+	assert.deepEqual(health.map(row => row.has_electricity), [false, true, null]);
+});
+
+test('field types are described for the filter schema', () => {
+	const { types, values } = describeFields('health', ['facility_level', 'has_electricity', 'latitude', 'notes']);
+
+	assert.deepEqual(types, { facility_level: 'enum', has_electricity: 'boolean', latitude: 'coordinate', notes: 'string' });
+	assert.deepEqual(values, { facility_level: ['HCII', 'HCIII', 'HCIV', 'Hospital', 'Clinic'] });
+	assert.equal(describeFields('ple', ['year']), null);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFilter, applyFilter } from '../src/utils/filterEngine.js';
+
+// A typed register, shaped like getDataSchema() on the health facilities
+const schema = {
+	fields: ['name', 'facility_level', 'ownership', 'electricity_available', 'staff_midwives', 'notes'],
+	types: { name: 'string', facility_level: 'enum', ownership: 'enum', electricity_available: 'boolean', staff_midwives: 'integer', notes: 'string' },
+	values: { facility_level: ['HCII', 'HCIII', 'HCIV', 'Hospital', 'Clinic'], ownership: ['Government', 'Private', 'PNFP'] }
+};
+
+const rows = [
+	{ name: 'Bbaale HCIV', facility_level: 'HCIV', ownership: 'Government', electricity_available: true, staff_midwives: 9, notes: 'Solar' },
+	{ name: 'Galiraya HCIII', facility_level: 'HCIII', ownership: 'Government', electricity_available: false, staff_midwives: 2, notes: null },
+	{ name: 'Kitimbwa HCII', facility_level: 'HCII', ownership: 'PNFP', electricity_available: null, staff_midwives: 0, notes: '' },
+	{ name: 'Nazigo Clinic', facility_level: 'Clinic', ownership: 'Private', electricity_available: true, staff_midwives: 10, notes: 'Grid power' }
+];
+
+const names = filter => {
+	const result = validateFilter(filter, schema);
+	assert.deepEqual(result.errors, []);
+	return applyFilter(rows, result.filter).map(row => row.name);
+};
+
+test('unknown fields and operators are reported with their path', () => {
+	const result = validateFilter({ logic: 'and', conditions: [{ field: 'beds', operator: 'eq', value: 1 }, { field: 'ownership', operator: 'like', value: 'Gov' }] }, schema);
+
+	assert.equal(result.valid, false);
+	assert.deepEqual(result.errors, ['filters.conditions[0].field: unknown field "beds"', 'filters.conditions[1].operator: unknown operator "like"']);
+});
+
+test('values are checked against the field type', () => {
+	const result = validateFilter({ logic: 'and', conditions: [
+		{ field: 'ownership', operator: 'eq', value: 'Church' },
+		{ field: 'notes', operator: 'gt', value: 3 },
+		{ field: 'staff_midwives', operator: 'in', value: 2 }
+	] }, schema);
+
+	assert.deepEqual(result.errors, [
+		'filters.conditions[0].value: "Church" is not valid for ownership (expected one of Government, Private, PNFP)',
+		'filters.conditions[1].operator: "gt" needs a numeric field but "notes" is string',
+		'filters.conditions[2].value: "in" needs an array of values'
+	]);
+});
+
+test('values are converted to the field type before comparing', () => {
+	const { filter } = validateFilter({ logic: 'and', conditions: [
+		{ field: 'electricity_available', operator: 'eq', value: 'No' },
+		{ field: 'facility_level', operator: 'eq', value: 'hc iii' },
+		{ field: 'staff_midwives', operator: 'gte', value: '2' }
+	] }, schema);
+
+	assert.deepEqual(filter.conditions.map(condition => condition.value), [false, 'HCIII', 2]);
+	assert.deepEqual(applyFilter(rows, filter).map(row => row.name), ['Galiraya HCIII']);
+	// Numbers compare as numbers, not text ("10" < "9")
+	assert.deepEqual(names({ field: 'staff_midwives', operator: 'gt', value: '8' }), ['Bbaale HCIV', 'Nazigo Clinic']);
+});
+
+test('in and not_in match any of a list of values', () => {
+	assert.deepEqual(names({ field: 'facility_level', operator: 'in', value: ['hciv', 'Clinic'] }), ['Bbaale HCIV', 'Nazigo Clinic']);
+	assert.deepEqual(names({ field: 'ownership', operator: 'not_in', value: ['Government'] }), ['Kitimbwa HCII', 'Nazigo Clinic']);
+});
+
+test('blank cells only match is_empty', () => {
+	assert.deepEqual(names({ field: 'notes', operator: 'is_empty' }), ['Galiraya HCIII', 'Kitimbwa HCII']);
+	assert.deepEqual(names({ field: 'notes', operator: 'not_empty' }), ['Bbaale HCIV', 'Nazigo Clinic']);
+	// An unknown electricity record is neither true nor false
+	assert.deepEqual(names({ field: 'electricity_available', operator: 'neq', value: true }), ['Galiraya HCIII']);
+});
+
+test('and and or groups nest', () => {
+	assert.deepEqual(names({ logic: 'or', conditions: [
+		{ field: 'facility_level', operator: 'eq', value: 'Clinic' },
+		{ logic: 'and', conditions: [{ field: 'ownership', operator: 'eq', value: 'Government' }, { field: 'electricity_available', operator: 'eq', value: false }] }
+	] }), ['Galiraya HCIII', 'Nazigo Clinic']);
+});
+
+test('flat objects become an and group of eq and in conditions', () => {
+	const { filter } = validateFilter({ ownership: 'Government', facility_level: ['HCIII', 'HCIV'] }, schema);
+
+	assert.deepEqual(filter, { logic: 'and', conditions: [
+		{ field: 'ownership', operator: 'eq', value: 'Government' },
+		{ field: 'facility_level', operator: 'in', value: ['HCIII', 'HCIV'] }
+	] });
+});
+
+test('groups nested too deeply are rejected', () => {
+	const deep = { logic: 'and', conditions: [{ logic: 'and', conditions: [{ logic: 'and', conditions: [{ logic: 'and', conditions: [{ field: 'name', value: 'x' }] }] }] }] };
+	const result = validateFilter(deep, schema);
+
+	assert.equal(result.valid, false);
+	assert.match(result.errors[0], /nested at most 3 levels deep/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, setModelReply, modelRequests } from './helpers/worker.mjs';
+
+const ask = query => call('/query', { query, location: { district: 'D01' }, category: 'education' });
+
+// Runs first, while no rows are loaded yet
+test('distance questions do not change the rows other endpoints load for the district', async () => {
+	await call('/query', { query: 'Nearest 3 HCIIIs to Bbaale', location: { district: 'D01' }, category: 'health' });
+
+	const { json: metrics } = await call('/metrics?category=education&location=D01');
+	assert.equal(metrics.metrics.totalFacilities, 292);
+
+	const { json: listed } = await call('/facilities?category=education&location=D01&pageSize=100');
+	assert.equal(listed.resultCount, 292);
+	listed.facilities.forEach(facility => assert.match(facility.location_code, /^D01/));
+});
+
+test('distance questions resolve abbreviated place names', async () => {
+	const { json } = await ask('Which schools are within 3 km of Kangulumira TC?');
+
+	assert.equal(json.type, 'filter');
+	assert.equal(json.spatial.place.name, 'Kangulumira Town Council');
+	assert.equal(json.spatial.place.type, 'subcounty');
+});
+
+test('distance questions resolve misspelt place names', async () => {
+	const { json } = await ask('Nearest 5 schools to Bbale');
+
+	assert.equal(json.type, 'filter');
+	assert.equal(json.spatial.place.name, 'Bbaale');
+	assert.equal(json.facilities.length, 5);
+});
+
+test('distance questions about an unknown place ask which place is meant', async () => {
+	setModelReply({ type: 'answer', text: 'should not be asked' });
+	const { json } = await ask('Which schools are within 3 km of Zanzibar?');
+
+	assert.equal(json.type, 'clarification');
+	assert.match(json.text, /"zanzibar"/);
+	assert.deepEqual(json.sources, []);
+	assert.equal(modelRequests.length, 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Test helpers: runs the worker in Node with the data files served from the repo,
+ * an in-memory cache and the OpenAI API answered by setModelReply()
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const ROOT = new URL('../../', import.meta.url);
+
+export const env = {
+	OPENAI_API_KEY: 'sk-test',
+	ASSETS: {
+		async fetch(request) {
+			try {
+				return new Response(await readFile(new URL(`.${new URL(request.url).pathname}`, ROOT), 'utf8'));
+			} catch {
+				return new Response('Not found', { status: 404 });
+			}
+		}
+	}
+};
+
+const cache = new Map();
+const cacheKey = key => (typeof key === 'string' ? key : key.url);
+globalThis.caches = {
+	default: {
+		async match(key) {
+			return cache.get(cacheKey(key))?.clone();
+		},
+		async put(key, response) {
+			cache.set(cacheKey(key), response);
+		}
+	}
+};
+
+let reply = { type: 'answer', text: 'ok' };
+export const modelRequests = [];
+
+/**
+ * Set what the model answers: an object (sent as JSON), a string, or a function of the request body
+ * @param {Object|string|Function} value - Reply
+ */
+export function setModelReply(value) {
+	reply = value;
+	modelRequests.length = 0;
+}
+
+globalThis.fetch = async (input, init) => {
+	const url = typeof input === 'string' ? input : input.url;
+	if (!url.includes('api.openai.com')) throw new Error(`Network disabled in tests: ${url}`);
+
+	const body = JSON.parse(init.body);
+	modelRequests.push(body);
+	const content = typeof reply === 'function' ? reply(body) : typeof reply === 'string' ? reply : JSON.stringify(reply);
+	const usage = { total_tokens: 10, prompt_tokens: 5, completion_tokens: 5 };
+
+	if (body.stream) {
+		const chunk = choices => `data: ${JSON.stringify({ id: 'test', object: 'chat.completion.chunk', created: 0, model: body.model, choices })}\n\n`;
+		const lines = (content.match(/[\s\S]{1,7}/g) || []).map(part => chunk([{ index: 0, delta: { content: part }, finish_reason: null }]));
+		lines.push(`data: ${JSON.stringify({ id: 'test', object: 'chat.completion.chunk', created: 0, model: body.model, choices: [], usage })}\n\n`, 'data: [DONE]\n\n');
+		return new Response(lines.join(''), { headers: { 'content-type': 'text/event-stream' } });
+	}
+
+	const completion = { id: 'test', object: 'chat.completion', created: 0, model: body.model, choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }], usage };
+	return new Response(JSON.stringify(completion), { headers: { 'content-type': 'application/json' } });
+};
+
+const { default: worker } = await import('../../src/index.js');
+
+/**
+ * Send a request to the worker
+ * @param {string} path - Path and query string
+ * @param {Object} body - JSON body (POST), or null for GET
+ * @param {Object} overrides - Environment bindings to add
+ * @returns {Promise<Object>} {status, headers, json, text}
+ */
+export async function call(path, body = null, overrides = {}) {
+	const request = new Request(`http://localhost${path}`, {
+		method: body ? 'POST' : 'GET',
+		headers: { 'content-type': 'application/json' },
+		body: body ? JSON.stringify(body) : undefined
+	});
+	const response = await worker.fetch(request, { ...env, ...overrides }, { waitUntil() {} });
+	const text = await response.text();
+	let json = null;
+	try {
+		json = JSON.parse(text);
+	} catch {
+		// Event streams and errors from outside the worker are not JSON
+	}
+	return { status: response.status, headers: response.headers, json, text };
+}
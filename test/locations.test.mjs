@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers/worker.mjs';
+
+test('the tree lists the districts and can be cut to one branch and depth', async () => {
+	const { json: full } = await call('/locations');
+	assert.deepEqual(full.locations.map(district => [district.code, district.name]), [['D01', 'Kayunga'], ['D02', 'Masindi']]);
+	full.locations.forEach(district => assert.equal(district.childCount, district.children.length));
+
+	const { json: branch } = await call('/locations?root=D01S09&depth=1');
+	assert.equal(branch.locations.length, 1);
+	assert.equal(branch.locations[0].name, 'Bbaale');
+	assert.ok(branch.locations[0].children.some(parish => parish.childCount > 0));
+	branch.locations[0].children.forEach(parish => {
+		assert.match(parish.code, /^D01S09P\d+$/);
+		// Children beyond the depth are left out but still counted
+		if (parish.childCount) assert.deepEqual(parish.children, []);
+		else assert.equal(parish.children, undefined);
+	});
+});
+
+test('one location comes with its ancestors and children', async () => {
+	const { status, json } = await call('/locations/D01S09P08');
+
+	assert.equal(status, 200);
+	assert.equal(json.name, 'Bbaale East');
+	assert.deepEqual(json.ancestors, [{ type: 'district', code: 'D01', name: 'Kayunga' }, { type: 'subcounty', code: 'D01S09', name: 'Bbaale' }]);
+	assert.deepEqual(json.children.map(child => child.code), ['D01S09P08V01']);
+});
+
+test('search ranks name starts first and tolerates misspellings', async () => {
+	const { json } = await call('/locations/search?q=bbal');
+	assert.equal(json.results[0].code, 'D01S09');
+	json.results.slice(1).forEach((result, index) => assert.ok(json.results[index].score >= result.score));
+
+	const { json: misspelt } = await call('/locations/search?q=galiraia&level=subcounty');
+	assert.deepEqual(misspelt.results.map(result => result.code), ['D01S12']);
+
+	const { json: within } = await call('/locations/search?q=ka&within=D02&limit=3');
+	assert.ok(within.results.length <= 3);
+	within.results.forEach(result => assert.match(result.code, /^D02/));
+});
+
+test('unknown codes are 404 and malformed parameters 400', async () => {
+	assert.equal((await call('/locations/D09')).status, 404);
+	assert.equal((await call('/locations/Kayunga')).status, 400);
+	assert.equal((await call('/locations?depth=-1')).status, 400);
+	assert.equal((await call('/locations/search?q=b')).status, 400);
+	assert.equal((await call('/locations/search?q=bbal&level=county')).status, 400);
+	const { json } = await call('/locations/D09S01');
+	assert.deepEqual(json, { error: 'Location "D09S01" not found' });
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers/worker.mjs';
+
+test('health coverage rounds the facilities required up', async () => {
+	const { status, json } = await call('/metrics?category=health&location=D01');
+
+	assert.equal(status, 200);
+	const { population, byLevel } = json.metrics.coverage;
+	assert.equal(population, 368062);
+	// 368,062 people at one HCIII per 20,000 need 19 HCIIIs, not 18
+	assert.equal(byLevel.HCIII.required, 19);
+	assert.equal(byLevel.HCIII.shortfall, Math.max(19 - byLevel.HCIII.facilities, 0));
+});
+
+test('subcounties without a census figure have no coverage', async () => {
+	const { json } = await call('/metrics?category=health&location=D01S12');
+
+	assert.equal(json.population, null);
+	assert.equal(json.metrics.coverage.population, null);
+});
+
+test('metrics are returned for any level and can be cached', async () => {
+	const { status, headers, json } = await call('/metrics?category=education&location=D01');
+
+	assert.equal(status, 200);
+	assert.match(headers.get('cache-control'), /^public, max-age=\d+$/);
+	assert.equal(json.location.code, 'D01');
+	assert.equal(json.metrics.totalFacilities, 292);
+	['infrastructure', 'enrollment', 'ratios', 'gaps', 'benchmarks'].forEach(section => assert.ok(json.metrics[section], section));
+
+	const { json: parish } = await call('/metrics?category=education&location=D01S09P08');
+	assert.deepEqual(parish.location.ancestors.map(ancestor => ancestor.code), ['D01', 'D01S09']);
+	assert.ok(parish.metrics.totalFacilities < json.metrics.totalFacilities);
+
+	const { json: all } = await call('/metrics?category=all&location=D01');
+	assert.equal(all.metrics.education.totalFacilities, 292);
+	assert.equal(all.population, 368062);
+	assert.ok(all.metrics.health.coverage);
+});
+
+test('breakdowns list every unit below the location', async () => {
+	const { json: district } = await call('/metrics?category=education&location=D01');
+	const { status, json } = await call('/metrics/breakdown?category=education&location=D01');
+
+	assert.equal(status, 200);
+	assert.ok(json.units.length > 0);
+	json.units.forEach(unit => {
+		assert.equal(unit.level, 'subcounty');
+		assert.equal(unit.metrics.totalFacilities, unit.facilityCount);
+	});
+	// Units without schools are listed too
+	const { json: children } = await call('/locations/D01');
+	assert.deepEqual(json.units.map(unit => unit.code), children.children.map(child => child.code));
+	assert.ok(json.units.reduce((sum, unit) => sum + unit.facilityCount, 0) <= district.metrics.totalFacilities);
+
+	const { json: parishes } = await call('/metrics/breakdown?category=health&location=D01&level=parish');
+	parishes.units.forEach(unit => assert.match(unit.code, /^D01S\d+P\d+$/));
+
+	const { json: all } = await call('/metrics/breakdown?category=all&location=D01S09');
+	all.units.forEach(unit => {
+		assert.deepEqual(Object.keys(unit.facilityCount).sort(), ['education', 'health']);
+		assert.equal(unit.metrics.education.totalFacilities, unit.facilityCount.education);
+	});
+
+	const { json: ple } = await call('/metrics/breakdown?category=ple&location=D01');
+	ple.units.forEach(unit => assert.equal(typeof unit.recordCount, 'number'));
+});
+
+test('bad metrics requests are rejected', async () => {
+	assert.equal((await call('/metrics?location=D01')).status, 400);
+	assert.equal((await call('/metrics?category=roads&location=D01')).status, 400);
+	assert.equal((await call('/metrics?category=health&location=Kayunga')).status, 400);
+	assert.equal((await call('/metrics/breakdown?category=health&location=D01S09&level=subcounty')).status, 400);
+	assert.equal((await call('/metrics?category=health&location=D07')).status, 404);
+});
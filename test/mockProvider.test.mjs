@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, modelRequests, setModelReply } from './helpers/worker.mjs';
+
+// No API key: any request to OpenAI would fail the run
+const mock = { LLM_PROVIDER: 'mock', OPENAI_API_KEY: undefined };
+const ask = (query, category, overrides = {}) => call('/query', { query, location: { district: 'D01' }, category }, { ...mock, ...overrides });
+
+test('the mock provider replays the fixture that fits the question', async () => {
+	setModelReply(() => assert.fail('OpenAI was called'));
+
+	const { json: comparison } = await ask('Which subcounty has the lowest pupil teacher ratio?', 'education');
+	assert.equal(comparison.type, 'comparison');
+	assert.equal(comparison.text, 'Mock comparison: the rankings below are computed from the data.');
+	assert.ok(comparison.rankings.length > 0);
+
+	const { json: answer } = await ask('Tell me about health in Kayunga', 'health');
+	assert.equal(answer.text, 'Mock answer: the figures for this question are in the computed metrics.');
+	assert.equal(modelRequests.length, 0);
+});
+
+test('replayed filters run over the real rows', async () => {
+	const { json } = await ask('List the schools that need attention', 'education');
+	const { json: listed } = await call(`/facilities?category=education&location=D01&filter=${encodeURIComponent(JSON.stringify(json.filters))}`);
+
+	assert.equal(json.type, 'filter');
+	assert.equal(json.resultCount, listed.resultCount);
+	assert.equal(json.text, `Mock filter: ${listed.resultCount} schools without electricity.`);
+
+	// Replays are deterministic
+	const { json: again } = await ask('List the schools that need attention', 'education');
+	assert.deepEqual({ ...again, timestamp: null, conversationId: null }, { ...json, timestamp: null, conversationId: null });
+});
+
+test('LLM_FIXTURES replaces the built-in fixtures', async () => {
+	const fixtures = JSON.stringify([{ match: 'bbaale', category: ['education'], response: { type: 'answer', text: 'Bbaale fixture.' } }]);
+
+	const { json } = await ask('Tell me about Bbaale schools', 'education', { LLM_FIXTURES: fixtures });
+	assert.equal(json.text, 'Bbaale fixture.');
+
+	// A question no fixture fits gets the computed figures without the model
+	const { status, json: unmatched } = await ask('Tell me about Galiraya schools', 'education', { LLM_FIXTURES: fixtures });
+	assert.equal(status, 200);
+	assert.match(unmatched.text, /^The AI analysis is unavailable right now/);
+});
+
+test('streamed answers replay the fixture in pieces', async () => {
+	const { text } = await call('/query/stream', { query: 'Tell me about health in Kayunga', location: { district: 'D01' }, category: 'health' }, mock);
+	const events = text.split('\n\n').filter(Boolean).map(block => ({
+		event: block.match(/^event: (.+)$/m)?.[1],
+		data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+	}));
+
+	assert.deepEqual([...new Set(events.map(event => event.event))], ['context', 'delta', 'result']);
+	const result = events.find(event => event.event === 'result').data;
+	assert.equal(result.text, 'Mock answer: the figures for this question are in the computed metrics.');
+	assert.equal(events.filter(event => event.event === 'delta').map(event => event.data.text).join(''), result.text);
+});
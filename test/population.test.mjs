@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { call, env, setModelReply } from './helpers/worker.mjs';
+
+// population.json as shipped, with figures entered for two Kayunga subcounties
+const population = JSON.parse(await readFile(new URL('../data/population.json', import.meta.url), 'utf8'));
+population.populations.D01S09.population = 50000;
+population.populations.D01S12.population = 30000;
+
+const assets = {
+	async fetch(request) {
+		if (new URL(request.url).pathname === '/data/population.json') return new Response(JSON.stringify(population));
+		return env.ASSETS.fetch(request);
+	}
+};
+
+test('subcounties with a census figure get coverage', async () => {
+	const { json } = await call('/metrics?category=health&location=D01S12', null, { ASSETS: assets });
+
+	assert.equal(json.population, 30000);
+	const { coverage } = json.metrics;
+	assert.equal(coverage.population, 30000);
+	// 30,000 people at one HCIII per 20,000 need two HCIIIs
+	assert.equal(coverage.byLevel.HCIII.required, 2);
+	assert.equal(coverage.hc3Needed, coverage.byLevel.HCIII.shortfall);
+});
+
+test('subcounties can be ranked on the HCIIIs they need', async () => {
+	setModelReply({ type: 'comparison', text: 'Bbaale needs the most HCIIIs.', rankingMetric: 'hc3Needed' });
+	const { json } = await call('/query', { query: 'Which subcounties need more HCIIIs for their population?', location: { district: 'D01' }, category: 'health' }, { ASSETS: assets });
+
+	assert.equal(json.rankingMetric.key, 'hc3Needed');
+	const ranked = json.rankings.filter(entry => entry.value !== null);
+	assert.deepEqual(ranked.map(entry => entry.code).sort(), ['D01S09', 'D01S12']);
+	ranked.forEach(entry => assert.equal(typeof entry.rank, 'number'));
+	// Subcounties without a figure are listed unranked after those with one
+	json.rankings.slice(ranked.length).forEach(entry => assert.equal(entry.rank, null));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, setModelReply } from './helpers/worker.mjs';
+
+test('PLE comparisons rank subcounties on the metric the query names', async () => {
+	setModelReply({ type: 'comparison', text: 'Pass rates differ across subcounties.' });
+	const { status, json } = await call('/query', { query: 'Which subcounties have the highest PLE pass rate?', location: { district: 'D01' }, category: 'ple' });
+
+	assert.equal(status, 200);
+	assert.equal(json.type, 'comparison');
+	assert.deepEqual({ key: json.rankingMetric.key, level: json.rankingMetric.level, order: json.rankingMetric.order }, { key: 'passRate', level: 'subcounty', order: 'desc' });
+	assert.ok(json.rankings.length > 1);
+	json.rankings.forEach(entry => assert.match(entry.code, /^D01S\d+$/));
+	const values = json.rankings.map(entry => entry.value).filter(value => value !== null);
+	assert.deepEqual(values, [...values].sort((a, b) => b - a));
+	assert.equal(json.rankings[0].benchmark, 90);
+});
+
+test('PLE comparisons within a subcounty rank its schools', async () => {
+	setModelReply({ type: 'comparison', text: 'These schools perform best.', rankingMetric: 'performanceIndex' });
+	const { json } = await call('/query', { query: 'best performing schools in Bbaale', location: { district: 'D01', subcounty: 'D01S09' }, category: 'ple' });
+
+	assert.equal(json.rankingMetric.key, 'performanceIndex');
+	assert.equal(json.rankingMetric.level, 'school');
+	assert.ok(json.rankings.length > 0);
+	json.rankings.forEach(entry => {
+		assert.ok(entry.facility_id);
+		assert.match(entry.code, /^D01S09/);
+	});
+});
+
+test('school rankings map each school at its register coordinates', async () => {
+	setModelReply({ type: 'comparison', text: 'These schools perform best.', rankingMetric: 'performanceIndex' });
+	const { headers, json } = await call('/query', { query: 'Which schools performed best in PLE?', location: { district: 'D01', subcounty: 'D01S06' }, category: 'ple', format: 'geojson' });
+
+	assert.equal(headers.get('content-type'), 'application/geo+json');
+	assert.equal(json.metadata.rankingMetric.level, 'school');
+	json.features.forEach(feature => assert.equal(feature.id, feature.properties.facility_id));
+	assert.equal(new Set(json.features.map(feature => feature.id)).size, json.features.length);
+	const kanjuki = json.features.find(feature => feature.id === 'kanjuki-junior-school_kayunga');
+	assert.deepEqual(kanjuki.geometry, { type: 'Point', coordinates: [32.8944768, 0.7433448] });
+});
+
+test('school rankings without any located school stay JSON', async () => {
+	setModelReply({ type: 'comparison', text: 'These schools perform best.', rankingMetric: 'performanceIndex' });
+	const { headers, json } = await call('/query', { query: 'Which schools performed best in PLE?', location: { district: 'D01', subcounty: 'D01S09' }, category: 'ple', format: 'geojson' });
+
+	assert.match(headers.get('content-type'), /^application\/json/);
+	assert.equal(json.type, 'comparison');
+	json.rankings.forEach(entry => assert.ok(entry.facility_id));
+});
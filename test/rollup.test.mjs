@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { env } from './helpers/worker.mjs';
+import { loadCSVData, loadLocations, getChildLocations, isWithinLocation } from '../src/utils/dataLoader.js';
+import { getLocationRollup } from '../src/utils/metrics.js';
+
+const locations = await loadLocations(env);
+
+test('health rollups use the health calculator', async () => {
+	const facilities = await loadCSVData('Kayunga', 'health', env, { district: 'D01' });
+	const units = getLocationRollup(facilities, locations, { category: 'health', parentCode: 'D01' });
+
+	const withFacilities = units.filter(unit => unit.facilityCount > 0);
+	assert.ok(withFacilities.length > 0);
+	withFacilities.forEach(unit => {
+		assert.ok(unit.metrics.workforce, unit.code);
+		assert.equal(unit.metrics.enrollment, undefined);
+	});
+});
+
+test('every unit below the parent is listed by code, with names from the locations', async () => {
+	const facilities = await loadCSVData('Kayunga', 'education', env, { district: 'D01' });
+	const units = getLocationRollup(facilities, locations, { category: 'education', parentCode: 'D01' });
+
+	assert.deepEqual(units.map(unit => unit.code), getChildLocations(locations, 'D01').map(unit => unit.code));
+	units.forEach(unit => {
+		assert.equal(unit.level, 'subcounty');
+		assert.match(unit.code, /^D01S\d+$/);
+		assert.equal(unit.facilityCount, facilities.filter(facility => isWithinLocation(facility.location_code, unit.code)).length);
+		assert.equal(unit.metrics.totalFacilities, unit.facilityCount);
+	});
+	assert.equal(units.find(unit => unit.code === 'D01S09').location, 'Bbaale');
+	// Schools are grouped by code, so every school with a subcounty code is counted once
+	const counted = units.reduce((sum, unit) => sum + unit.facilityCount, 0);
+	assert.equal(counted, facilities.filter(facility => /^D01S\d+/.test(facility.location_code)).length);
+});
+
+test('rollups can skip a level', async () => {
+	const facilities = await loadCSVData('Kayunga', 'education', env, { district: 'D01' });
+	const units = getLocationRollup(facilities, locations, { category: 'education', parentCode: 'D01', level: 'parish' });
+
+	assert.ok(units.length > getChildLocations(locations, 'D01').length);
+	units.forEach(unit => {
+		assert.equal(unit.level, 'parish');
+		assert.match(unit.code, /^D01S\d+P\d+$/);
+	});
+});
+
+test('breakdowns below a subcounty cover its parishes only', async () => {
+	const facilities = await loadCSVData('Kayunga', 'education', env, { district: 'D01', subcounty: 'D01S09' });
+	const units = getLocationRollup(facilities, locations, { category: 'education', parentCode: 'D01S09' });
+
+	assert.ok(units.length > 0);
+	units.forEach(unit => assert.match(unit.code, /^D01S09P\d+$/));
+	assert.equal(units.reduce((sum, unit) => sum + unit.facilityCount, 0), facilities.filter(facility => /^D01S09P\d+/.test(facility.location_code)).length);
+});
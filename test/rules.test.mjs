@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, modelRequests, setModelReply } from './helpers/worker.mjs';
+
+test('simple counts are answered from the rows without the model', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const { json } = await call('/query', { query: 'How many schools have water?', location: { district: 'D01' }, category: 'education' });
+
+	assert.equal(modelRequests.length, 0);
+	assert.equal(json.type, 'answer');
+	assert.equal(json.data.metric, 'water');
+	// Schools with no water record are left out of the total
+	assert.equal(json.data.total + json.data.unknown, 292);
+	assert.match(json.text, new RegExp(`^${json.data.count} of ${json.data.total} schools in Kayunga`));
+});
+
+test('counts naming a place inside the selected district go to the model', async () => {
+	setModelReply({ type: 'answer', text: 'Bbaale schools are listed in the data.' });
+	const { json } = await call('/query', { query: 'How many schools in Bbaale have water?', location: { district: 'D01' }, category: 'education' });
+
+	assert.equal(modelRequests.length, 1);
+	assert.equal(json.text, 'Bbaale schools are listed in the data.');
+});
+
+test('listings return the matching facilities and their count', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const { json } = await call('/query', { query: 'Show me health facilities without electricity', location: { district: 'D02' }, category: 'health', pageSize: 2 });
+
+	assert.equal(modelRequests.length, 0);
+	assert.equal(json.type, 'filter');
+	assert.deepEqual(json.filters, { logic: 'and', conditions: [{ field: 'has_electricity', operator: 'eq', value: false }] });
+	assert.equal(json.facilities.length, 2);
+	assert.equal(json.pagination.total, json.resultCount);
+	json.facilities.forEach(facility => assert.match(facility.location_code, /^D02/));
+
+	// The same filter on the register finds the same facilities
+	const { json: listed } = await call(`/facilities?category=health&location=D02&filter=${encodeURIComponent(JSON.stringify(json.filters))}`);
+	assert.equal(listed.resultCount, json.resultCount);
+});
+
+test('sums and open questions go to the model', async () => {
+	for (const query of ['How many learners are in schools with water?', 'Which subcounty has the most schools with water?', 'Tell me about the schools']) {
+		setModelReply({ type: 'answer', text: 'From the model.' });
+		const { json } = await call('/query', { query, location: { district: 'D01' }, category: 'education' });
+
+		assert.equal(modelRequests.length, 1, query);
+		assert.equal(json.text, 'From the model.');
+	}
+});
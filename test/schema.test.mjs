@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_RESPONSE_FORMAT } from '../src/utils/responseSchema.js';
+
+test('the structured output format never lets the model leave out type or text', () => {
+	const { properties, required } = MODEL_RESPONSE_FORMAT.schema;
+
+	assert.deepEqual(required, Object.keys(properties));
+	assert.equal(properties.type.type, 'string');
+	assert.deepEqual(properties.text, { type: 'string' });
+	// Optional fields are required but nullable, as strict mode asks
+	assert.deepEqual(properties.suggestedView.anyOf[1], { type: 'null' });
+});
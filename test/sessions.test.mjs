@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, modelRequests, setModelReply } from './helpers/worker.mjs';
+
+test('a follow-up naming only a place asks the previous question for it', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const first = await call('/query', { query: 'How many schools have water?', location: { district: 'D01' }, category: 'education' });
+	const { json } = await call('/query', { query: 'and what about Bbaale?', conversationId: first.json.conversationId });
+
+	assert.equal(json.conversationId, first.json.conversationId);
+	assert.equal(modelRequests.length, 0);
+	assert.equal(json.data.metric, 'water');
+	assert.match(json.text, /schools in Bbaale/);
+	assert.ok(json.data.total + json.data.unknown < first.json.data.total + first.json.data.unknown);
+	json.sources.forEach(source => assert.equal(source.scope, 'D01S09'));
+});
+
+test('"show those" repeats the previous filter', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const first = await call('/query', { query: 'Show me health facilities without electricity', location: { district: 'D02' }, category: 'health' });
+	const { json } = await call('/query', { query: 'show those on a map', conversationId: first.json.conversationId });
+
+	assert.equal(json.type, 'filter');
+	assert.deepEqual(json.filters, first.json.filters);
+	assert.equal(json.resultCount, first.json.resultCount);
+});
+
+test('follow-ups switch category and send the earlier turns to the model', async () => {
+	setModelReply({ type: 'answer', text: 'Kayunga schools mostly have water.' });
+	const first = await call('/query', { query: 'Describe water access in schools', location: { district: 'D01' }, category: 'education' });
+
+	setModelReply({ type: 'answer', text: 'Health facilities differ.' });
+	const { json } = await call('/query', { query: 'And for health facilities?', conversationId: first.json.conversationId });
+
+	assert.equal(json.text, 'Health facilities differ.');
+	const prompt = modelRequests[0].messages.map(message => message.content).join('\n');
+	assert.match(prompt, /Q: "Describe water access in schools" \(Kayunga, education\) -> answer: Kayunga schools mostly have water\./);
+	assert.match(prompt, /- Category: health\n/);
+});
+
+test('sessions are kept in the SESSIONS namespace when one is bound', async () => {
+	const stored = new Map();
+	const SESSIONS = {
+		async get(key, type) {
+			return stored.has(key) ? (type === 'json' ? JSON.parse(stored.get(key).value) : stored.get(key).value) : null;
+		},
+		async put(key, value, options) {
+			stored.set(key, { value, options });
+		}
+	};
+	setModelReply({ type: 'answer', text: 'unused' });
+	const first = await call('/query', { query: 'How many schools have water?', location: { district: 'D02' }, category: 'education' }, { SESSIONS });
+	await call('/query', { query: 'and what about Pakanyi?', conversationId: first.json.conversationId }, { SESSIONS });
+
+	const entry = stored.get(`session:${first.json.conversationId}`);
+	assert.equal(entry.options.expirationTtl, 60 * 60 * 24);
+	const session = JSON.parse(entry.value);
+	assert.deepEqual(session.turns.map(turn => turn.location), [{ district: 'D02' }, { district: 'D02', subcounty: 'D02S05' }]);
+});
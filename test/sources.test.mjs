@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, setModelReply } from './helpers/worker.mjs';
+
+test('sources list the metric paths the answer cited and the sections given to the model', async () => {
+	const { json: metrics } = await call('/metrics?category=health&location=D01');
+	const total = metrics.metrics.totalFacilities;
+
+	setModelReply({ type: 'answer', text: `Kayunga has ${total} health facilities.` });
+	const { json } = await call('/query', { query: 'How many health facilities are there in Kayunga?', location: { district: 'D01' }, category: 'health' });
+	const [source] = json.sources;
+
+	assert.deepEqual(source.cited, ['totalFacilities']);
+	assert.equal(source.metricPaths[0], 'totalFacilities');
+	assert.ok(source.metricPaths.includes('infrastructure'));
+	assert.ok(!source.metricPaths.some(path => path.startsWith('infrastructure.')));
+	assert.ok(source.metricPaths.length < 30);
+});
+
+test('sources list the units below the scope that the counted facilities lie in', async () => {
+	setModelReply({ type: 'answer', text: 'unused' });
+	const { json } = await call('/query', { query: 'Show me health facilities without electricity', location: { district: 'D02' }, category: 'health' });
+	const [source] = json.sources;
+
+	assert.deepEqual(source.facilityIds.sort(), json.facilities.map(facility => facility.facility_id).sort());
+	const subcounties = [...new Set(json.facilities.map(facility => facility.location_code.match(/^D02S\d+/)[0]))].sort();
+	assert.deepEqual(source.locationCodes, subcounties);
+
+	const { json: subcounty } = await call('/query', { query: 'How many schools have water?', location: { district: 'D01', subcounty: 'D01S09' }, category: 'education' });
+	assert.ok(subcounty.sources[0].locationCodes.length > 0);
+	subcounty.sources[0].locationCodes.forEach(code => assert.match(code, /^D01S09(P\d+)?$/));
+});
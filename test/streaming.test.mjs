@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, setModelReply, modelRequests } from './helpers/worker.mjs';
+
+/** Helper: Parse an event stream into [{event, data}] */
+function parseEvents(text) {
+	return text.trim().split('\n\n').map(block => {
+		const [eventLine, dataLine] = block.split('\n');
+		return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+	});
+}
+
+test('a streamed reply that is replaced is reset before the replacement is sent', async () => {
+	setModelReply(() => (modelRequests.length === 1
+		? JSON.stringify({ type: 'answer', text: 'First draft', suggestedView: 'hologram' })
+		: JSON.stringify({ type: 'answer', text: 'Second answer', suggestedView: 'grid' })));
+	const { text } = await call('/query/stream', { query: 'Tell me about schools in Galiraya', location: { district: 'D01', subcounty: 'D01S12' }, category: 'education' });
+	const events = parseEvents(text);
+	const names = events.map(({ event }) => event);
+
+	assert.equal(modelRequests.length, 2);
+	assert.ok(names.indexOf('reset') > names.indexOf('delta'), 'reset follows the first deltas');
+
+	// What the client shows is the text after the last reset
+	const afterReset = events.slice(names.lastIndexOf('reset') + 1);
+	const shown = afterReset.filter(({ event }) => event === 'delta').map(({ data }) => data.text).join('');
+	assert.equal(shown, 'Second answer');
+	assert.equal(afterReset.at(-1).data.text, 'Second answer');
+});
+
+test('a fallback model streams its own reply from the start', async () => {
+	setModelReply(body => {
+		if (body.model === 'gpt-4o-mini') return JSON.stringify({ type: 'answer', text: 'Rejected answer', suggestedView: 'hologram' });
+		return JSON.stringify({ type: 'answer', text: 'Fallback answer' });
+	});
+	const { text } = await call('/query/stream', { query: 'Tell me about schools in Bbaale', location: { district: 'D01', subcounty: 'D01S09' }, category: 'education' }, { LLM_FALLBACK_MODEL: 'gpt-4.1-mini' });
+	const events = parseEvents(text);
+	const names = events.map(({ event }) => event);
+
+	const afterReset = events.slice(names.lastIndexOf('reset') + 1);
+	assert.equal(afterReset.filter(({ event }) => event === 'delta').map(({ data }) => data.text).join(''), 'Fallback answer');
+	assert.equal(events.at(-1).event, 'result');
+	assert.equal(events.at(-1).data.text, 'Fallback answer');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyResponse, UNVERIFIED } from '../src/utils/verification.js';
+
+const metrics = {
+	totalFacilities: 120,
+	infrastructure: { withWater: 83, waterPercentage: '69.2' },
+	ratios: { pupilTeacherRatio: '48.0', pupilClassroomRatio: '61.4' },
+	workforce: { midwivesPerFacility: '1.4' }
+};
+const rows = [
+	{ facility_id: 'kisaasi-ps', institution_name: 'Kisaasi Primary School', total_learners: 640, pupil_classroom_ratio: 55 },
+	{ facility_id: 'nakatundu-ps', institution_name: 'Nakatundu Primary School', total_learners: 410, pupil_classroom_ratio: 41 }
+];
+
+const sourcesOf = (text, options = {}) => verifyResponse({ type: 'answer', text, ...options.response }, { sources: { metrics, ...options.sources }, rows })
+	.verification.claims.map(claim => claim.source);
+
+test('counts match counts and their complements', () => {
+	assert.deepEqual(sourcesOf('83 schools have water and 37 do not.'), ['metrics.infrastructure.withWater', 'metrics.totalFacilities - metrics.infrastructure.withWater']);
+});
+
+test('a made-up count does not match a ratio or percentage with the same value', () => {
+	// 48 is the pupil-teacher ratio and 69 the water percentage, not counts of schools
+	assert.deepEqual(sourcesOf('48 schools have no toilets and 69 have no fence.'), [UNVERIFIED, UNVERIFIED]);
+});
+
+test('numbers with decimals may match averages', () => {
+	assert.deepEqual(sourcesOf('There are 1.4 midwives per facility.'), ['metrics.workforce.midwivesPerFacility']);
+	assert.deepEqual(sourcesOf('There are 1 or 2 midwives per facility.'), [UNVERIFIED, UNVERIFIED]);
+});
+
+test('facility fields only back figures about facilities the answer names or lists', () => {
+	assert.deepEqual(sourcesOf('Some schools have 55:1 pupils per classroom.'), [UNVERIFIED]);
+	assert.deepEqual(sourcesOf('Kisaasi Primary School has 55:1 pupils per classroom.'), ['facilities[kisaasi-ps].pupil_classroom_ratio']);
+	assert.deepEqual(
+		sourcesOf('The most crowded school has 55:1 pupils per classroom.', { response: { facilities: [{ facility_id: 'kisaasi-ps' }] } }),
+		['facilities[kisaasi-ps].pupil_classroom_ratio']
+	);
+});
+
+test('ranking values take the kind of the metric ranked on', () => {
+	const rankings = [{ rank: 1, location: 'Bbaale', code: 'D01S09', value: 45, metric: 'electricityPercentage', facilityCount: 30 }];
+
+	assert.deepEqual(sourcesOf('Bbaale leads with 45% of schools electrified.', { sources: { rankings } }), ['rankings[0].value']);
+	assert.deepEqual(sourcesOf('Bbaale has 45 schools.', { sources: { rankings } }), [UNVERIFIED]);
+	assert.deepEqual(sourcesOf('Bbaale has 30 schools.', { sources: { rankings } }), ['rankings[0].facilityCount']);
+});